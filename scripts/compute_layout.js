@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const {
+  LAYOUT_MODES,
+  computeLayout,
+  createLayoutFile,
+  storeLayout,
+  parseLayoutFile,
+} = require('../web/layout');
+const { parseArgs, loadDataset, assertValidDataset } = require('./download_tmdb');
+
+const DEFAULT_WIDTH = 1200;
+const DEFAULT_HEIGHT = 800;
+const DEFAULT_LINK_STRENGTH = 0.12;
+
+const parseModes = (value) => {
+  if (value === undefined || value === 'all') return LAYOUT_MODES;
+  const modes = String(value).split(',').filter(Boolean);
+  const unknown = modes.filter((mode) => !LAYOUT_MODES.includes(mode));
+  if (unknown.length) {
+    throw new Error(`Unknown layout mode(s): ${unknown.join(', ')}. Use ${LAYOUT_MODES.join(', ')} or all.`);
+  }
+  return modes;
+};
+
+const parsePositiveNumber = (value, fallback) => {
+  const number = Number(value ?? fallback);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// The page loads d3 from a CDN; here d3-force (an ES module) comes from `npm install`.
+const loadD3Force = async (importD3Force) => {
+  try {
+    return await importD3Force();
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('Computing layouts needs d3-force. Run `npm install` first.');
+    }
+    throw error;
+  }
+};
+
+// Modes that are not recomputed keep their positions from an existing sidecar of the same dataset.
+const loadExistingLayout = async ({ outputPath, movies, fsPromises }) => {
+  let file;
+  try {
+    file = JSON.parse(await fsPromises.readFile(outputPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  try {
+    return parseLayoutFile(file, movies);
+  } catch (error) {
+    console.log(`Replacing ${outputPath}: ${error.message}`);
+    return null;
+  }
+};
+
+const runLayout = async ({
+  argv = process.argv.slice(2),
+  fsPromises = fs,
+  importD3Force = () => import('d3-force'),
+} = {}) => {
+  const argMap = parseArgs(argv);
+  const inputPath = argMap.input ?? 'data/movies.json';
+  const modes = parseModes(argMap.mode);
+  const width = parsePositiveNumber(argMap.width, DEFAULT_WIDTH);
+  const height = parsePositiveNumber(argMap.height, DEFAULT_HEIGHT);
+  const linkStrength = parsePositiveNumber(argMap['link-strength'], DEFAULT_LINK_STRENGTH);
+  const outputPath = path.resolve(
+    argMap.output ??
+      path.join(
+        path.dirname(inputPath),
+        `${path.basename(inputPath, path.extname(inputPath))}.layout.json`,
+      ),
+  );
+
+  const data = await loadDataset({ inputPath, fsPromises });
+  if (!data) {
+    throw new Error(`Cannot compute a layout for ${inputPath}: file not found.`);
+  }
+  assertValidDataset(data, inputPath);
+  const d3 = await loadD3Force(importD3Force);
+
+  let file =
+    (await loadExistingLayout({ outputPath, movies: data.movies, fsPromises })) ??
+    createLayoutFile(data.movies);
+  modes.forEach((mode) => {
+    const nodes = computeLayout(d3, data, { mode, linkStrength, width, height });
+    file = storeLayout(file, mode, nodes);
+    console.log(`Computed ${mode} layout for ${nodes.length} movies`);
+  });
+
+  await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+  await fsPromises.writeFile(outputPath, JSON.stringify(file), 'utf8');
+  console.log(`Wrote ${outputPath}`);
+  return { outputPath, modes };
+};
+
+if (require.main === module) {
+  runLayout().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runLayout,
+};
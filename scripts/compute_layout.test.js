@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { runLayout } = require('./compute_layout');
+const { LAYOUT_MODES, getDatasetKey } = require('../web/layout');
+const sample = require('../data/movies.sample.json');
+
+const samplePath = path.join(__dirname, '../data/movies.sample.json');
+
+test('runLayout explains how to install d3-force when it is missing', async () => {
+  const importD3Force = async () => {
+    throw Object.assign(new Error("Cannot find package 'd3-force'"), { code: 'ERR_MODULE_NOT_FOUND' });
+  };
+  await assert.rejects(
+    runLayout({ argv: [`--input=${samplePath}`, '--output=unused.json'], importD3Force }),
+    /npm install/,
+  );
+});
+
+test('runLayout rejects unknown layout modes', async () => {
+  await assert.rejects(runLayout({ argv: [`--input=${samplePath}`, '--mode=spiral'] }), /spiral/);
+});
+
+test('runLayout writes settled positions for every mode into the sidecar', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-layout-'));
+  const outputPath = path.join(outputDir, 'movies.layout.json');
+  try {
+    await runLayout({ argv: [`--input=${samplePath}`, `--output=${outputPath}`] });
+
+    const file = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.deepEqual(Object.keys(file.layouts).sort(), [...LAYOUT_MODES].sort());
+    LAYOUT_MODES.forEach((mode) => {
+      const positions = file.layouts[mode];
+      assert.ok(sample.movies.every(({ id }) => positions[`movie-${id}`]), mode);
+      assert.ok(Object.values(positions).every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y)), mode);
+    });
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('runLayout merges modes computed in separate runs into the sidecar', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-layout-'));
+  const outputPath = path.join(outputDir, 'movies.layout.json');
+  try {
+    await runLayout({ argv: [`--input=${samplePath}`, `--output=${outputPath}`, '--mode=year'] });
+    await runLayout({ argv: [`--input=${samplePath}`, `--output=${outputPath}`, '--mode=similarity'] });
+
+    const file = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.equal(file.dataset, getDatasetKey(sample.movies));
+    assert.deepEqual(Object.keys(file.layouts), ['year', 'similarity']);
+    assert.deepEqual(Object.keys(file.layouts.year).sort(), ['movie-19995', 'movie-27205', 'movie-603']);
+    assert.ok(Object.values(file.layouts.year).every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y)));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -1,10 +1,68 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs/promises');
 const path = require('path');
 
+const { SCHEMA_VERSION, validateDataset, formatValidationErrors, migrateDataset } = require('../web/schema');
+
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 const DEFAULT_MAX_MOVIES = 100;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_CACHE_DIR = '.cache/tmdb';
+const CHANGES_WINDOW_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CRAWL_DEPTH = 1;
+const DEFAULT_CRAWL_FANOUT = 10;
+const CRAWL_RELATIONS = ['recommendations', 'similar', 'people'];
+const DEFAULT_CAST_LIMIT = 1;
+const DEFAULT_CREW_JOBS = ['Director'];
+const CREW_JOB_ALIASES = {
+  director: ['Director'],
+  writer: ['Writer', 'Screenplay'],
+  composer: ['Original Music Composer'],
+  dop: ['Director of Photography'],
+  editor: ['Editor'],
+};
+const DEFAULT_DISCOVER_QUERY = {
+  include_adult: false,
+  include_video: false,
+  language: 'en-US',
+  sort_by: 'popularity.desc',
+};
+const DISCOVER_PARAMS = new Set([
+  'include_adult',
+  'include_video',
+  'language',
+  'region',
+  'sort_by',
+  'year',
+  'primary_release_year',
+  'primary_release_date.gte',
+  'primary_release_date.lte',
+  'release_date.gte',
+  'release_date.lte',
+  'vote_count.gte',
+  'vote_count.lte',
+  'vote_average.gte',
+  'vote_average.lte',
+  'with_runtime.gte',
+  'with_runtime.lte',
+  'with_genres',
+  'without_genres',
+  'with_keywords',
+  'without_keywords',
+  'with_companies',
+  'without_companies',
+  'with_people',
+  'with_cast',
+  'with_crew',
+  'with_original_language',
+  'with_origin_country',
+]);
 
 const parseArgs = (argv) =>
   argv.reduce((acc, arg) => {
@@ -15,6 +73,117 @@ const parseArgs = (argv) =>
     return acc;
   }, {});
 
+// Turns `--vote-count-gte` into `vote_count.gte` and `--year-from` into `year_from`.
+const toQueryKey = (flag) => flag.replace(/-(gte|lte)$/, '.$1').replace(/-/g, '_');
+
+const normalizeQuery = (query, source) =>
+  Object.entries(query).reduce((acc, [rawKey, value]) => {
+    const key = toQueryKey(rawKey);
+    if (key === 'year_from') {
+      acc['primary_release_date.gte'] = `${value}-01-01`;
+    } else if (key === 'year_to') {
+      acc['primary_release_date.lte'] = `${value}-12-31`;
+    } else if (DISCOVER_PARAMS.has(key)) {
+      acc[key] = Array.isArray(value) ? value.join(',') : value;
+    } else {
+      throw new Error(`Unknown discover parameter "${rawKey}" in ${source}.`);
+    }
+    return acc;
+  }, {});
+
+const getQueryFlags = (argMap) =>
+  Object.fromEntries(
+    Object.entries(argMap).filter(([flag]) => {
+      const key = toQueryKey(flag);
+      return key === 'year_from' || key === 'year_to' || DISCOVER_PARAMS.has(key);
+    }),
+  );
+
+const parseYamlValue = (raw) => {
+  const value = raw.trim();
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value
+      .slice(1, -1)
+      .split(',')
+      .map((entry) => parseYamlValue(entry))
+      .filter((entry) => entry !== '');
+  }
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+};
+
+// Query files are flat key/value maps, so a small YAML subset is enough here.
+const parseSimpleYaml = (text) =>
+  text.split(/\r?\n/).reduce((acc, line, index) => {
+    const content = line.replace(/\s+#.*$/, '').replace(/^#.*$/, '');
+    if (!content.trim()) return acc;
+    const match = content.match(/^([\w.-]+)\s*:\s*(.*)$/);
+    if (!match || /^\s/.test(content)) {
+      throw new Error(`Unsupported YAML on line ${index + 1}: only flat "key: value" pairs are allowed.`);
+    }
+    acc[match[1]] = parseYamlValue(match[2]);
+    return acc;
+  }, {});
+
+const loadQueryFile = async (queryPath, fsPromises = fs) => {
+  const text = await fsPromises.readFile(path.resolve(queryPath), 'utf8');
+  const parsed = /\.ya?ml$/i.test(queryPath) ? parseSimpleYaml(text) : JSON.parse(text);
+  // A dataset file can be passed as well, which regenerates it with its stored query.
+  const query = Array.isArray(parsed.movies) ? parsed.query ?? {} : parsed;
+  return normalizeQuery(query, queryPath);
+};
+
+const resolveDiscoverQuery = async ({ queryPath, queryFlags = {}, baseQuery = {}, fsPromises }) => ({
+  ...DEFAULT_DISCOVER_QUERY,
+  ...baseQuery,
+  ...(queryPath ? await loadQueryFile(queryPath, fsPromises) : {}),
+  ...normalizeQuery(queryFlags, 'command line flags'),
+});
+
+// `--flag` alone means true; `--flag=false` or `--flag=0` switches it off.
+const parseBooleanFlag = (value) =>
+  value === undefined ? undefined : !['false', '0'].includes(String(value).toLowerCase());
+
+const toPositiveInt = (value, fallback, { min = 1 } = {}) => {
+  const parsed = Number(value ?? fallback);
+  return Number.isNaN(parsed) || parsed < min ? fallback : Math.floor(parsed);
+};
+
+const parseIdList = (value, flag) => {
+  if (value === undefined) return [];
+  const ids = String(value)
+    .split(',')
+    .filter(Boolean)
+    .map((entry) => Number(entry));
+  if (ids.some((id) => !Number.isInteger(id) || id < 1)) {
+    throw new Error(`--${flag} expects a comma-separated list of TMDB ids.`);
+  }
+  return ids;
+};
+
+const parseRelations = (value) => {
+  if (value === undefined) return CRAWL_RELATIONS;
+  const relations = String(value).split(',').filter(Boolean);
+  const unknown = relations.filter((relation) => !CRAWL_RELATIONS.includes(relation));
+  if (unknown.length) {
+    throw new Error(`Unknown --follow relation(s): ${unknown.join(', ')}. Use ${CRAWL_RELATIONS.join(', ')}.`);
+  }
+  return relations;
+};
+
+// Accepts the short aliases above as well as literal TMDB job names.
+const parseCrewJobs = (value) => {
+  if (value === undefined) return DEFAULT_CREW_JOBS;
+  const jobs = String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => CREW_JOB_ALIASES[entry.toLowerCase()] ?? [entry]);
+  return Array.from(new Set(jobs));
+};
+
 const resolveConfig = (argv = process.argv.slice(2), env = process.env) => {
   const argMap = parseArgs(argv);
   const apiKey = env.TMDB_API_KEY;
@@ -23,19 +192,58 @@ const resolveConfig = (argv = process.argv.slice(2), env = process.env) => {
     throw new Error('Missing TMDB_API_KEY or TMDB_ACCESS_TOKEN environment variable.');
   }
 
-  const pagesRaw = Number(argMap.pages ?? 1);
-  const pages = Number.isNaN(pagesRaw) || pagesRaw < 1 ? 1 : pagesRaw;
+  // Left undefined when absent, so --update can fall back to the dataset header.
+  const pages = argMap.pages === undefined ? undefined : toPositiveInt(argMap.pages, 1);
   const outputPath = argMap.output ?? 'data/movies.json';
+  const concurrency = toPositiveInt(argMap.concurrency, DEFAULT_CONCURRENCY);
+  const useCache = !parseBooleanFlag(argMap['no-cache']);
+  const resume = parseBooleanFlag(argMap.resume) ?? false;
+  if (resume && !useCache) {
+    throw new Error('--resume needs the response cache and cannot be combined with --no-cache.');
+  }
+  const seedMovieIds = parseIdList(argMap['seed-movies'], 'seed-movies');
+  const seedPersonIds = parseIdList(argMap['seed-people'], 'seed-people');
+  const update = parseBooleanFlag(argMap.update) ?? false;
+  if (update && (seedMovieIds.length || seedPersonIds.length)) {
+    throw new Error('--update only works with discover datasets and cannot be combined with seeds.');
+  }
 
   return {
     apiKey,
     accessToken,
     pages,
     outputPath,
-    maxMovies: DEFAULT_MAX_MOVIES,
+    maxMovies: toPositiveInt(argMap['max-movies'], undefined),
+    concurrency,
+    resume,
+    useCache,
+    cacheDir: argMap['cache-dir'] ?? DEFAULT_CACHE_DIR,
+    queryPath: argMap.query,
+    queryFlags: getQueryFlags(argMap),
+    update,
+    prune: parseBooleanFlag(argMap.prune) ?? false,
+    seedMovieIds,
+    seedPersonIds,
+    depth: toPositiveInt(argMap.depth, DEFAULT_CRAWL_DEPTH, { min: 0 }),
+    budget: toPositiveInt(argMap.budget, DEFAULT_MAX_MOVIES),
+    fanout: toPositiveInt(argMap.fanout, DEFAULT_CRAWL_FANOUT),
+    follow: parseRelations(argMap.follow),
+    // Left undefined when absent, so --update can fall back to the dataset header.
+    castLimit:
+      argMap.cast === undefined
+        ? undefined
+        : toPositiveInt(argMap.cast, DEFAULT_CAST_LIMIT, { min: 0 }),
+    crewJobs: argMap['crew-jobs'] === undefined ? undefined : parseCrewJobs(argMap['crew-jobs']),
+    includeKeywords: parseBooleanFlag(argMap.keywords),
+    baseUrl: argMap['base-url'] ?? env.TMDB_BASE_URL ?? TMDB_BASE_URL,
+    timeoutMs: toPositiveInt(argMap.timeout, DEFAULT_REQUEST_TIMEOUT_MS),
+    maxRetries: toPositiveInt(argMap.retries, DEFAULT_MAX_RETRIES, { min: 0 }),
+    retryDelayMs: toPositiveInt(argMap['retry-delay'], DEFAULT_RETRY_DELAY_MS, { min: 0 }),
   };
 };
 
+const getBaseUrl = (options = {}) => (options.baseUrl ?? TMDB_BASE_URL).replace(/\/+$/, '');
+
 const buildUrl = (url, apiKey, accessToken) => {
   if (accessToken) {
     return url;
@@ -45,40 +253,188 @@ const buildUrl = (url, apiKey, accessToken) => {
   return apiUrl.toString();
 };
 
-const fetchJson = async (url, { apiKey, accessToken, fetchFn = fetch }) => {
+const fetchJson = async (
+  url,
+  { apiKey, accessToken, fetchFn = fetch, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS },
+) => {
   const response = await fetchFn(buildUrl(url, apiKey, accessToken), {
     headers: {
       ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
       'Content-Type': 'application/json;charset=utf-8',
     },
+    signal: AbortSignal.timeout(timeoutMs),
   });
 
   if (!response.ok) {
     const message = await response.text();
-    throw new Error(`TMDB request failed (${response.status}): ${message}`);
+    const error = new Error(`TMDB request failed (${response.status}): ${message}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers?.get?.('retry-after'));
+    throw error;
   }
 
   return response.json();
 };
 
-const getDiscoverPage = async (page, options) => {
-  const url = new URL(`${TMDB_BASE_URL}/discover/movie`);
-  url.searchParams.set('include_adult', 'false');
-  url.searchParams.set('include_video', 'false');
-  url.searchParams.set('language', 'en-US');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Network and JSON errors carry no status and are retried like 429/5xx responses.
+const isRetryableError = (error) =>
+  error.status === undefined || error.status === 429 || error.status >= 500;
+
+const createRequestLimiter = ({ concurrency = DEFAULT_CONCURRENCY, sleepFn = sleep } = {}) => {
+  let active = 0;
+  let pausedUntil = 0;
+  const waiting = [];
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  };
+
+  const run = async (task) => {
+    await acquire();
+    try {
+      while (Date.now() < pausedUntil) {
+        await sleepFn(pausedUntil - Date.now());
+      }
+      return await task();
+    } finally {
+      release();
+    }
+  };
+
+  const pause = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
+
+  return { run, pause };
+};
+
+const stripApiKey = (url) => {
+  const cacheUrl = new URL(url);
+  cacheUrl.searchParams.delete('api_key');
+  return cacheUrl.toString();
+};
+
+const getCacheKey = (url) => crypto.createHash('sha1').update(stripApiKey(url)).digest('hex');
+
+const createResponseCache = ({ cacheDir = DEFAULT_CACHE_DIR, fsPromises = fs } = {}) => {
+  const resolvedDir = path.resolve(cacheDir);
+  const fileFor = (url) => path.join(resolvedDir, `${getCacheKey(url)}.json`);
+
+  const get = async (url) => {
+    try {
+      const entry = JSON.parse(await fsPromises.readFile(fileFor(url), 'utf8'));
+      return entry.body;
+    } catch (error) {
+      // Missing or half-written entries are treated as cache misses.
+      return undefined;
+    }
+  };
+
+  const set = async (url, body) => {
+    const filePath = fileFor(url);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsPromises.mkdir(resolvedDir, { recursive: true });
+    await fsPromises.writeFile(
+      tempPath,
+      JSON.stringify({ url: stripApiKey(url), cached_at: new Date().toISOString(), body }),
+      'utf8',
+    );
+    await fsPromises.rename(tempPath, filePath);
+  };
+
+  return { get, set };
+};
+
+const requestJson = async (url, options) => {
+  const {
+    cache,
+    resume = false,
+    limiter,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    sleepFn = sleep,
+  } = options;
+
+  if (cache && resume) {
+    const cached = await cache.get(url);
+    if (cached !== undefined) return cached;
+  }
+
+  const run = limiter ? limiter.run : (task) => task();
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const body = await run(() => fetchJson(url, options));
+      if (cache) await cache.set(url, body);
+      return body;
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        // Only a cached run that failed on TMDB itself has anything to resume; a rejected
+        // key fails the same way again.
+        error.resumable = Boolean(cache) && error.status !== 401;
+        throw error;
+      }
+      const delay = error.retryAfterMs ?? retryDelayMs * 2 ** attempt;
+      if (error.status === 429 && limiter) {
+        limiter.pause(delay);
+      }
+      console.warn(`Retrying ${new URL(url).pathname} in ${delay}ms (${error.message})`);
+      await sleepFn(delay);
+    }
+  }
+};
+
+const getDiscoverPage = async (page, options, query = DEFAULT_DISCOVER_QUERY) => {
+  const url = new URL(`${getBaseUrl(options)}/discover/movie`);
+  Object.entries(query).forEach(([key, value]) => {
+    url.searchParams.set(key, String(value));
+  });
   url.searchParams.set('page', String(page));
-  url.searchParams.set('sort_by', 'popularity.desc');
-  return fetchJson(url.toString(), options);
+  return requestJson(url.toString(), options);
 };
 
 const getMovieDetails = async (movieId, options) => {
-  const detailsUrl = `${TMDB_BASE_URL}/movie/${movieId}?language=en-US`;
-  const creditsUrl = `${TMDB_BASE_URL}/movie/${movieId}/credits?language=en-US`;
+  const {
+    castLimit = DEFAULT_CAST_LIMIT,
+    crewJobs = DEFAULT_CREW_JOBS,
+    includeKeywords = false,
+  } = options;
+  const url = new URL(`${getBaseUrl(options)}/movie/${movieId}`);
+  url.searchParams.set('language', 'en-US');
+  url.searchParams.set('append_to_response', includeKeywords ? 'credits,keywords' : 'credits');
 
-  const [details, credits] = await Promise.all([
-    fetchJson(detailsUrl, options),
-    fetchJson(creditsUrl, options),
-  ]);
+  const details = await requestJson(url.toString(), options);
+  const credits = details.credits ?? {};
+  const keywords = includeKeywords
+    ? {
+        keywords: details.keywords?.keywords?.map((keyword) => ({
+          id: keyword.id,
+          name: keyword.name,
+        })) ?? [],
+      }
+    : {};
 
   return {
     id: details.id,
@@ -86,48 +442,472 @@ const getMovieDetails = async (movieId, options) => {
     release_date: details.release_date,
     runtime: details.runtime,
     genres: details.genres?.map((genre) => ({ id: genre.id, name: genre.name })) ?? [],
-    cast: credits.cast?.slice(0, 1).map((person) => ({
+    original_language: details.original_language ?? null,
+    spoken_languages: details.spoken_languages?.map((language) => ({
+      iso_639_1: language.iso_639_1,
+      name: language.english_name ?? language.name,
+    })) ?? [],
+    production_companies: details.production_companies?.map((company) => ({
+      id: company.id,
+      name: company.name,
+    })) ?? [],
+    production_countries: details.production_countries?.map((country) => ({
+      iso_3166_1: country.iso_3166_1,
+      name: country.name,
+    })) ?? [],
+    belongs_to_collection: details.belongs_to_collection
+      ? { id: details.belongs_to_collection.id, name: details.belongs_to_collection.name }
+      : null,
+    vote_average: details.vote_average ?? null,
+    vote_count: details.vote_count ?? null,
+    popularity: details.popularity ?? null,
+    budget: details.budget ?? null,
+    revenue: details.revenue ?? null,
+    poster_path: details.poster_path ?? null,
+    ...keywords,
+    cast: credits.cast?.slice(0, castLimit).map((person) => ({
       id: person.id,
       name: person.name,
       character: person.character,
     })) ?? [],
-    crew: credits.crew?.filter((person) => person.job === 'Director').map((person) => ({
+    crew: credits.crew?.filter((person) => crewJobs.includes(person.job)).map((person) => ({
       id: person.id,
       name: person.name,
       job: person.job,
     })) ?? [],
+    fetched_at: new Date().toISOString(),
   };
 };
 
-const buildDataset = async ({ pages, maxMovies, apiKey, accessToken, fetchFn }) => {
-  const options = { apiKey, accessToken, fetchFn };
+const createRequestOptions = ({
+  apiKey,
+  accessToken,
+  fetchFn,
+  cache = null,
+  resume = false,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxRetries,
+  retryDelayMs,
+  sleepFn,
+  castLimit,
+  crewJobs,
+  includeKeywords,
+  baseUrl,
+  timeoutMs,
+}) => ({
+  apiKey,
+  accessToken,
+  fetchFn,
+  cache,
+  resume,
+  limiter: createRequestLimiter({ concurrency, sleepFn }),
+  maxRetries,
+  retryDelayMs,
+  sleepFn,
+  castLimit,
+  crewJobs,
+  includeKeywords,
+  baseUrl,
+  timeoutMs,
+});
+
+// Written to the dataset header, so --update loads refreshed and new movies the same way.
+const getDetailsHeader = ({
+  castLimit = DEFAULT_CAST_LIMIT,
+  crewJobs = DEFAULT_CREW_JOBS,
+  includeKeywords = false,
+}) => ({ cast: castLimit, crew_jobs: crewJobs, keywords: includeKeywords });
+
+const fetchMovieDetails = (movies, options) =>
+  Promise.all(
+    movies.map((movie) => {
+      console.log(`Fetching details for ${movie.title} (${movie.id})`);
+      return getMovieDetails(movie.id, options);
+    }),
+  );
+
+const buildDataset = async ({
+  pages = 1,
+  maxMovies = DEFAULT_MAX_MOVIES,
+  query = DEFAULT_DISCOVER_QUERY,
+  ...requestConfig
+}) => {
+  const options = createRequestOptions(requestConfig);
   const movies = [];
   const seenMovieIds = new Set();
 
   for (let page = 1; page <= pages; page += 1) {
     console.log(`Fetching page ${page}/${pages}...`);
-    const discover = await getDiscoverPage(page, options);
+    const discover = await getDiscoverPage(page, options, query);
 
+    const pageMovies = [];
     for (const movie of discover.results ?? []) {
-      if (movies.length >= maxMovies) break;
+      if (movies.length + pageMovies.length >= maxMovies) break;
       if (seenMovieIds.has(movie.id)) continue;
       seenMovieIds.add(movie.id);
-      console.log(`Fetching details for ${movie.title} (${movie.id})`);
-      const details = await getMovieDetails(movie.id, options);
-      movies.push(details);
+      pageMovies.push(movie);
     }
 
+    movies.push(...(await fetchMovieDetails(pageMovies, options)));
+
     if (movies.length >= maxMovies) break;
   }
 
   return {
+    schema_version: SCHEMA_VERSION,
     fetched_at: new Date().toISOString(),
     source: 'TMDB',
+    query,
+    discover: { pages, max_movies: maxMovies },
+    details: getDetailsHeader(requestConfig),
     movies,
   };
 };
 
+const getPersonMovies = async (personId, options, limit = DEFAULT_CRAWL_FANOUT) => {
+  const credits = await requestJson(
+    `${getBaseUrl(options)}/person/${personId}/movie_credits?language=en-US`,
+    options,
+  );
+  const seen = new Set();
+  return [...(credits.cast ?? []), ...(credits.crew ?? [])]
+    .filter((movie) => {
+      if (seen.has(movie.id)) return false;
+      seen.add(movie.id);
+      return true;
+    })
+    .sort((a, b) => (b.popularity ?? 0) - (a.popularity ?? 0))
+    .slice(0, limit);
+};
+
+const getRelatedMovies = async (movieId, relation, options, limit = DEFAULT_CRAWL_FANOUT) => {
+  const related = await requestJson(
+    `${getBaseUrl(options)}/movie/${movieId}/${relation}?language=en-US&page=1`,
+    options,
+  );
+  return (related.results ?? []).slice(0, limit);
+};
+
+const getMovieNeighbors = async (movie, { follow, fanout }, options) => {
+  const requests = ['recommendations', 'similar']
+    .filter((relation) => follow.includes(relation))
+    .map(async (relation) =>
+      (await getRelatedMovies(movie.id, relation, options, fanout)).map((related) => ({
+        id: related.id,
+        via: relation,
+      })),
+    );
+
+  if (follow.includes('people')) {
+    const people = new Map();
+    [...movie.cast, ...movie.crew].forEach((person) => people.set(person.id, person));
+    people.forEach((person) => {
+      requests.push(
+        getPersonMovies(person.id, options, fanout).then((credits) =>
+          credits.map((credit) => ({ id: credit.id, via: `person-${person.id}` })),
+        ),
+      );
+    });
+  }
+
+  return (await Promise.all(requests)).flat();
+};
+
+const buildSeedDataset = async ({
+  seedMovieIds = [],
+  seedPersonIds = [],
+  depth = DEFAULT_CRAWL_DEPTH,
+  budget,
+  maxMovies = DEFAULT_MAX_MOVIES,
+  follow = CRAWL_RELATIONS,
+  fanout = DEFAULT_CRAWL_FANOUT,
+  ...requestConfig
+}) => {
+  const options = createRequestOptions(requestConfig);
+  const movieLimit = Math.min(budget ?? maxMovies, maxMovies);
+  const movies = [];
+  const queued = new Set(seedMovieIds);
+  let firstError = null;
+
+  let frontier = seedMovieIds.map((id) => ({ id, seed: `movie-${id}`, hop: 0, via: 'seed' }));
+  // A person's filmography is already one hop away, so depth 0 keeps only the seed movies.
+  if (!depth && seedPersonIds.length) {
+    console.warn('--depth=0 ignores --seed-people; their movies are one hop away.');
+  }
+  for (const personId of depth ? seedPersonIds : []) {
+    console.log(`Fetching filmography of person ${personId}...`);
+    const credits = await getPersonMovies(personId, options, fanout);
+    credits.forEach((credit) => {
+      if (queued.has(credit.id)) return;
+      queued.add(credit.id);
+      frontier.push({ id: credit.id, seed: `person-${personId}`, hop: 1, via: `person-${personId}` });
+    });
+  }
+
+  while (frontier.length && movies.length < movieLimit) {
+    const level = frontier
+      .sort((a, b) => a.hop - b.hop)
+      .slice(0, movieLimit - movies.length);
+    console.log(`Crawling ${level.length} movies (hop ${level[0].hop}-${level[level.length - 1].hop})...`);
+
+    // Related movies and person credits sometimes point at movies TMDB no longer serves;
+    // one of them must not cost the whole crawl.
+    const fetched = (
+      await Promise.all(
+        level.map(async (entry) => {
+          try {
+            const details = await getMovieDetails(entry.id, options);
+            const crawl = { seed: entry.seed, hop: entry.hop, via: entry.via };
+            return { entry, movie: { ...details, crawl } };
+          } catch (error) {
+            console.warn(`Skipping movie ${entry.id} (${error.message})`);
+            firstError = firstError ?? error;
+            return null;
+          }
+        }),
+      )
+    ).filter(Boolean);
+    fetched.forEach(({ movie }) => movies.push(movie));
+
+    frontier = [];
+    if (movies.length >= movieLimit) break;
+    const expandable = fetched.filter(({ entry }) => entry.hop < depth);
+    const neighborLists = await Promise.all(
+      expandable.map(({ movie }) =>
+        getMovieNeighbors(movie, { follow, fanout }, options).catch((error) => {
+          console.warn(`Skipping neighbors of ${movie.title} (${movie.id}): ${error.message}`);
+          return [];
+        }),
+      ),
+    );
+    neighborLists.forEach((neighbors, index) => {
+      const { entry } = expandable[index];
+      neighbors.forEach((neighbor) => {
+        if (queued.has(neighbor.id)) return;
+        queued.add(neighbor.id);
+        frontier.push({ id: neighbor.id, seed: entry.seed, hop: entry.hop + 1, via: neighbor.via });
+      });
+    });
+  }
+  // Nothing at all usually means bad credentials or a dead base URL, not missing movies.
+  if (!movies.length && firstError) throw firstError;
+
+  return {
+    schema_version: SCHEMA_VERSION,
+    fetched_at: new Date().toISOString(),
+    source: 'TMDB',
+    crawl: {
+      seed_movies: seedMovieIds,
+      seed_people: seedPersonIds,
+      depth,
+      follow,
+    },
+    details: getDetailsHeader(requestConfig),
+    movies,
+  };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const getChangedMovieIds = async (since, until, options) => {
+  const changedIds = new Set();
+  const end = new Date(until);
+  let windowStart = new Date(since);
+
+  while (windowStart < end) {
+    const windowEnd = new Date(
+      Math.min(end.getTime(), windowStart.getTime() + CHANGES_WINDOW_DAYS * DAY_MS),
+    );
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const url = new URL(`${getBaseUrl(options)}/movie/changes`);
+      url.searchParams.set('start_date', formatDate(windowStart));
+      url.searchParams.set('end_date', formatDate(windowEnd));
+      url.searchParams.set('page', String(page));
+      const changes = await requestJson(url.toString(), options);
+      (changes.results ?? []).forEach((change) => changedIds.add(change.id));
+      totalPages = changes.total_pages ?? 1;
+      page += 1;
+    } while (page <= totalPages);
+    windowStart = windowEnd;
+  }
+
+  return changedIds;
+};
+
+// Compares everything except the fetch timestamp, which changes on every refresh.
+const isSameMovie = (a, b) => {
+  const { fetched_at: fetchedA, ...restA } = a;
+  const { fetched_at: fetchedB, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+};
+
+const mergeDatasets = (previous, fetchedMovies, { removedIds = [], fetchedAt } = {}) => {
+  const fetchedById = new Map(fetchedMovies.map((movie) => [movie.id, movie]));
+  const removed = new Set(removedIds);
+  const summary = { added: [], updated: [], removed: [], unchanged: 0 };
+  const movies = [];
+
+  previous.movies.forEach((movie) => {
+    if (removed.has(movie.id)) {
+      summary.removed.push(movie);
+      return;
+    }
+    const fetched = fetchedById.get(movie.id);
+    fetchedById.delete(movie.id);
+    if (!fetched) {
+      movies.push({ ...movie, fetched_at: movie.fetched_at ?? previous.fetched_at });
+      summary.unchanged += 1;
+      return;
+    }
+    if (isSameMovie(movie, fetched)) {
+      summary.unchanged += 1;
+    } else {
+      summary.updated.push(fetched);
+    }
+    movies.push(fetched);
+  });
+
+  fetchedById.forEach((movie) => {
+    movies.push(movie);
+    summary.added.push(movie);
+  });
+
+  return {
+    dataset: {
+      ...previous,
+      schema_version: SCHEMA_VERSION,
+      fetched_at: fetchedAt ?? new Date().toISOString(),
+      movies,
+    },
+    summary,
+  };
+};
+
+const formatDiffSummary = (summary) => {
+  const lines = [
+    `Update summary: +${summary.added.length} added, ~${summary.updated.length} updated, ` +
+      `-${summary.removed.length} removed (${summary.unchanged} unchanged)`,
+  ];
+  summary.added.forEach((movie) => lines.push(`  + ${movie.title} (${movie.id})`));
+  summary.updated.forEach((movie) => lines.push(`  ~ ${movie.title} (${movie.id})`));
+  summary.removed.forEach((movie) => lines.push(`  - ${movie.title} (${movie.id})`));
+  return lines.join('\n');
+};
+
+const updateDataset = async ({
+  existing,
+  pages = existing.discover?.pages,
+  maxMovies = existing.discover?.max_movies ?? DEFAULT_MAX_MOVIES,
+  prune = false,
+  query = existing.query ?? DEFAULT_DISCOVER_QUERY,
+  castLimit = existing.details?.cast ?? DEFAULT_CAST_LIMIT,
+  crewJobs = existing.details?.crew_jobs ?? DEFAULT_CREW_JOBS,
+  // Older datasets have no details header; their movies tell whether keywords were loaded.
+  includeKeywords = existing.details?.keywords ??
+    existing.movies.some((movie) => 'keywords' in movie),
+  ...requestConfig
+}) => {
+  // Discover pages would mix unrelated popular movies into a crawl, and --prune would drop it.
+  if (existing.crawl) {
+    throw new Error(
+      '--update only works with discover datasets. Rebuild crawled datasets with their seeds.',
+    );
+  }
+  // Pruning against fewer pages than the dataset was built from would drop most of it.
+  if (prune && pages === undefined) {
+    throw new Error('--prune needs --pages for datasets that do not record their discover pages.');
+  }
+  const pageCount = pages ?? 1;
+  const details = { castLimit, crewJobs, includeKeywords };
+  const options = createRequestOptions({ ...requestConfig, ...details });
+  const now = new Date();
+  const existingIds = new Set(existing.movies.map((movie) => movie.id));
+
+  let changedIds = existingIds;
+  if (existing.fetched_at) {
+    console.log(`Fetching TMDB changes since ${existing.fetched_at}...`);
+    changedIds = await getChangedMovieIds(existing.fetched_at, now, options);
+  } else {
+    console.log('Existing dataset has no fetched_at, refreshing every movie.');
+  }
+
+  const discoveredIds = new Set();
+  const newMovies = [];
+  for (let page = 1; page <= pageCount; page += 1) {
+    console.log(`Fetching page ${page}/${pageCount}...`);
+    const discover = await getDiscoverPage(page, options, query);
+    for (const movie of discover.results ?? []) {
+      if (discoveredIds.has(movie.id)) continue;
+      discoveredIds.add(movie.id);
+      // New movies come from the same window a fresh build would download, so a dataset
+      // that already holds maxMovies movies still picks up newcomers to the top results.
+      if (existingIds.has(movie.id) || discoveredIds.size > maxMovies) continue;
+      newMovies.push(movie);
+    }
+  }
+
+  const staleMovies = existing.movies.filter((movie) => changedIds.has(movie.id));
+  const removedIds = prune
+    ? existing.movies.filter((movie) => !discoveredIds.has(movie.id)).map((movie) => movie.id)
+    : [];
+  const refreshMovies = staleMovies.filter((movie) => !removedIds.includes(movie.id));
+  // A cached response is exactly what changed, so refreshes always go to TMDB.
+  const refreshOptions = { ...options, resume: false };
+
+  const refreshed = await Promise.all(
+    refreshMovies.map(async (movie) => {
+      console.log(`Refreshing ${movie.title} (${movie.id})`);
+      try {
+        return await getMovieDetails(movie.id, refreshOptions);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        console.warn(`${movie.title} (${movie.id}) no longer exists on TMDB`);
+        removedIds.push(movie.id);
+        return null;
+      }
+    }),
+  );
+  const added = await fetchMovieDetails(newMovies, options);
+
+  const header = {
+    ...existing,
+    query,
+    discover: { pages: pageCount, max_movies: maxMovies },
+    details: getDetailsHeader(details),
+  };
+  return mergeDatasets(header, [...refreshed.filter(Boolean), ...added], {
+    removedIds,
+    fetchedAt: now.toISOString(),
+  });
+};
+
+const loadDataset = async ({ inputPath, fsPromises = fs }) => {
+  let data;
+  try {
+    data = JSON.parse(await fsPromises.readFile(path.resolve(inputPath), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const { dataset, fromVersion } = migrateDataset(data);
+  if (dataset !== data) {
+    console.log(`Migrated ${inputPath} from schema version ${fromVersion} to ${SCHEMA_VERSION}`);
+  }
+  return dataset;
+};
+
+const assertValidDataset = (dataset, label) => {
+  const errors = validateDataset(dataset);
+  if (errors.length) {
+    const details = formatValidationErrors(errors, dataset).map((line) => `  - ${line}`);
+    throw new Error([`${label} does not match the dataset schema:`, ...details].join('\n'));
+  }
+};
+
 const writeDataset = async ({ outputPath, dataset, fsPromises = fs }) => {
+  assertValidDataset(dataset, `Dataset for ${outputPath}`);
   const resolvedPath = path.resolve(outputPath);
   await fsPromises.mkdir(path.dirname(resolvedPath), { recursive: true });
   await fsPromises.writeFile(resolvedPath, JSON.stringify(dataset, null, 2), 'utf8');
@@ -136,7 +916,31 @@ const writeDataset = async ({ outputPath, dataset, fsPromises = fs }) => {
 
 const runDownloader = async ({ argv, env, fetchFn, fsPromises } = {}) => {
   const config = resolveConfig(argv, env);
-  const dataset = await buildDataset({ ...config, fetchFn });
+  if (config.baseUrl !== TMDB_BASE_URL) {
+    console.log(`Using TMDB base URL ${config.baseUrl}`);
+  }
+  const cache = config.useCache ? createResponseCache({ cacheDir: config.cacheDir }) : null;
+  if (config.resume) {
+    console.log(`Resuming from response cache in ${path.resolve(config.cacheDir)}`);
+  }
+
+  let dataset;
+  if (config.update) {
+    const existing = await loadDataset({ inputPath: config.outputPath, fsPromises });
+    if (!existing) {
+      throw new Error(`Cannot update ${config.outputPath}: file not found. Run without --update first.`);
+    }
+    const query = await resolveDiscoverQuery({ ...config, baseQuery: existing.query, fsPromises });
+    const result = await updateDataset({ ...config, existing, query, cache, fetchFn });
+    console.log(formatDiffSummary(result.summary));
+    dataset = result.dataset;
+  } else if (config.seedMovieIds.length || config.seedPersonIds.length) {
+    dataset = await buildSeedDataset({ ...config, cache, fetchFn });
+  } else {
+    const query = await resolveDiscoverQuery({ ...config, fsPromises });
+    dataset = await buildDataset({ ...config, query, cache, fetchFn });
+  }
+
   const resolvedPath = await writeDataset({
     outputPath: config.outputPath,
     dataset,
@@ -151,6 +955,9 @@ const runCli = async () => {
     await runDownloader();
   } catch (error) {
     console.error(error);
+    if (error.resumable) {
+      console.error('Responses fetched so far are cached. Run again with --resume to continue.');
+    }
     process.exit(1);
   }
 };
@@ -160,13 +967,31 @@ if (require.main === module) {
 }
 
 module.exports = {
+  TMDB_BASE_URL,
   parseArgs,
+  parseSimpleYaml,
+  normalizeQuery,
+  loadQueryFile,
+  resolveDiscoverQuery,
   resolveConfig,
   buildUrl,
   fetchJson,
+  parseRetryAfter,
+  createRequestLimiter,
+  createResponseCache,
+  requestJson,
   getDiscoverPage,
   getMovieDetails,
   buildDataset,
+  getPersonMovies,
+  getMovieNeighbors,
+  buildSeedDataset,
+  getChangedMovieIds,
+  mergeDatasets,
+  formatDiffSummary,
+  updateDataset,
+  loadDataset,
+  assertValidDataset,
   writeDataset,
   runDownloader,
 };
@@ -1,9 +1,28 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 
-const { resolveConfig, buildUrl, buildDataset } = require('./download_tmdb');
+const {
+  resolveConfig,
+  buildUrl,
+  buildDataset,
+  parseRetryAfter,
+  createRequestLimiter,
+  createResponseCache,
+  requestJson,
+  mergeDatasets,
+  updateDataset,
+  parseSimpleYaml,
+  resolveDiscoverQuery,
+  buildSeedDataset,
+  getMovieDetails,
+  loadDataset,
+  writeDataset,
+} = require('./download_tmdb');
 
-const createFetchMock = () => {
+const createFetchMock = ({ changedIds = [], missingIds = [] } = {}) => {
   const calls = [];
   const fetchFn = async (url) => {
     calls.push(url);
@@ -12,6 +31,10 @@ const createFetchMock = () => {
       throw new Error('Unexpected keywords fetch');
     }
 
+    if (url.includes('/movie/changes')) {
+      return { ok: true, json: async () => ({ results: changedIds.map((id) => ({ id })), total_pages: 1 }) };
+    }
+
     if (url.includes('/discover/movie')) {
       const page = Number(new URL(url).searchParams.get('page'));
       const results = Array.from({ length: 60 }, (_, index) => {
@@ -21,25 +44,37 @@ const createFetchMock = () => {
       return { ok: true, json: async () => ({ results }) };
     }
 
-    if (url.includes('/credits')) {
-      const id = Number(url.match(/movie\/(\d+)/)?.[1]);
+    if (url.includes('/movie_credits')) {
+      const personId = Number(url.match(/person\/(\d+)/)?.[1]);
       return {
         ok: true,
         json: async () => ({
           cast: [
-            { id: id + 1, name: `Actor ${id}`, character: 'Lead' },
-            { id: id + 2, name: 'Extra', character: 'Extra' },
-          ],
-          crew: [
-            { id: 10, name: 'Director', job: 'Director' },
-            { id: 11, name: 'Writer', job: 'Writer' },
+            { id: personId * 10, title: 'Popular', popularity: 50 },
+            { id: personId * 10 + 1, title: 'Obscure', popularity: 1 },
           ],
+          crew: [{ id: personId * 10, title: 'Popular', popularity: 50 }],
         }),
       };
     }
 
+    const movieId = Number(url.match(/movie\/(\d+)/)?.[1]);
+
+    if (url.includes('/recommendations') || url.includes('/similar')) {
+      const offset = url.includes('/similar') ? 5 : 1;
+      return {
+        ok: true,
+        json: async () => ({ results: [{ id: movieId * 100 + offset }, { id: movieId * 100 + offset + 1 }] }),
+      };
+    }
+
+    if (missingIds.includes(movieId)) {
+      return { ok: false, status: 404, text: async () => 'Not found' };
+    }
+
     if (url.includes('/movie/')) {
-      const id = Number(url.match(/movie\/(\d+)/)?.[1]);
+      const id = movieId;
+      const appended = new URL(url).searchParams.get('append_to_response')?.split(',') ?? [];
       return {
         ok: true,
         json: async () => ({
@@ -48,6 +83,35 @@ const createFetchMock = () => {
           release_date: '2020-01-01',
           runtime: 120,
           genres: [{ id: 1, name: 'Drama' }],
+          original_language: 'de',
+          spoken_languages: [{ iso_639_1: 'de', english_name: 'German', name: 'Deutsch' }],
+          production_companies: [{ id: 7, name: 'Studio', logo_path: null, origin_country: 'DE' }],
+          production_countries: [{ iso_3166_1: 'DE', name: 'Germany' }],
+          belongs_to_collection: id === 42 ? { id: 99, name: 'Saga', poster_path: '/saga.jpg' } : null,
+          vote_average: 7.4,
+          vote_count: 812,
+          popularity: 33.1,
+          budget: 1000000,
+          revenue: 5000000,
+          poster_path: `/poster-${id}.jpg`,
+          ...(appended.includes('credits')
+            ? {
+                credits: {
+                  cast: [
+                    { id: id + 1, name: `Actor ${id}`, character: 'Lead' },
+                    { id: id + 2, name: 'Extra', character: 'Extra' },
+                  ],
+                  crew: [
+                    { id: 10, name: 'Director', job: 'Director' },
+                    { id: 11, name: 'Writer', job: 'Screenplay' },
+                    { id: 12, name: 'Composer', job: 'Original Music Composer' },
+                  ],
+                },
+              }
+            : {}),
+          ...(appended.includes('keywords')
+            ? { keywords: { keywords: [{ id: 825, name: 'dream' }] } }
+            : {}),
         }),
       };
     }
@@ -88,4 +152,513 @@ test('buildDataset caps movies and skips keywords', async () => {
   assert.ok(dataset.movies.every((movie) => movie.cast.length === 1));
   assert.ok(dataset.movies.every((movie) => !('keywords' in movie)));
   assert.ok(calls.every((url) => !url.includes('/keywords')));
+  assert.ok(dataset.movies.every((movie) => movie.crew.every((person) => person.job === 'Director')));
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now), 5000);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('createRequestLimiter bounds concurrent tasks', async () => {
+  const limiter = createRequestLimiter({ concurrency: 2 });
+  let active = 0;
+  let maxActive = 0;
+  const task = async () => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setImmediate(resolve));
+    active -= 1;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => limiter.run(task)));
+  assert.equal(maxActive, 2);
+});
+
+test('requestJson retries 429 responses and honors Retry-After', async () => {
+  const delays = [];
+  let attempts = 0;
+  const fetchFn = async () => {
+    attempts += 1;
+    if (attempts < 3) {
+      return {
+        ok: false,
+        status: attempts === 1 ? 429 : 503,
+        headers: { get: (name) => (name === 'retry-after' && attempts === 1 ? '2' : null) },
+        text: async () => 'busy',
+      };
+    }
+    return { ok: true, json: async () => ({ ok: true }) };
+  };
+
+  const body = await requestJson('https://api.themoviedb.org/3/movie/1', {
+    apiKey: 'key',
+    fetchFn,
+    retryDelayMs: 10,
+    sleepFn: async (ms) => delays.push(ms),
+  });
+
+  assert.deepEqual(body, { ok: true });
+  assert.equal(attempts, 3);
+  assert.deepEqual(delays, [2000, 20]);
+});
+
+test('requestJson does not retry client errors', async () => {
+  let attempts = 0;
+  const fetchFn = async () => {
+    attempts += 1;
+    return { ok: false, status: 401, text: async () => 'Invalid API key' };
+  };
+
+  await assert.rejects(
+    requestJson('https://api.themoviedb.org/3/movie/1', { apiKey: 'key', fetchFn }),
+    /TMDB request failed \(401\)/,
+  );
+  assert.equal(attempts, 1);
+});
+
+test('requestJson marks failures as resumable only when a cache is in use', async () => {
+  const failWith = (status) => async () => ({ ok: false, status, text: async () => 'nope' });
+  const cache = { get: async () => undefined, set: async () => {} };
+  const request = (status, options) =>
+    requestJson('https://api.themoviedb.org/3/movie/1', {
+      apiKey: 'key',
+      fetchFn: failWith(status),
+      maxRetries: 0,
+      ...options,
+    });
+
+  await assert.rejects(request(500, { cache }), (error) => error.resumable === true);
+  await assert.rejects(request(401, { cache }), (error) => error.resumable === false);
+  await assert.rejects(request(500, {}), (error) => error.resumable === false);
+});
+
+test('buildDataset resumes from the response cache without refetching', async () => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-cache-'));
+  try {
+    const cache = createResponseCache({ cacheDir });
+    const first = createFetchMock();
+    await buildDataset({
+      pages: 1,
+      maxMovies: 5,
+      apiKey: 'key',
+      accessToken: null,
+      fetchFn: first.fetchFn,
+      cache,
+    });
+    assert.ok(first.calls.length > 0);
+
+    const second = createFetchMock();
+    const dataset = await buildDataset({
+      pages: 1,
+      maxMovies: 5,
+      apiKey: 'other-key',
+      accessToken: null,
+      fetchFn: second.fetchFn,
+      cache,
+      resume: true,
+    });
+
+    assert.equal(dataset.movies.length, 5);
+    assert.equal(second.calls.length, 0);
+  } finally {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('mergeDatasets merges by id and reports added, updated and removed movies', () => {
+  const previous = {
+    fetched_at: '2024-01-01T00:00:00.000Z',
+    source: 'TMDB',
+    movies: [
+      { id: 1, title: 'Kept', runtime: 90 },
+      { id: 2, title: 'Changed', runtime: 100 },
+      { id: 3, title: 'Gone', runtime: 80 },
+    ],
+  };
+  const fetched = [
+    { id: 2, title: 'Changed', runtime: 105, fetched_at: '2024-02-01T00:00:00.000Z' },
+    { id: 4, title: 'New', runtime: 120, fetched_at: '2024-02-01T00:00:00.000Z' },
+  ];
+
+  const { dataset, summary } = mergeDatasets(previous, fetched, {
+    removedIds: [3],
+    fetchedAt: '2024-02-01T00:00:00.000Z',
+  });
+
+  assert.deepEqual(dataset.movies.map((movie) => movie.id), [1, 2, 4]);
+  assert.equal(dataset.movies[0].fetched_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(dataset.fetched_at, '2024-02-01T00:00:00.000Z');
+  assert.deepEqual(summary.added.map((movie) => movie.id), [4]);
+  assert.deepEqual(summary.updated.map((movie) => movie.id), [2]);
+  assert.deepEqual(summary.removed.map((movie) => movie.id), [3]);
+  assert.equal(summary.unchanged, 1);
+});
+
+test('updateDataset only fetches new and changed movies', async () => {
+  const { fetchFn, calls } = createFetchMock({ changedIds: [1001, 1002, 999999], missingIds: [1002] });
+  const existing = {
+    fetched_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
+    source: 'TMDB',
+    movies: [1000, 1001, 1002].map((id) => ({ id, title: `Movie ${id}`, runtime: 90 })),
+  };
+
+  const { dataset, summary } = await updateDataset({
+    existing,
+    pages: 1,
+    maxMovies: 5,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  const detailCalls = calls.filter((url) => /movie\/\d+\?/.test(url));
+  const fetchedIds = new Set(detailCalls.map((url) => Number(url.match(/movie\/(\d+)/)[1])));
+  assert.ok(!fetchedIds.has(1000));
+  assert.ok(fetchedIds.has(1001));
+  assert.deepEqual(summary.added.map((movie) => movie.id), [1003, 1004]);
+  assert.deepEqual(summary.updated.map((movie) => movie.id), [1001]);
+  assert.deepEqual(summary.removed.map((movie) => movie.id), [1002]);
+  assert.equal(dataset.movies.length, 4);
+});
+
+test('updateDataset adds new discover results to a dataset that is already full', async () => {
+  const { fetchFn } = createFetchMock();
+  const existing = {
+    source: 'TMDB',
+    movies: [1, 2, 3, 4, 5].map((id) => ({ id, title: `Movie ${id}`, runtime: 90 })),
+  };
+
+  const { dataset, summary } = await updateDataset({
+    existing,
+    pages: 2,
+    maxMovies: 5,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  assert.deepEqual(summary.added.map((movie) => movie.id), [1000, 1001, 1002, 1003, 1004]);
+  assert.equal(dataset.movies.length, 10);
+});
+
+test('updateDataset refreshes changed movies from TMDB even when resuming', async () => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-cache-'));
+  try {
+    const cache = createResponseCache({ cacheDir });
+    const stale = await getMovieDetails(1001, {
+      apiKey: 'key',
+      fetchFn: createFetchMock().fetchFn,
+      cache,
+    });
+    const existing = {
+      fetched_at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      source: 'TMDB',
+      movies: [{ ...stale, runtime: 90 }],
+    };
+    const { fetchFn, calls } = createFetchMock({ changedIds: [1001] });
+
+    const { summary } = await updateDataset({
+      existing,
+      pages: 1,
+      maxMovies: 1,
+      apiKey: 'key',
+      accessToken: null,
+      fetchFn,
+      cache,
+      resume: true,
+    });
+
+    assert.ok(calls.some((url) => /movie\/1001\?/.test(url)));
+    assert.deepEqual(summary.updated.map((movie) => movie.id), [1001]);
+  } finally {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('updateDataset loads movies with the detail options stored in the header', async () => {
+  const { fetchFn } = createFetchMock();
+  const details = { castLimit: 2, crewJobs: ['Director', 'Screenplay'], includeKeywords: true };
+  const existing = await buildDataset({
+    pages: 1,
+    maxMovies: 1,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+    ...details,
+  });
+  assert.deepEqual(existing.details, {
+    cast: 2,
+    crew_jobs: ['Director', 'Screenplay'],
+    keywords: true,
+  });
+
+  const { dataset, summary } = await updateDataset({
+    existing: { ...existing, fetched_at: undefined },
+    pages: 1,
+    maxMovies: 2,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  assert.equal(summary.updated.length, 0);
+  assert.equal(summary.added.length, 1);
+  assert.ok(dataset.movies.every((movie) => movie.cast.length === 2 && movie.keywords.length));
+  assert.ok(dataset.movies.every((movie) => movie.crew.length === 2));
+  assert.deepEqual(dataset.details, existing.details);
+});
+
+test('updateDataset prunes against the discover pages stored in the header', async () => {
+  const { fetchFn } = createFetchMock();
+  const existing = await buildDataset({
+    pages: 2,
+    maxMovies: 70,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+  assert.deepEqual(existing.discover, { pages: 2, max_movies: 70 });
+
+  const { dataset, summary } = await updateDataset({
+    existing,
+    prune: true,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn: createFetchMock({ changedIds: [] }).fetchFn,
+  });
+
+  assert.equal(summary.removed.length, 0);
+  assert.equal(dataset.movies.length, 70);
+  assert.ok(dataset.movies.some((movie) => movie.id >= 2000));
+  assert.deepEqual(dataset.discover, { pages: 2, max_movies: 70 });
+
+  const { discover, ...legacy } = existing;
+  await assert.rejects(
+    updateDataset({ existing: legacy, prune: true, apiKey: 'key', fetchFn }),
+    /--prune needs --pages/,
+  );
+});
+
+test('resolveConfig maps discover flags to TMDB query parameters', async () => {
+  const config = resolveConfig(
+    ['--with-original-language=de', '--year-from=1970', '--year-to=1990', '--vote-count-gte=500'],
+    { TMDB_API_KEY: 'key' },
+  );
+  const query = await resolveDiscoverQuery(config);
+
+  assert.equal(query.with_original_language, 'de');
+  assert.equal(query['primary_release_date.gte'], '1970-01-01');
+  assert.equal(query['primary_release_date.lte'], '1990-12-31');
+  assert.equal(query['vote_count.gte'], '500');
+  assert.equal(query.sort_by, 'popularity.desc');
+});
+
+test('parseSimpleYaml reads flat query files', () => {
+  const query = parseSimpleYaml(
+    ['# horror with enough votes', 'with_genres: [27, 53]', 'vote_count.gte: 500', "sort_by: 'vote_average.desc'"].join('\n'),
+  );
+  assert.deepEqual(query, {
+    with_genres: [27, 53],
+    'vote_count.gte': 500,
+    sort_by: 'vote_average.desc',
+  });
+  assert.throws(() => parseSimpleYaml('with_genres:\n  - 27'), /only flat/);
+});
+
+test('resolveDiscoverQuery lets flags override the query file', async () => {
+  const queryDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-query-'));
+  try {
+    const queryPath = path.join(queryDir, 'horror.yaml');
+    await fs.writeFile(queryPath, 'with_genres: [27]\nlanguage: de-DE\n', 'utf8');
+    const query = await resolveDiscoverQuery({ queryPath, queryFlags: { language: 'en-US' } });
+    assert.equal(query.with_genres, '27');
+    assert.equal(query.language, 'en-US');
+
+    await fs.writeFile(queryPath, 'with_ganres: [27]\n', 'utf8');
+    await assert.rejects(resolveDiscoverQuery({ queryPath }), /Unknown discover parameter "with_ganres"/);
+  } finally {
+    await fs.rm(queryDir, { recursive: true, force: true });
+  }
+});
+
+test('buildDataset sends the discover query and stores it in the header', async () => {
+  const { fetchFn, calls } = createFetchMock();
+  const query = await resolveDiscoverQuery({ queryFlags: { 'with-genres': '27' } });
+  const dataset = await buildDataset({
+    pages: 1,
+    maxMovies: 2,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+    query,
+  });
+
+  const discoverUrl = new URL(calls.find((url) => url.includes('/discover/movie')));
+  assert.equal(discoverUrl.searchParams.get('with_genres'), '27');
+  assert.equal(discoverUrl.searchParams.get('include_adult'), 'false');
+  assert.deepEqual(dataset.query, query);
+});
+
+test('buildSeedDataset crawls outward from seeds and records seed and hop', async () => {
+  const { fetchFn } = createFetchMock();
+  const dataset = await buildSeedDataset({
+    seedMovieIds: [7],
+    depth: 1,
+    maxMovies: 100,
+    follow: ['recommendations', 'similar'],
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  assert.deepEqual(dataset.movies.map((movie) => movie.id), [7, 701, 702, 705, 706]);
+  assert.deepEqual(dataset.movies[0].crawl, { seed: 'movie-7', hop: 0, via: 'seed' });
+  assert.deepEqual(dataset.movies[3].crawl, { seed: 'movie-7', hop: 1, via: 'similar' });
+  assert.deepEqual(dataset.crawl.seed_movies, [7]);
+});
+
+test('buildSeedDataset starts from person filmographies and respects the budget', async () => {
+  const { fetchFn } = createFetchMock();
+  const dataset = await buildSeedDataset({
+    seedPersonIds: [3],
+    depth: 3,
+    budget: 4,
+    maxMovies: 100,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  assert.equal(dataset.movies.length, 4);
+  assert.deepEqual(dataset.movies[0].crawl, { seed: 'person-3', hop: 1, via: 'person-3' });
+  assert.ok(dataset.movies.every((movie) => movie.crawl.seed === 'person-3'));
+  assert.ok(dataset.movies.slice(2).every((movie) => movie.crawl.hop === 2));
+});
+
+test('resolveConfig reads --max-movies', () => {
+  assert.equal(resolveConfig(['--max-movies=400'], { TMDB_API_KEY: 'key' }).maxMovies, 400);
+  // Absent, so buildDataset uses its default and --update the dataset header.
+  assert.equal(resolveConfig([], { TMDB_API_KEY: 'key' }).maxMovies, undefined);
+  assert.equal(resolveConfig([], { TMDB_API_KEY: 'key' }).pages, undefined);
+});
+
+test('buildSeedDataset with depth 0 returns only the seed movies', async () => {
+  const { fetchFn, calls } = createFetchMock();
+  const dataset = await buildSeedDataset({
+    seedMovieIds: [7],
+    seedPersonIds: [3],
+    depth: 0,
+    maxMovies: 100,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+
+  assert.deepEqual(dataset.movies.map((movie) => movie.id), [7]);
+  assert.ok(calls.every((url) => !url.includes('/person/')));
+});
+
+test('updateDataset refuses to mix discover results into a crawled dataset', async () => {
+  const { fetchFn, calls } = createFetchMock();
+  const existing = await buildSeedDataset({
+    seedMovieIds: [7],
+    depth: 0,
+    apiKey: 'key',
+    accessToken: null,
+    fetchFn,
+  });
+  calls.length = 0;
+
+  await assert.rejects(
+    updateDataset({ existing, pages: 1, prune: true, apiKey: 'key', fetchFn }),
+    /only works with discover datasets/,
+  );
+  assert.equal(calls.length, 0);
+});
+
+test('resolveConfig rejects malformed seed lists', () => {
+  assert.throws(
+    () => resolveConfig(['--seed-movies=603,abc'], { TMDB_API_KEY: 'key' }),
+    /--seed-movies expects a comma-separated list/,
+  );
+});
+
+test('getMovieDetails loads credits and keywords in a single request', async () => {
+  const { fetchFn, calls } = createFetchMock();
+  const movie = await getMovieDetails(42, {
+    apiKey: 'key',
+    fetchFn,
+    castLimit: 2,
+    crewJobs: ['Director', 'Original Music Composer'],
+    includeKeywords: true,
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(new URL(calls[0]).searchParams.get('append_to_response'), 'credits,keywords');
+  assert.deepEqual(movie.cast.map((person) => person.name), ['Actor 42', 'Extra']);
+  assert.deepEqual(movie.crew.map((person) => person.job), ['Director', 'Original Music Composer']);
+  assert.deepEqual(movie.keywords, [{ id: 825, name: 'dream' }]);
+});
+
+test('getMovieDetails keeps companies, countries, languages, ratings and collection', async () => {
+  const { fetchFn } = createFetchMock();
+  const movie = await getMovieDetails(42, { apiKey: 'key', fetchFn });
+
+  assert.equal(movie.original_language, 'de');
+  assert.deepEqual(movie.spoken_languages, [{ iso_639_1: 'de', name: 'German' }]);
+  assert.deepEqual(movie.production_companies, [{ id: 7, name: 'Studio' }]);
+  assert.deepEqual(movie.production_countries, [{ iso_3166_1: 'DE', name: 'Germany' }]);
+  assert.deepEqual(movie.belongs_to_collection, { id: 99, name: 'Saga' });
+  assert.equal(movie.vote_average, 7.4);
+  assert.equal(movie.vote_count, 812);
+  assert.equal(movie.popularity, 33.1);
+  assert.equal(movie.budget, 1000000);
+  assert.equal(movie.revenue, 5000000);
+  assert.equal(movie.poster_path, '/poster-42.jpg');
+});
+
+test('resolveConfig expands crew job aliases', () => {
+  const config = resolveConfig(['--cast=5', '--crew-jobs=director,writer,dop', '--keywords'], {
+    TMDB_API_KEY: 'key',
+  });
+  assert.equal(config.castLimit, 5);
+  assert.deepEqual(config.crewJobs, ['Director', 'Writer', 'Screenplay', 'Director of Photography']);
+  assert.equal(config.includeKeywords, true);
+
+  const defaults = resolveConfig([], { TMDB_API_KEY: 'key' });
+  assert.equal(defaults.castLimit, undefined);
+  assert.equal(defaults.includeKeywords, undefined);
+
+  const env = { TMDB_API_KEY: 'key' };
+  assert.equal(resolveConfig(['--keywords=false'], env).includeKeywords, false);
+  assert.equal(resolveConfig(['--keywords=0'], env).includeKeywords, false);
+  assert.equal(resolveConfig(['--keywords=true'], env).includeKeywords, true);
+  assert.equal(resolveConfig(['--no-cache=false'], env).useCache, true);
+});
+
+test('writeDataset refuses to write datasets that do not match the schema', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-write-'));
+  try {
+    const outputPath = path.join(outputDir, 'movies.json');
+    await assert.rejects(
+      writeDataset({
+        outputPath,
+        dataset: { schema_version: 1, source: 'TMDB', movies: [{ id: 1, title: 'Broken', cast: [], crew: [] }] },
+      }),
+      /movies\[0\] \("Broken"\) is missing required field "genres"/,
+    );
+    await assert.rejects(fs.access(outputPath));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('loadDataset migrates files written before the schema was versioned', async () => {
+  const dataset = await loadDataset({ inputPath: path.join(__dirname, '../data/movies20pages.json') });
+  assert.equal(dataset.schema_version, 1);
+  assert.equal(dataset.movies.length, 400);
 });
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const {
+  createGraph,
+  createMovieGraph,
+  buildSimilarityLinks,
+  buildActorLinks,
+} = require('../web/graph');
+const { parseArgs, loadDataset, assertValidDataset } = require('./download_tmdb');
+
+const EXPORT_FORMATS = ['csv', 'table', 'json', 'graphml', 'gexf'];
+const DEFAULT_MAX_LINKS_PER_NODE = 6;
+const MOVIE_COLUMNS = [
+  'id',
+  'title',
+  'release_date',
+  'year',
+  'runtime',
+  'vote_average',
+  'vote_count',
+  'popularity',
+  'original_language',
+  'genres',
+  'directors',
+  'cast',
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsv(row[column])).join(',')),
+  ].join('\n') + '\n';
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const getYear = (movie) => {
+  const year = Number(movie.release_date?.slice(0, 4));
+  return Number.isFinite(year) && year > 0 ? year : null;
+};
+
+// Uses the same link builders and limits as the force view, so exported edges match the app.
+const buildMovieNetwork = (data, { maxLinksPerNode = DEFAULT_MAX_LINKS_PER_NODE } = {}) => {
+  const { nodes } = createMovieGraph(data);
+  const moviesById = new Map(data.movies.map((movie) => [`movie-${movie.id}`, movie]));
+  const edges = [
+    ...buildSimilarityLinks(nodes, { maxLinksPerNode }).map((link) => ({ ...link, kind: 'similarity' })),
+    ...buildActorLinks(nodes, { maxLinksPerNode }).map((link) => ({ ...link, kind: 'actor' })),
+  ];
+  return {
+    nodes: nodes.map((node) => {
+      const movie = moviesById.get(node.id);
+      return {
+        id: node.id,
+        label: node.label,
+        year: node.year,
+        runtime: node.runtime ?? null,
+        genres: (movie.genres ?? []).map((genre) => genre.name).join('|'),
+      };
+    }),
+    edges,
+  };
+};
+
+const toFlatCsvFiles = (data) => {
+  const movies = data.movies.map((movie) => ({
+    id: movie.id,
+    title: movie.title,
+    release_date: movie.release_date,
+    year: getYear(movie),
+    runtime: movie.runtime,
+    vote_average: movie.vote_average,
+    vote_count: movie.vote_count,
+    popularity: movie.popularity,
+    original_language: movie.original_language,
+    genres: movie.genres.map((genre) => genre.name).join('|'),
+    directors: movie.crew
+      .filter((person) => person.job === 'Director')
+      .map((person) => person.name)
+      .join('|'),
+    cast: movie.cast.map((person) => person.name).join('|'),
+  }));
+  const people = data.movies.flatMap((movie) => [
+    ...movie.cast.map((person) => ({
+      movie_id: movie.id,
+      person_id: person.id,
+      name: person.name,
+      role: 'cast',
+      character: person.character,
+      job: '',
+    })),
+    ...movie.crew.map((person) => ({
+      movie_id: movie.id,
+      person_id: person.id,
+      name: person.name,
+      role: 'crew',
+      character: '',
+      job: person.job,
+    })),
+  ]);
+  const genres = data.movies.flatMap((movie) =>
+    movie.genres.map((genre) => ({ movie_id: movie.id, genre_id: genre.id, name: genre.name })),
+  );
+  const keywords = data.movies.flatMap((movie) =>
+    (movie.keywords ?? []).map((keyword) => ({
+      movie_id: movie.id,
+      keyword_id: keyword.id,
+      name: keyword.name,
+    })),
+  );
+
+  return {
+    'movies.csv': toCsv(MOVIE_COLUMNS, movies),
+    'people.csv': toCsv(['movie_id', 'person_id', 'name', 'role', 'character', 'job'], people),
+    'genres.csv': toCsv(['movie_id', 'genre_id', 'name'], genres),
+    'keywords.csv': toCsv(['movie_id', 'keyword_id', 'name'], keywords),
+  };
+};
+
+const toNodeEdgeTables = (data) => {
+  const graph = createGraph(data);
+  return {
+    'nodes.csv': toCsv(['id', 'label', 'type'], graph.nodes),
+    'edges.csv': toCsv(['source', 'target', 'type'], graph.links),
+  };
+};
+
+const toGraphJson = (data, options) => {
+  const bipartite = createGraph(data);
+  const network = buildMovieNetwork(data, options);
+  return {
+    'graph.json': `${JSON.stringify(
+      {
+        nodes: bipartite.nodes.map(({ id, label, type }) => ({ id, label, type })),
+        edges: [
+          ...bipartite.links.map((link) => ({ ...link, weight: 1 })),
+          ...network.edges.map(({ source, target, weight, kind }) => ({
+            source,
+            target,
+            type: kind,
+            weight,
+          })),
+        ],
+      },
+      null,
+      2,
+    )}\n`,
+  };
+};
+
+const toGraphMl = (data, options) => {
+  const { nodes, edges } = buildMovieNetwork(data, options);
+  const nodeXml = nodes.map(
+    (node) =>
+      `    <node id="${escapeXml(node.id)}">` +
+      `<data key="label">${escapeXml(node.label)}</data>` +
+      (node.year !== null ? `<data key="year">${node.year}</data>` : '') +
+      (node.runtime !== null ? `<data key="runtime">${node.runtime}</data>` : '') +
+      `<data key="genres">${escapeXml(node.genres)}</data></node>`,
+  );
+  const edgeXml = edges.map(
+    (edge, index) =>
+      `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">` +
+      `<data key="kind">${edge.kind}</data><data key="weight">${edge.weight}</data></edge>`,
+  );
+  return {
+    'graph.graphml': [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+      '  <key id="year" for="node" attr.name="year" attr.type="int"/>',
+      '  <key id="runtime" for="node" attr.name="runtime" attr.type="int"/>',
+      '  <key id="genres" for="node" attr.name="genres" attr.type="string"/>',
+      '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+      '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+      '  <graph id="MovieNebula" edgedefault="undirected">',
+      ...nodeXml,
+      ...edgeXml,
+      '  </graph>',
+      '</graphml>',
+      '',
+    ].join('\n'),
+  };
+};
+
+const toGexf = (data, options) => {
+  const { nodes, edges } = buildMovieNetwork(data, options);
+  const nodeXml = nodes.map((node) => {
+    const values = [
+      node.year !== null ? `<attvalue for="year" value="${node.year}"/>` : '',
+      node.runtime !== null ? `<attvalue for="runtime" value="${node.runtime}"/>` : '',
+      `<attvalue for="genres" value="${escapeXml(node.genres)}"/>`,
+    ].join('');
+    return `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}"><attvalues>${values}</attvalues></node>`;
+  });
+  const edgeXml = edges.map(
+    (edge, index) =>
+      `      <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" ` +
+      `label="${edge.kind}" weight="${edge.weight}"><attvalues><attvalue for="kind" value="${edge.kind}"/></attvalues></edge>`,
+  );
+  return {
+    'graph.gexf': [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+      `  <meta lastmodifieddate="${(data.fetched_at ?? new Date().toISOString()).slice(0, 10)}">`,
+      '    <creator>MovieNebula</creator>',
+      '  </meta>',
+      '  <graph defaultedgetype="undirected" mode="static">',
+      '    <attributes class="node">',
+      '      <attribute id="year" title="year" type="integer"/>',
+      '      <attribute id="runtime" title="runtime" type="integer"/>',
+      '      <attribute id="genres" title="genres" type="string"/>',
+      '    </attributes>',
+      '    <attributes class="edge">',
+      '      <attribute id="kind" title="kind" type="string"/>',
+      '    </attributes>',
+      '    <nodes>',
+      ...nodeXml,
+      '    </nodes>',
+      '    <edges>',
+      ...edgeXml,
+      '    </edges>',
+      '  </graph>',
+      '</gexf>',
+      '',
+    ].join('\n'),
+  };
+};
+
+const exporters = {
+  csv: toFlatCsvFiles,
+  table: toNodeEdgeTables,
+  json: toGraphJson,
+  graphml: toGraphMl,
+  gexf: toGexf,
+};
+
+const parseFormats = (value) => {
+  if (value === undefined || value === 'all') return EXPORT_FORMATS;
+  const formats = String(value).split(',').filter(Boolean);
+  const unknown = formats.filter((format) => !EXPORT_FORMATS.includes(format));
+  if (unknown.length) {
+    throw new Error(`Unknown export format(s): ${unknown.join(', ')}. Use ${EXPORT_FORMATS.join(', ')} or all.`);
+  }
+  return formats;
+};
+
+const exportDataset = (data, { formats = EXPORT_FORMATS, maxLinksPerNode } = {}) =>
+  formats.reduce(
+    (files, format) => ({ ...files, ...exporters[format](data, { maxLinksPerNode }) }),
+    {},
+  );
+
+const runExport = async ({ argv = process.argv.slice(2), fsPromises = fs } = {}) => {
+  const argMap = parseArgs(argv);
+  const inputPath = argMap.input ?? 'data/movies.json';
+  const formats = parseFormats(argMap.format);
+  const maxLinksRaw = Number(argMap['max-links'] ?? DEFAULT_MAX_LINKS_PER_NODE);
+  const maxLinksPerNode =
+    Number.isNaN(maxLinksRaw) || maxLinksRaw < 1 ? DEFAULT_MAX_LINKS_PER_NODE : maxLinksRaw;
+  const outputDir = path.resolve(
+    argMap.output ?? path.join('exports', path.basename(inputPath, path.extname(inputPath))),
+  );
+
+  const data = await loadDataset({ inputPath, fsPromises });
+  if (!data) {
+    throw new Error(`Cannot export ${inputPath}: file not found.`);
+  }
+  assertValidDataset(data, inputPath);
+
+  const files = exportDataset(data, { formats, maxLinksPerNode });
+  await fsPromises.mkdir(outputDir, { recursive: true });
+  await Promise.all(
+    Object.entries(files).map(([fileName, content]) =>
+      fsPromises.writeFile(path.join(outputDir, fileName), content, 'utf8'),
+    ),
+  );
+  console.log(`Exported ${Object.keys(files).join(', ')} to ${outputDir}`);
+  return { outputDir, files: Object.keys(files) };
+};
+
+if (require.main === module) {
+  runExport().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  buildMovieNetwork,
+  exportDataset,
+  runExport,
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { toCsv, buildMovieNetwork, exportDataset, runExport } = require('./export_dataset');
+const sample = require('../data/movies.sample.json');
+
+test('toCsv quotes separators, quotes and line breaks', () => {
+  assert.equal(
+    toCsv(['title', 'note'], [{ title: 'Crouching Tiger, Hidden Dragon', note: 'say "hi"\nbye' }]),
+    'title,note\n"Crouching Tiger, Hidden Dragon","say ""hi""\nbye"\n',
+  );
+});
+
+test('buildMovieNetwork produces weighted similarity edges for shared genres and keywords', () => {
+  const { nodes, edges } = buildMovieNetwork(sample);
+
+  assert.deepEqual(nodes.map((node) => node.id), ['movie-19995', 'movie-27205', 'movie-603']);
+  assert.equal(nodes[2].genres, 'Action|Science Fiction');
+  assert.ok(edges.length > 0);
+  assert.ok(edges.every((edge) => edge.kind === 'similarity' && edge.weight > 0 && edge.weight <= 1));
+});
+
+test('exportDataset writes flat CSV tables for movies, people, genres and keywords', () => {
+  const files = exportDataset(sample, { formats: ['csv'] });
+
+  assert.deepEqual(Object.keys(files), ['movies.csv', 'people.csv', 'genres.csv', 'keywords.csv']);
+  assert.match(files['movies.csv'], /^id,title,release_date,year,runtime/);
+  assert.match(files['movies.csv'], /603,The Matrix,1999-03-30,1999,136,.*,Lana Wachowski\|Lilly Wachowski,/);
+  assert.match(files['people.csv'], /27205,6193,Leonardo DiCaprio,cast,Dom Cobb,/);
+  assert.equal(files['genres.csv'].trim().split('\n').length, 1 + 7);
+});
+
+test('exportDataset writes GraphML and GEXF with escaped labels', () => {
+  const data = {
+    ...sample,
+    movies: [{ ...sample.movies[0], title: 'Fast & <Furious>' }, ...sample.movies.slice(1)],
+  };
+  const files = exportDataset(data, { formats: ['graphml', 'gexf'] });
+
+  assert.match(files['graph.graphml'], /<data key="label">Fast &amp; &lt;Furious&gt;<\/data>/);
+  assert.match(files['graph.graphml'], /<data key="kind">similarity<\/data><data key="weight">/);
+  assert.match(files['graph.gexf'], /<node id="movie-19995" label="Fast &amp; &lt;Furious&gt;">/);
+  assert.match(files['graph.gexf'], /<edge id="e0" source="movie-\d+" target="movie-\d+" label="similarity" weight="/);
+});
+
+test('runExport writes every format into the output directory', async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-export-'));
+  try {
+    const { files } = await runExport({
+      argv: [`--input=${path.join(__dirname, '../data/movies.sample.json')}`, `--output=${outputDir}`],
+    });
+
+    assert.deepEqual((await fs.readdir(outputDir)).sort(), [...files].sort());
+    const graph = JSON.parse(await fs.readFile(path.join(outputDir, 'graph.json'), 'utf8'));
+    assert.ok(graph.nodes.some((node) => node.type === 'genre'));
+    assert.ok(graph.edges.some((edge) => edge.type === 'similarity'));
+    assert.match(await fs.readFile(path.join(outputDir, 'edges.csv'), 'utf8'), /^source,target,type\n/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+const { SCHEMA_VERSION, validateDataset, formatValidationErrors } = require('../web/schema');
+const { parseArgs, loadDataset, writeDataset } = require('./download_tmdb');
+
+const runMigration = async ({ argv = process.argv.slice(2), fsPromises } = {}) => {
+  const argMap = parseArgs(argv);
+  const inputPath = argMap.input;
+  if (!inputPath) {
+    throw new Error('Missing --input=<path to movies.json>.');
+  }
+
+  const dataset = await loadDataset({ inputPath, fsPromises });
+  if (!dataset) {
+    throw new Error(`Cannot migrate ${inputPath}: file not found.`);
+  }
+
+  if (argMap.check) {
+    const errors = validateDataset(dataset);
+    if (errors.length) {
+      formatValidationErrors(errors, dataset, { limit: Infinity }).forEach((line) => {
+        console.error(`  - ${line}`);
+      });
+    } else {
+      console.log(`${inputPath} is valid (schema version ${SCHEMA_VERSION}).`);
+    }
+    return { valid: !errors.length, errors };
+  }
+
+  const resolvedPath = await writeDataset({
+    outputPath: argMap.output ?? inputPath,
+    dataset,
+    fsPromises,
+  });
+  console.log(`Saved schema version ${SCHEMA_VERSION} dataset to ${resolvedPath}`);
+  return { valid: true, errors: [], resolvedPath };
+};
+
+const runCli = async () => {
+  try {
+    const { valid } = await runMigration();
+    if (!valid) process.exit(1);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  runCli();
+}
+
+module.exports = {
+  runMigration,
+};
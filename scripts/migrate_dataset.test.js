@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { runMigration } = require('./migrate_dataset');
+
+const withTempDir = async (fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-migrate-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('runMigration upgrades an unversioned dataset', async () => {
+  await withTempDir(async (dir) => {
+    const inputPath = path.join(dir, 'old.json');
+    const outputPath = path.join(dir, 'new.json');
+    await fs.writeFile(
+      inputPath,
+      JSON.stringify({
+        fetched_at: '2024-01-15T12:00:00.000Z',
+        movies: [{ id: 603, title: 'The Matrix', cast: [{ id: 6384, name: 'Keanu Reeves' }] }],
+      }),
+    );
+
+    await runMigration({ argv: [`--input=${inputPath}`, `--output=${outputPath}`] });
+
+    const migrated = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.equal(migrated.schema_version, 1);
+    assert.equal(migrated.source, 'TMDB');
+    assert.deepEqual(migrated.movies[0].genres, []);
+    assert.deepEqual(migrated.movies[0].crew, []);
+  });
+});
+
+test('runMigration --check reports schema errors without writing', async () => {
+  await withTempDir(async (dir) => {
+    const inputPath = path.join(dir, 'broken.json');
+    const original = JSON.stringify({ schema_version: 1, source: 'TMDB', movies: [{ id: 'x' }] });
+    await fs.writeFile(inputPath, original);
+
+    const result = await runMigration({ argv: [`--input=${inputPath}`, '--check'] });
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some((error) => error.path === 'movies[0].id'));
+    assert.equal(await fs.readFile(inputPath, 'utf8'), original);
+  });
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, runDownloader } = require('./download_tmdb');
+const { DEFAULT_FIXTURES_DIR, toFixtureRequest, getFixtureFileName } = require('./tmdb_mock_server');
+
+const createRecordingFetch = ({ fetchFn = fetch, fixturesDir, fsPromises = fs }) => {
+  const recorded = [];
+  const rejected = [];
+  const recordingFetch = async (url, init) => {
+    const response = await fetchFn(url, init);
+    const text = await response.text();
+
+    // Only successful responses become fixtures. Rate limits and server errors are retried by
+    // the downloader; any other failure (a bad key, a missing movie) is reported after the run.
+    if (response.ok) {
+      const request = toFixtureRequest(url);
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = text;
+      }
+      const fileName = getFixtureFileName(request);
+      await fsPromises.mkdir(fixturesDir, { recursive: true });
+      await fsPromises.writeFile(
+        path.join(fixturesDir, fileName),
+        `${JSON.stringify({ request, status: response.status, body }, null, 2)}\n`,
+        'utf8',
+      );
+      recorded.push(fileName);
+    } else if (response.status !== 429 && response.status < 500) {
+      rejected.push(`${response.status} ${toFixtureRequest(url).path}`);
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      headers: response.headers,
+      json: async () => JSON.parse(text),
+      text: async () => text,
+    };
+  };
+  return { fetchFn: recordingFetch, recorded, rejected };
+};
+
+const runRecorder = async ({ argv = process.argv.slice(2), env = process.env, fetchFn } = {}) => {
+  const argMap = parseArgs(argv);
+  const fixturesDir = path.resolve(argMap.fixtures ?? DEFAULT_FIXTURES_DIR);
+  const downloaderArgs = argv.filter(
+    (arg) => !arg.startsWith('--fixtures=') && arg !== '--resume' && arg !== '--no-cache',
+  );
+  if (!argMap.output) {
+    downloaderArgs.push(`--output=${path.join(os.tmpdir(), 'movienebula-recording.json')}`);
+  }
+
+  const recorder = createRecordingFetch({ fetchFn, fixturesDir });
+  await runDownloader({
+    argv: [...downloaderArgs, '--no-cache'],
+    env,
+    fetchFn: recorder.fetchFn,
+  });
+  if (recorder.rejected.length) {
+    throw new Error(
+      `TMDB answered ${recorder.rejected.length} request(s) with an error, which were not ` +
+        `recorded: ${recorder.rejected.join(', ')}`,
+    );
+  }
+  console.log(`Recorded ${recorder.recorded.length} fixtures to ${fixturesDir}`);
+  return { fixturesDir, recorded: recorder.recorded };
+};
+
+if (require.main === module) {
+  runRecorder().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRecordingFetch,
+  runRecorder,
+};
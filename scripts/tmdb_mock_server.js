@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const http = require('http');
+const path = require('path');
+
+const { parseArgs } = require('./download_tmdb');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'tmdb');
+const DEFAULT_PORT = 8787;
+const DEFAULT_TIMEOUT_DELAY_MS = 60000;
+const NOT_FOUND_BODY = {
+  success: false,
+  status_code: 34,
+  status_message: 'The resource you requested could not be found.',
+};
+const UNAUTHORIZED_BODY = {
+  success: false,
+  status_code: 7,
+  status_message: 'Invalid API key: You must be granted a valid key.',
+};
+
+// Drops the credentials so recorded fixtures never contain an API key.
+const toFixtureRequest = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.delete('api_key');
+  const pathname = parsed.pathname.replace(/^\/3(?=\/)/, '');
+  const query = Object.fromEntries(
+    Array.from(parsed.searchParams.entries()).sort(([a], [b]) => a.localeCompare(b)),
+  );
+  return { path: pathname, query };
+};
+
+const getFixtureFileName = ({ path: requestPath, query }) => {
+  const slug = requestPath.replace(/^\//, '').replace(/[^\w-]+/g, '_');
+  const hash = crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex').slice(0, 8);
+  return `${slug}-${hash}.json`;
+};
+
+const loadFixtures = async (fixturesDir = DEFAULT_FIXTURES_DIR) => {
+  const files = (await fs.readdir(fixturesDir)).filter((file) => file.endsWith('.json'));
+  return Promise.all(
+    files.map(async (file) => {
+      const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, file), 'utf8'));
+      return { file, status: 200, ...fixture, request: { query: {}, ...fixture.request } };
+    }),
+  );
+};
+
+// A fixture matches when its path is equal and all of its query parameters are present
+// in the request. The fixture with the most matching parameters wins.
+const findFixture = (fixtures, request) =>
+  fixtures
+    .filter(
+      (fixture) =>
+        fixture.request.path === request.path &&
+        Object.entries(fixture.request.query).every(
+          ([key, value]) => request.query[key] === String(value),
+        ),
+    )
+    .sort((a, b) => Object.keys(b.request.query).length - Object.keys(a.request.query).length)[0];
+
+const matchesFailure = (failure, request) => {
+  if (!failure.match) return true;
+  if (failure.match.startsWith('/') && failure.match.endsWith('/') && failure.match.length > 1) {
+    return new RegExp(failure.match.slice(1, -1)).test(request.path);
+  }
+  return request.path.includes(failure.match);
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json;charset=utf-8', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+// Pending timeouts are tracked so stop() can clear them instead of keeping the process alive.
+const applyFailure = (failure, res, timers) => {
+  if (failure.type === 'timeout') {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      res.destroy();
+    }, failure.delayMs ?? DEFAULT_TIMEOUT_DELAY_MS);
+    timers.add(timer);
+    return;
+  }
+  if (failure.type === 'malformed') {
+    sendJson(res, 200, '{"results": [');
+    return;
+  }
+  const status = failure.type === '429' ? 429 : Number(failure.type) || 500;
+  const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+  sendJson(res, status, { success: false, status_code: status, status_message: 'Injected failure' }, headers);
+};
+
+const createMockServer = ({ fixtures = [], failures = [] } = {}) => {
+  const requests = [];
+  const timers = new Set();
+  const remainingFailures = failures.map((failure) => ({ ...failure, remaining: failure.times ?? Infinity }));
+
+  const server = http.createServer((req, res) => {
+    const request = toFixtureRequest(req.url);
+    requests.push(request);
+
+    const hasApiKey = new URL(req.url, 'http://localhost').searchParams.has('api_key');
+    if (!hasApiKey && !req.headers.authorization?.startsWith('Bearer ')) {
+      sendJson(res, 401, UNAUTHORIZED_BODY);
+      return;
+    }
+
+    const failure = remainingFailures.find(
+      (entry) => entry.remaining > 0 && matchesFailure(entry, request),
+    );
+    if (failure) {
+      failure.remaining -= 1;
+      applyFailure(failure, res, timers);
+      return;
+    }
+
+    const fixture = findFixture(fixtures, request);
+    if (!fixture) {
+      sendJson(res, 404, NOT_FOUND_BODY);
+      return;
+    }
+    sendJson(res, fixture.status, fixture.body);
+  });
+
+  const start = (port = 0) =>
+    new Promise((resolve) => {
+      server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}/3`);
+      });
+    });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+
+  return { server, requests, start, stop };
+};
+
+const runCli = async () => {
+  const argMap = parseArgs(process.argv.slice(2));
+  const fixtures = await loadFixtures(argMap.fixtures ?? DEFAULT_FIXTURES_DIR);
+  const failures = argMap.failures
+    ? JSON.parse(await fs.readFile(path.resolve(argMap.failures), 'utf8'))
+    : [];
+  const mock = createMockServer({ fixtures, failures });
+  const baseUrl = await mock.start(Number(argMap.port ?? DEFAULT_PORT));
+  console.log(`TMDB mock server with ${fixtures.length} fixtures listening on ${baseUrl}`);
+  console.log(`Run the downloader with --base-url=${baseUrl}`);
+};
+
+if (require.main === module) {
+  runCli().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  toFixtureRequest,
+  getFixtureFileName,
+  loadFixtures,
+  findFixture,
+  createMockServer,
+};
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const { runDownloader } = require('./download_tmdb');
+const { createMockServer, loadFixtures, findFixture, toFixtureRequest } = require('./tmdb_mock_server');
+const { runRecorder } = require('./record_tmdb_fixtures');
+
+const withMockServer = async (failures, fn) => {
+  const fixtures = await loadFixtures();
+  const mock = createMockServer({ fixtures, failures });
+  const baseUrl = await mock.start();
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'movienebula-e2e-'));
+  try {
+    await fn({ mock, baseUrl, outputDir });
+  } finally {
+    await mock.stop();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+};
+
+const download = (baseUrl, outputPath, extraArgs = []) =>
+  runDownloader({
+    argv: [
+      `--base-url=${baseUrl}`,
+      `--output=${outputPath}`,
+      '--pages=1',
+      '--no-cache',
+      '--retry-delay=1',
+      ...extraArgs,
+    ],
+    env: { TMDB_API_KEY: 'test-key' },
+  });
+
+test('findFixture prefers the fixture with the most matching query parameters', () => {
+  const fixtures = [
+    { request: { path: '/movie/1', query: {} }, body: 'generic' },
+    { request: { path: '/movie/1', query: { append_to_response: 'credits' } }, body: 'credits' },
+  ];
+  const request = toFixtureRequest('/3/movie/1?api_key=secret&append_to_response=credits&language=en-US');
+
+  assert.deepEqual(request.query, { append_to_response: 'credits', language: 'en-US' });
+  assert.equal(findFixture(fixtures, request).body, 'credits');
+  assert.equal(findFixture(fixtures, toFixtureRequest('/3/movie/2')), undefined);
+});
+
+test('runDownloader downloads a dataset end to end from the mock server', async () => {
+  await withMockServer([], async ({ baseUrl, outputDir }) => {
+    const outputPath = path.join(outputDir, 'movies.json');
+    const result = await download(baseUrl, outputPath);
+
+    const dataset = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.equal(result.movies, 3);
+    assert.deepEqual(dataset.movies.map((movie) => movie.title), ['Avatar', 'Inception', 'The Matrix']);
+    assert.deepEqual(dataset.movies[2].crew.map((person) => person.name), [
+      'Lana Wachowski',
+      'Lilly Wachowski',
+    ]);
+    assert.deepEqual(dataset.movies[0].belongs_to_collection, { id: 87096, name: 'Avatar Collection' });
+  });
+});
+
+test('runDownloader recovers from injected 429s, 5xx, timeouts and malformed JSON', async () => {
+  const failures = [
+    { match: '/discover/movie', type: '429', retryAfter: 0, times: 1 },
+    { match: '/movie/603', type: '503', times: 2 },
+    { match: '/movie/27205', type: 'malformed', times: 1 },
+    { match: '/movie/19995', type: 'timeout', delayMs: 2000, times: 1 },
+  ];
+  await withMockServer(failures, async ({ mock, baseUrl, outputDir }) => {
+    const outputPath = path.join(outputDir, 'movies.json');
+    const result = await download(baseUrl, outputPath, ['--timeout=200']);
+
+    assert.equal(result.movies, 3);
+    assert.equal(mock.requests.filter((request) => request.path === '/discover/movie').length, 2);
+    assert.equal(mock.requests.filter((request) => request.path === '/movie/603').length, 3);
+  });
+});
+
+test('runDownloader gives up after the retry budget and writes nothing', async () => {
+  await withMockServer([{ match: '/movie/603', type: '500' }], async ({ baseUrl, outputDir }) => {
+    const outputPath = path.join(outputDir, 'movies.json');
+    await assert.rejects(download(baseUrl, outputPath, ['--retries=2']), /TMDB request failed \(500\)/);
+    await assert.rejects(fs.access(outputPath));
+  });
+});
+
+test('runDownloader crawls seeds against the mock server', async () => {
+  await withMockServer([], async ({ baseUrl, outputDir }) => {
+    const outputPath = path.join(outputDir, 'crawl.json');
+    await download(baseUrl, outputPath, ['--seed-movies=603', '--follow=recommendations']);
+
+    const dataset = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.deepEqual(
+      dataset.movies.map((movie) => [movie.id, movie.crawl.hop]),
+      [
+        [603, 0],
+        [27205, 1],
+        [19995, 1],
+      ],
+    );
+  });
+});
+
+test('runDownloader skips movies of the crawl frontier that TMDB cannot serve', async () => {
+  await withMockServer([{ match: '/movie/27205', type: '404' }], async ({ baseUrl, outputDir }) => {
+    const outputPath = path.join(outputDir, 'crawl.json');
+    await download(baseUrl, outputPath, ['--seed-movies=603', '--follow=recommendations']);
+
+    const dataset = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    assert.deepEqual(
+      dataset.movies.map((movie) => [movie.id, movie.crawl.hop]),
+      [
+        [603, 0],
+        [19995, 1],
+      ],
+    );
+  });
+});
+
+test('the mock server rejects requests without credentials', async () => {
+  await withMockServer([], async ({ baseUrl }) => {
+    const response = await fetch(`${baseUrl}/discover/movie`);
+    assert.equal(response.status, 401);
+  });
+});
+
+test('runRecorder writes fixtures without the API key', async () => {
+  await withMockServer([], async ({ baseUrl, outputDir }) => {
+    const fixturesDir = path.join(outputDir, 'fixtures');
+    const { recorded } = await runRecorder({
+      argv: [`--base-url=${baseUrl}`, `--fixtures=${fixturesDir}`, `--output=${path.join(outputDir, 'movies.json')}`],
+      env: { TMDB_API_KEY: 'secret-key' },
+    });
+
+    assert.equal(recorded.length, 4);
+    const fixtures = await loadFixtures(fixturesDir);
+    assert.ok(fixtures.some((fixture) => fixture.request.path === '/movie/603'));
+    const raw = await Promise.all(
+      recorded.map((file) => fs.readFile(path.join(fixturesDir, file), 'utf8')),
+    );
+    assert.ok(raw.every((content) => !content.includes('secret-key')));
+  });
+});
+
+test('runRecorder refuses to record error responses', async () => {
+  await withMockServer([{ match: '/movie/27205', type: '404' }], async ({ baseUrl, outputDir }) => {
+    const fixturesDir = path.join(outputDir, 'fixtures');
+    await assert.rejects(
+      runRecorder({
+        argv: [
+          `--base-url=${baseUrl}`,
+          `--fixtures=${fixturesDir}`,
+          `--output=${path.join(outputDir, 'crawl.json')}`,
+          '--seed-movies=603',
+          '--follow=recommendations',
+        ],
+        env: { TMDB_API_KEY: 'secret-key' },
+      }),
+      /not recorded: 404 \/movie\/27205/,
+    );
+    const fixtures = await loadFixtures(fixturesDir);
+    assert.ok(fixtures.every((fixture) => fixture.status === 200));
+    assert.ok(fixtures.every((fixture) => fixture.request.path !== '/movie/27205'));
+  });
+});
+
+test('stopping the mock server clears pending timeouts', async () => {
+  const countTimeouts = () =>
+    process.getActiveResourcesInfo().filter((resource) => resource === 'Timeout').length;
+  const mock = createMockServer({ failures: [{ type: 'timeout', delayMs: 60000 }] });
+  const baseUrl = await mock.start();
+  const before = countTimeouts();
+  await assert.rejects(
+    fetch(`${baseUrl}/movie/1?api_key=key`, { signal: AbortSignal.timeout(100) }),
+  );
+  assert.ok(countTimeouts() > before);
+  await mock.stop();
+  assert.equal(countTimeouts(), before);
+});
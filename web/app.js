@@ -3,6 +3,10 @@ const colorMap = {
   genre: '#a855f7',
   person: '#22c55e',
   keyword: '#f97316',
+  company: '#eab308',
+  country: '#ef4444',
+  language: '#14b8a6',
+  collection: '#ec4899',
 };
 
 const svg = d3.select('#network');
@@ -17,13 +21,162 @@ const zoomOutButton = document.getElementById('zoomOut');
 const zoomResetButton = document.getElementById('zoomReset');
 const zoomValue = document.getElementById('zoomValue');
 const datasetInfo = document.getElementById('datasetInfo');
+const datasetErrors = document.getElementById('datasetErrors');
+const detailPanel = document.getElementById('detailPanel');
+const searchInput = document.getElementById('searchInput');
+const searchSuggestions = document.getElementById('searchSuggestions');
+const searchStatus = document.getElementById('searchStatus');
+const searchStatusText = document.getElementById('searchStatusText');
+const searchFilterResetButton = document.getElementById('searchFilterReset');
 const listContainer = document.getElementById('simpleList');
+const yearMinInput = document.getElementById('yearMin');
+const yearMaxInput = document.getElementById('yearMax');
+const yearRangeValue = document.getElementById('yearRangeValue');
+const runtimeMinInput = document.getElementById('runtimeMin');
+const runtimeMaxInput = document.getElementById('runtimeMax');
+const runtimeRangeValue = document.getElementById('runtimeRangeValue');
+const minRatingInput = document.getElementById('minRating');
+const minRatingValue = document.getElementById('minRatingValue');
+const genreFacet = document.getElementById('genreFacet');
+const termInput = document.getElementById('termInput');
+const termModeInput = document.getElementById('termMode');
+const termOptions = document.getElementById('termOptions');
+const termChips = document.getElementById('termChips');
+const filterResetButton = document.getElementById('filterReset');
+const pathControls = document.getElementById('pathControls');
+const pathSourceInput = document.getElementById('pathSource');
+const pathTargetInput = document.getElementById('pathTarget');
+const pathOptions = document.getElementById('pathOptions');
+const pathEdgeTypesInput = document.getElementById('pathEdgeTypes');
+const pathCountInput = document.getElementById('pathCount');
 const chartSelect = document.getElementById('chartType');
+const timelineLanesInput = document.getElementById('timelineLanes');
+const personInput = document.getElementById('personInput');
+const personOptions = document.getElementById('personOptions');
+const scatterControls = document.getElementById('scatterControls');
+const scatterXInput = document.getElementById('scatterX');
+const scatterYInput = document.getElementById('scatterY');
+const scatterColorInput = document.getElementById('scatterColor');
+const scatterSizeInput = document.getElementById('scatterSize');
+const selectionFacet = document.getElementById('selectionFacet');
+const selectionInfo = document.getElementById('selectionInfo');
+const selectionClearButton = document.getElementById('selectionClear');
+const layoutProgress = document.getElementById('layoutProgress');
+const layoutFileControls = document.getElementById('layoutFileControls');
+const layoutSaveButton = document.getElementById('layoutSave');
+const layoutFileInput = document.getElementById('layoutJsonFile');
+const layoutFileInfo = document.getElementById('layoutFileInfo');
 const layoutModeKey = 'movienebula.layoutMode';
 const defaultLayoutMode = 'similarity';
+const defaultChartType = 'list';
+const defaultTableSort = { key: 'title', direction: 'asc' };
+const rendererKey = 'movienebula.renderer';
+const canvasNodeThreshold = 1500;
+
+const { migrateDataset, validateDataset, formatValidationErrors } = MovieNebulaSchema;
+const { buildSearchIndex, searchIndex } = MovieNebulaSearch;
+const { createEmptyFilters, getFacetBounds, filterMovies } = MovieNebulaFilters;
+const { encodeUrlState, decodeUrlState } = MovieNebulaUrlState;
+const {
+  TABLE_COLUMNS,
+  getTableRow,
+  sortRows,
+  filterRows,
+  getVisibleRange,
+  toCsv,
+} = MovieNebulaTable;
+const {
+  OTHER_LANE,
+  NONE_LANE,
+  parseReleaseDate,
+  buildTimelineLanes,
+  buildTimelineArcs,
+  getSharedPeople,
+} = MovieNebulaTimeline;
+const {
+  getMovieCredits,
+  getFilmography,
+  getMostCreditedPerson,
+  getCollaborators,
+  buildCollaborationNetwork,
+} = MovieNebulaPeople;
+const {
+  SCATTER_FIELDS,
+  getSimilarityDegrees,
+  getScatterPoints,
+  getFieldDomain,
+  selectPointsInBounds,
+} = MovieNebulaScatter;
+const { OTHER_GENRE, buildGenreMatrix, buildGenreTrends } = MovieNebulaGenres;
+const {
+  createLayoutRunner,
+  getDatasetKey,
+  createLayoutFile,
+  storeLayout,
+  getStoredPositions,
+  parseLayoutFile,
+} = MovieNebulaLayout;
+const {
+  createGraph,
+  computeDegrees,
+  getNeighbors,
+  filterGraphByType,
+  createMovieGraph,
+  PATH_EDGE_TYPES,
+  DEFAULT_PATH_EDGE_TYPES,
+  buildPathGraph,
+  findShortestPaths,
+} = MovieNebulaGraph;
 
 let currentData = null;
 let currentLayoutModeUpdater = null;
+let currentSearchHandler = null;
+let currentSearchIndex = [];
+let currentNetworkUpdater = null;
+let filterState = createEmptyFilters();
+let facetBounds = null;
+let activeCanvasLayer = null;
+let activeSimulation = null;
+let layoutClient = null;
+let currentLayoutHandler = null;
+let layoutDataVersion = 0;
+let layoutRunId = 0;
+let currentLayoutFile = null;
+let currentLayoutNodes = null;
+let currentSelectedId = null;
+let currentSelectHandler = null;
+let currentPersonId = null;
+let activeZoomLayer = null;
+let tableSort = defaultTableSort;
+let tableColumnFilters = {};
+let tableAnchorId = null;
+let markedNodeIds = new Set();
+let pendingUrlState = decodeUrlState(location.hash);
+let applyingUrlState = false;
+let urlStateTimer = null;
+
+const nodeTypeLabels = {
+  movie: 'Film',
+  genre: 'Genre',
+  person: 'Person',
+  keyword: 'Keyword',
+  company: 'Produktionsfirma',
+  country: 'Land',
+  language: 'Sprache',
+  collection: 'Filmreihe',
+};
+
+const pathEdgeTypeLabels = {
+  cast: 'Besetzung',
+  crew: 'Crew',
+  keyword: 'Keywords',
+  similarity: 'Ähnlichkeit',
+  collection: 'Filmreihen',
+  genre: 'Genres',
+  company: 'Produktionsfirmen',
+  country: 'Länder',
+  language: 'Sprachen',
+};
 
 const createLayoutModeControl = () => {
   const controls = document.querySelector('.controls');
@@ -39,6 +192,7 @@ const createLayoutModeControl = () => {
     <option value="similarity">Genre + Similarity</option>
     <option value="actor">Genre + Actor</option>
     <option value="year">Genre + Year</option>
+    <option value="cluster">Community-Cluster</option>
   `;
 
   label.appendChild(select);
@@ -56,274 +210,378 @@ if (layoutModeInput) {
   layoutModeInput.addEventListener('change', () => {
     localStorage.setItem(layoutModeKey, layoutModeInput.value);
     if (currentLayoutModeUpdater) {
-      currentLayoutModeUpdater(layoutModeInput.value);
+      currentLayoutModeUpdater(layoutModeInput.value, { restore: true });
     }
+    updateUrlState({ push: true });
   });
 }
 
-const createGraph = (data) => {
-  const nodes = [];
-  const links = [];
-  const nodeMap = new Map();
+const updateInfo = (data) => {
+  const fetchedAt = data.fetched_at ? new Date(data.fetched_at).toLocaleDateString('de-DE') : 'lokal';
+  datasetInfo.textContent = `Datensatz: ${data.movies.length} Filme · ${fetchedAt}`;
+};
 
-  const ensureNode = (id, label, type, meta = {}) => {
-    if (nodeMap.has(id)) {
-      return nodeMap.get(id);
-    }
-    const node = {
-      id,
-      label,
-      type,
-      ...meta,
-    };
-    nodeMap.set(id, node);
-    nodes.push(node);
-    return node;
-  };
+const getLinkStrength = () => {
+  if (!linkStrengthInput) return 0.1;
+  return Math.abs(Number(linkStrengthInput.value)) / 1000;
+};
 
-  const movieIds = new Set();
-  const linkKeys = new Set();
-  const addLink = (source, target, type) => {
-    const key = `${source}|${target}|${type}`;
-    if (linkKeys.has(key)) return;
-    linkKeys.add(key);
-    links.push({ source, target, type });
-  };
+const getVisibleNodeTypes = () => {
+  if (!filterInput) return Object.keys(colorMap);
+  return Array.from(filterInput.querySelectorAll('input[type="checkbox"]:checked')).map(
+    (input) => input.value,
+  );
+};
 
-  data.movies.forEach((movie) => {
-    if (movieIds.has(movie.id)) return;
-    movieIds.add(movie.id);
+const setNodeFilterEnabled = (enabled) => {
+  if (!filterInput) return;
+  filterInput.disabled = !enabled;
+  filterInput.onchange = null;
+};
 
-    const movieNode = ensureNode(`movie-${movie.id}`, movie.title, 'movie', {
-      releaseDate: movie.release_date,
-      runtime: movie.runtime,
-    });
+// The movie layout runs in a worker. Where workers are unavailable (e.g. on file://) or fail
+// to load, the same runner takes turns with the page on the main thread instead.
+const createLayoutClient = (onMessage) => {
+  let worker = null;
+  let runner = null;
+  let sentDataVersion = null;
+  let lastStart = null;
 
-    movie.genres.forEach((genre) => {
-      const genreNode = ensureNode(`genre-${genre.id}`, genre.name, 'genre');
-      addLink(movieNode.id, genreNode.id, 'genre');
-    });
+  const useMainThread = () => {
+    worker?.terminate();
+    worker = null;
+    sentDataVersion = null;
+    runner = createLayoutRunner({ d3, post: onMessage });
+  };
 
-    movie.cast.forEach((person) => {
-      const personNode = ensureNode(`person-${person.id}`, person.name, 'person');
-      addLink(movieNode.id, personNode.id, 'cast');
-    });
+  // Movies and positions are only copied over when the data changed since the last start.
+  const send = (message) => {
+    let payload = message;
+    if (message.type === 'start') {
+      lastStart = message;
+      const { getData, ...start } = message;
+      payload = start.dataVersion === sentDataVersion ? start : { ...start, ...getData() };
+      sentDataVersion = start.dataVersion;
+    }
+    if (worker) {
+      worker.postMessage(payload);
+    } else {
+      setTimeout(() => runner.handle(payload), 0);
+    }
+  };
 
-    (movie.keywords ?? []).forEach((keyword) => {
-      const keywordNode = ensureNode(`keyword-${keyword.id}`, keyword.name, 'keyword');
-      addLink(movieNode.id, keywordNode.id, 'keyword');
-    });
-  });
+  if (typeof Worker === 'function') {
+    try {
+      worker = new Worker('layout-worker.js');
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn(`Layout worker failed (${event.message}); using the main thread.`);
+        useMainThread();
+        if (lastStart) send(lastStart);
+      };
+    } catch (error) {
+      console.warn(`Layout worker unavailable (${error.message}); using the main thread.`);
+      useMainThread();
+    }
+  } else {
+    useMainThread();
+  }
 
-  return { nodes, links };
+  return { send };
 };
 
-const createMovieGraph = (data) => {
-  const nodes = data.movies.map((movie) => {
-    const releaseYear = Number(movie.release_date?.slice(0, 4));
-    return {
-      id: `movie-${movie.id}`,
-      label: movie.title,
-      type: 'movie',
-      releaseDate: movie.release_date,
-      runtime: movie.runtime,
-      year: Number.isFinite(releaseYear) ? releaseYear : null,
-      genreIds: movie.genres?.map((genre) => genre.id) ?? [],
-      actorIds: movie.cast?.map((person) => person.id) ?? [],
-      keywordIds: movie.keywords?.map((keyword) => keyword.id) ?? [],
-    };
-  });
-
-  return { nodes, links: [] };
+const getLayoutClient = () => {
+  if (!layoutClient) {
+    layoutClient = createLayoutClient((message) => currentLayoutHandler?.(message));
+  }
+  return layoutClient;
 };
 
-const buildGenreCenters = (nodes, centerX, centerY, radius) => {
-  const uniqueGenres = [];
-  const seen = new Set();
-  nodes.forEach((node) => {
-    (node.genreIds ?? []).forEach((genreId) => {
-      if (seen.has(genreId)) return;
-      seen.add(genreId);
-      uniqueGenres.push(genreId);
-    });
-  });
+const showLayoutProgress = (phase, progress = 0) => {
+  if (!layoutProgress) return;
+  layoutProgress.hidden = !phase;
+  if (!phase) return;
+  layoutProgress.querySelector('span').textContent =
+    phase === 'links' ? 'Verbindungen werden berechnet …' : 'Layout wird berechnet …';
+  layoutProgress.querySelector('progress').value = progress;
+};
 
-  const centers = new Map();
-  if (!uniqueGenres.length) {
-    return centers;
-  }
+// Large graphs switch to canvas; localStorage can force either renderer.
+const shouldUseCanvas = (nodeCount) => {
+  const renderer = localStorage.getItem(rendererKey);
+  if (renderer === 'svg' || renderer === 'canvas') return renderer === 'canvas';
+  return nodeCount > canvasNodeThreshold;
+};
 
-  uniqueGenres.forEach((genreId, index) => {
-    const angle = (index / uniqueGenres.length) * Math.PI * 2;
-    centers.set(genreId, {
-      x: centerX + Math.cos(angle) * radius,
-      y: centerY + Math.sin(angle) * radius,
-    });
-  });
+const releaseCanvasLayer = () => {
+  activeCanvasLayer?.destroy();
+  activeCanvasLayer = null;
+};
 
-  return centers;
+// Force simulations of the entity and path views keep ticking on their own, so switching views
+// stops them before their `end` handler zooms the next view or the slider drives a stale layout.
+const stopActiveSimulation = () => {
+  activeSimulation?.on('tick', null).on('end', null).stop();
+  activeSimulation = null;
+  if (linkStrengthInput) linkStrengthInput.oninput = null;
 };
 
-const forceGenreAttraction = (genreCenters, strength = 0.12) => {
-  let nodes = [];
-  const force = (alpha) => {
-    for (const node of nodes) {
-      if (!node.genreIds?.length) continue;
-      let targetX = 0;
-      let targetY = 0;
-      let count = 0;
-      for (const genreId of node.genreIds) {
-        const center = genreCenters.get(genreId);
-        if (!center) continue;
-        targetX += center.x;
-        targetY += center.y;
-        count += 1;
-      }
-      if (!count) continue;
-      targetX /= count;
-      targetY /= count;
-      node.vx += (targetX - node.x) * strength * alpha;
-      node.vy += (targetY - node.y) * strength * alpha;
+// Draws a force layout onto a canvas below the SVG. The SVG stays on top without nodes and
+// keeps handling zoom and pointer events; the node under the pointer comes from a quadtree.
+const createCanvasLayer = (
+  zoomLayer,
+  {
+    getNodes,
+    getLinks,
+    getRadius,
+    getFill,
+    getLinkColor = () => 'rgba(148, 163, 184, 0.4)',
+    isSelected = () => false,
+    getLabelPriority = null,
+    drawUnderlay = null,
+    onHover = null,
+    onDoubleClick = null,
+  },
+) => {
+  const labelZoom = 0.6;
+  const maxHubLabels = 40;
+  const viz = svg.node().parentElement;
+  const canvas = document.createElement('canvas');
+  canvas.className = 'network-canvas';
+  viz.insertBefore(canvas, svg.node());
+  const context = canvas.getContext('2d');
+
+  let transform = d3.zoomIdentity;
+  let highlight = null;
+  let hovered = null;
+  let tree = null;
+  let maxRadius = 0;
+  let hubs = { nodes: null, links: null, ids: new Set() };
+  let frame = null;
+  let destroyed = false;
+
+  const find = (x, y) => {
+    if (!tree) {
+      const nodes = getNodes().filter((d) => Number.isFinite(d.x) && Number.isFinite(d.y));
+      tree = d3.quadtree(nodes, (d) => d.x, (d) => d.y);
+      maxRadius = d3.max(nodes, getRadius) ?? 0;
     }
+    const tolerance = 3 / transform.k;
+    const candidate = tree.find(x, y, maxRadius + tolerance);
+    if (!candidate) return null;
+    return Math.hypot(candidate.x - x, candidate.y - y) <= getRadius(candidate) + tolerance
+      ? candidate
+      : null;
   };
-  force.initialize = (initNodes) => {
-    nodes = initNodes;
-  };
-  return force;
-};
 
-const addWeightedAdjacency = (adjacency, aId, bId, weight) => {
-  if (weight <= 0) return;
-  const aMap = adjacency.get(aId) ?? new Map();
-  aMap.set(bId, Math.max(aMap.get(bId) ?? 0, weight));
-  adjacency.set(aId, aMap);
-  const bMap = adjacency.get(bId) ?? new Map();
-  bMap.set(aId, Math.max(bMap.get(aId) ?? 0, weight));
-  adjacency.set(bId, bMap);
-};
+  const findAt = (event) => {
+    const [x, y] = d3.pointer(event, zoomLayer.node());
+    return find(x, y);
+  };
 
-const buildTopLinks = (adjacency, maxLinksPerNode) => {
-  const linkMap = new Map();
-  for (const [id, neighbors] of adjacency) {
-    const top = Array.from(neighbors.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, maxLinksPerNode);
-    for (const [otherId, weight] of top) {
-      const key = id < otherId ? `${id}|${otherId}` : `${otherId}|${id}`;
-      linkMap.set(key, Math.max(linkMap.get(key) ?? 0, weight));
+  // Hubs are the best-connected nodes; they keep their label at every zoom level.
+  const getHubIds = () => {
+    const nodes = getNodes();
+    const links = getLinks();
+    if (hubs.nodes !== nodes || hubs.links !== links) {
+      const degrees = getLabelPriority ? null : computeDegrees({ nodes, links });
+      const getPriority = getLabelPriority ?? ((d) => degrees.get(d.id) ?? 0);
+      hubs = {
+        nodes,
+        links,
+        ids: new Set(
+          [...nodes]
+            .sort((a, b) => getPriority(b) - getPriority(a))
+            .slice(0, maxHubLabels)
+            .map((d) => d.id),
+        ),
+      };
     }
-  }
-
-  return Array.from(linkMap.entries()).map(([key, weight]) => {
-    const [source, target] = key.split('|');
-    return { source, target, weight };
-  });
-};
+    return hubs.ids;
+  };
 
-const buildSimilarityLinks = (nodes, { maxLinksPerNode = 6 } = {}) => {
-  const featureSets = new Map();
-  const genreIndex = new Map();
-  const keywordIndex = new Map();
+  const getLinkState = (link) => {
+    if (!highlight) return 'default';
+    if (highlight.isHighlightedLink(link)) return 'highlighted';
+    return highlight.nodeIds.has(link.source.id) && highlight.nodeIds.has(link.target.id)
+      ? 'default'
+      : 'dimmed';
+  };
+  const isDimmed = (d) => Boolean(highlight) && !highlight.nodeIds.has(d.id);
 
-  nodes.forEach((node) => {
-    const features = [];
-    (node.genreIds ?? []).forEach((genreId) => {
-      features.push(`g:${genreId}`);
-      const list = genreIndex.get(genreId) ?? [];
-      list.push(node);
-      genreIndex.set(genreId, list);
+  const drawLinks = () => {
+    const batches = new Map();
+    getLinks().forEach((link) => {
+      if (!Number.isFinite(link.source?.x) || !Number.isFinite(link.target?.x)) return;
+      const state = getLinkState(link);
+      const color = state === 'highlighted' ? 'rgba(226, 232, 240, 0.85)' : getLinkColor(link);
+      const key = `${state}|${color}`;
+      if (!batches.has(key)) batches.set(key, { state, color, links: [] });
+      batches.get(key).links.push(link);
     });
-    (node.keywordIds ?? []).forEach((keywordId) => {
-      features.push(`k:${keywordId}`);
-      const list = keywordIndex.get(keywordId) ?? [];
-      list.push(node);
-      keywordIndex.set(keywordId, list);
+    batches.forEach(({ state, color, links }) => {
+      context.beginPath();
+      links.forEach((link) => {
+        context.moveTo(link.source.x, link.source.y);
+        context.lineTo(link.target.x, link.target.y);
+      });
+      context.globalAlpha = state === 'dimmed' ? 0.05 : 1;
+      context.strokeStyle = color;
+      context.lineWidth = state === 'highlighted' ? 1.5 : 1;
+      context.stroke();
     });
-    featureSets.set(node.id, new Set(features));
-  });
-
-  const adjacency = new Map();
-  const jaccard = (setA, setB) => {
-    if (!setA.size || !setB.size) return 0;
-    const [small, large] = setA.size < setB.size ? [setA, setB] : [setB, setA];
-    let intersection = 0;
-    for (const value of small) {
-      if (large.has(value)) intersection += 1;
-    }
-    const union = setA.size + setB.size - intersection;
-    return union ? intersection / union : 0;
   };
 
-  for (const node of nodes) {
-    const candidates = new Set();
-    (node.genreIds ?? []).forEach((genreId) => {
-      (genreIndex.get(genreId) ?? []).forEach((candidate) => candidates.add(candidate));
+  const drawNodes = (nodes) => {
+    nodes.forEach((d) => {
+      context.globalAlpha = isDimmed(d) ? 0.12 : 1;
+      context.beginPath();
+      context.arc(d.x, d.y, getRadius(d), 0, Math.PI * 2);
+      context.fillStyle = getFill(d);
+      context.fill();
+      const isPinned = Number.isFinite(d.fx);
+      const isMarked = markedNodeIds.has(d.id);
+      context.lineWidth = isPinned || isSelected(d) || isMarked ? 2 : 1;
+      context.strokeStyle = 'rgba(15, 23, 42, 0.7)';
+      if (isPinned) context.strokeStyle = '#facc15';
+      else if (isSelected(d)) context.strokeStyle = '#f8fafc';
+      else if (isMarked) context.strokeStyle = '#f472b6';
+      context.stroke();
     });
-    (node.keywordIds ?? []).forEach((keywordId) => {
-      (keywordIndex.get(keywordId) ?? []).forEach((candidate) => candidates.add(candidate));
-    });
-    candidates.delete(node);
+  };
 
-    for (const other of candidates) {
-      if (node.id >= other.id) continue;
-      const score = jaccard(featureSets.get(node.id), featureSets.get(other.id));
-      addWeightedAdjacency(adjacency, node.id, other.id, score);
-    }
-  }
+  // Labels keep a constant on-screen size; zoomed out, only hubs and the active node get one.
+  const drawLabels = (nodes) => {
+    const [x0, y0] = transform.invert([0, 0]);
+    const [x1, y1] = transform.invert([width, height]);
+    const hubIds = transform.k >= labelZoom ? null : getHubIds();
+    const fontSize = 11 / Math.min(1, transform.k);
+    context.font = `${fontSize}px sans-serif`;
+    context.textAlign = 'left';
+    context.fillStyle = '#e2e8f0';
+    nodes.forEach((d) => {
+      const isActive = d === hovered || isSelected(d);
+      if (!isActive && hubIds && !hubIds.has(d.id)) return;
+      if (!isActive && (d.x < x0 || d.x > x1 || d.y < y0 || d.y > y1)) return;
+      context.globalAlpha = isDimmed(d) ? 0.12 : 1;
+      context.fillText(d.label, d.x + getRadius(d) + 3, d.y + fontSize * 0.35);
+    });
+  };
 
-  return buildTopLinks(adjacency, maxLinksPerNode);
-};
+  const draw = () => {
+    frame = null;
+    if (destroyed) return;
+    const svgRect = svg.node().getBoundingClientRect();
+    const vizRect = viz.getBoundingClientRect();
+    const viewWidth = svgRect.width || width;
+    const viewHeight = svgRect.height || height;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.style.left = `${svgRect.left - vizRect.left - viz.clientLeft}px`;
+    canvas.style.top = `${svgRect.top - vizRect.top - viz.clientTop}px`;
+    canvas.style.width = `${viewWidth}px`;
+    canvas.style.height = `${viewHeight}px`;
+    canvas.width = Math.round(viewWidth * ratio);
+    canvas.height = Math.round(viewHeight * ratio);
 
-const buildActorLinks = (nodes, { maxLinksPerNode = 6 } = {}) => {
-  const actorIndex = new Map();
-  nodes.forEach((node) => {
-    (node.actorIds ?? []).forEach((actorId) => {
-      const list = actorIndex.get(actorId) ?? [];
-      list.push(node);
-      actorIndex.set(actorId, list);
-    });
-  });
+    // Same mapping as the SVG viewBox (preserveAspectRatio "xMidYMid meet"), then the zoom.
+    const scale = Math.min(viewWidth / width, viewHeight / height) * ratio;
+    context.setTransform(
+      scale,
+      0,
+      0,
+      scale,
+      (canvas.width - width * scale) / 2,
+      (canvas.height - height * scale) / 2,
+    );
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
 
-  const pairCounts = new Map();
-  for (const list of actorIndex.values()) {
-    for (let i = 0; i < list.length; i += 1) {
-      for (let j = i + 1; j < list.length; j += 1) {
-        const aId = list[i].id;
-        const bId = list[j].id;
-        const key = aId < bId ? `${aId}|${bId}` : `${bId}|${aId}`;
-        pairCounts.set(key, (pairCounts.get(key) ?? 0) + 1);
-      }
+    if (drawUnderlay) {
+      context.save();
+      drawUnderlay(context);
+      context.restore();
     }
-  }
+    const nodes = getNodes().filter((d) => Number.isFinite(d.x) && Number.isFinite(d.y));
+    drawLinks();
+    drawNodes(nodes);
+    drawLabels(nodes);
+  };
 
-  const adjacency = new Map();
-  for (const [key, count] of pairCounts.entries()) {
-    const [aId, bId] = key.split('|');
-    const weight = Math.min(1, count / 2);
-    addWeightedAdjacency(adjacency, aId, bId, weight);
-  }
+  const requestDraw = () => {
+    tree = null;
+    if (frame || destroyed) return;
+    frame = requestAnimationFrame(draw);
+  };
 
-  return buildTopLinks(adjacency, maxLinksPerNode);
-};
+  svg
+    .on('mousemove.canvas', (event) => {
+      const d = findAt(event);
+      if (d === hovered) return;
+      hovered = d;
+      svg.style('cursor', d ? 'pointer' : null);
+      onHover?.(d);
+      requestDraw();
+    })
+    .on('mouseleave.canvas', () => {
+      if (!hovered) return;
+      hovered = null;
+      svg.style('cursor', null);
+      onHover?.(null);
+      requestDraw();
+    })
+    .on('dblclick.canvas', (event) => {
+      const d = findAt(event);
+      if (d) onDoubleClick?.(d);
+    });
 
-const updateInfo = (data) => {
-  const fetchedAt = data.fetched_at ? new Date(data.fetched_at).toLocaleDateString('de-DE') : 'lokal';
-  datasetInfo.textContent = `Datensatz: ${data.movies.length} Filme · ${fetchedAt}`;
+  return {
+    findAt,
+    requestDraw,
+    // Drag gestures start on the SVG; the zoom layer as container yields graph coordinates.
+    attachDrag: (drag) => {
+      svg.call(drag.container(zoomLayer.node()).subject((event) => find(event.x, event.y)));
+    },
+    setTransform: (nextTransform) => {
+      transform = nextTransform;
+      requestDraw();
+    },
+    setHighlight: (nodeIds, isHighlightedLink = () => false) => {
+      highlight = nodeIds ? { nodeIds, isHighlightedLink } : null;
+      requestDraw();
+    },
+    getBounds: () => {
+      const nodes = getNodes().filter((d) => Number.isFinite(d.x) && Number.isFinite(d.y));
+      if (!nodes.length) return { x: 0, y: 0, width: 0, height: 0 };
+      const minX = d3.min(nodes, (d) => d.x - getRadius(d));
+      const minY = d3.min(nodes, (d) => d.y - getRadius(d));
+      return {
+        x: minX,
+        y: minY,
+        width: d3.max(nodes, (d) => d.x + getRadius(d)) - minX,
+        height: d3.max(nodes, (d) => d.y + getRadius(d)) - minY,
+      };
+    },
+    destroy: () => {
+      destroyed = true;
+      if (frame) cancelAnimationFrame(frame);
+      svg.on('.canvas', null).on('.drag', null).style('cursor', null);
+      canvas.remove();
+    },
+  };
 };
 
-const renderNetwork = (graph) => {
+// Clears the SVG and sets up a zoomable layer plus the shared zoom buttons. With `canvas`
+// options, nodes and links are drawn by a canvas layer instead of SVG elements.
+const createZoomLayer = ({ canvas = null } = {}) => {
+  releaseCanvasLayer();
   svg.selectAll('*').remove();
   svg.style('display', 'block');
 
-  const svgNode = svg.node();
-  const svgRect = svgNode?.getBoundingClientRect();
-  const layoutWidth = svgRect?.width || width;
-  const layoutHeight = svgRect?.height || height;
-
+  const svgRect = svg.node()?.getBoundingClientRect();
   const zoomLayer = svg.append('g').attr('class', 'zoom-layer');
-  const linkGroup = zoomLayer.append('g');
-  const nodeGroup = zoomLayer.append('g');
-  const labelGroup = zoomLayer.append('g');
+  const canvasLayer = canvas ? createCanvasLayer(zoomLayer, canvas) : null;
+  activeCanvasLayer = canvasLayer;
 
   const minZoom = 0.01;
   const maxZoom = 1;
@@ -334,117 +592,29 @@ const renderNetwork = (graph) => {
     zoomValue.textContent = `${percent}%`;
   };
 
+  // Once the user pans, zooms or flies to a node, the layout stops fitting itself on settle.
+  let keepView = false;
   const zoom = d3
     .zoom()
     .scaleExtent([minZoom, maxZoom])
+    // On canvas, presses and double-clicks on a node belong to the node rather than to zooming.
+    .filter(
+      (event) =>
+        (!event.ctrlKey || event.type === 'wheel') &&
+        !event.button &&
+        !(['mousedown', 'dblclick'].includes(event.type) && canvasLayer?.findAt(event)),
+    )
     .on('zoom', (event) => {
+      if (event.sourceEvent) keepView = true;
       zoomLayer.attr('transform', event.transform);
+      canvasLayer?.setTransform(event.transform);
       updateZoomValue(event.transform.k);
+      scheduleUrlStateUpdate();
     });
 
   svg.call(zoom);
 
-  const centerX = layoutWidth / 2;
-  const centerY = layoutHeight / 2;
-  const useTypeClusters = false;
-  const typeClusterOffsets = new Map([
-    ['movie', { x: -80, y: -40 }],
-    ['genre', { x: 80, y: -40 }],
-    ['person', { x: -60, y: 60 }],
-    ['keyword', { x: 60, y: 60 }],
-  ]);
-
-  const isMovieOnly = graph.nodes.every((node) => node.type === 'movie');
-  const genreCenters = buildGenreCenters(
-    graph.nodes,
-    centerX,
-    centerY,
-    Math.min(layoutWidth, layoutHeight) * 0.18,
-  );
-  const simulation = d3
-    .forceSimulation(graph.nodes)
-    .velocityDecay(0.45)
-    .alphaDecay(0.06)
-    .force('charge', d3.forceManyBody().strength(-22).distanceMin(8).distanceMax(240))
-    .force('center', d3.forceCenter(centerX, centerY))
-    .force(
-      'x',
-      d3
-        .forceX((d) =>
-          useTypeClusters ? centerX + (typeClusterOffsets.get(d.type)?.x ?? 0) : centerX,
-        )
-        .strength(0.22),
-    )
-    .force(
-      'y',
-      d3
-        .forceY((d) =>
-          useTypeClusters ? centerY + (typeClusterOffsets.get(d.type)?.y ?? 0) : centerY,
-        )
-        .strength(0.22),
-    )
-    .force(
-      'collide',
-      d3
-        .forceCollide()
-        .radius((d) => (d.type === 'movie' ? 12 : 8))
-        .strength(0.7)
-        .iterations(1),
-    )
-    .force('genre', forceGenreAttraction(genreCenters, 0.12));
-
-  let modeLinks = [];
-  const cachedLinks = { similarity: null, actor: null };
-  const updateLinkSelection = (links) => {
-    modeLinks = links;
-    const selection = linkGroup.selectAll('line').data(modeLinks, (d) => {
-      const sourceId = typeof d.source === 'object' ? d.source.id : d.source;
-      const targetId = typeof d.target === 'object' ? d.target.id : d.target;
-      return `${sourceId}|${targetId}`;
-    });
-    selection.exit().remove();
-    selection.enter().append('line').attr('class', 'link');
-  };
-
-  const node = nodeGroup
-    .selectAll('circle')
-    .data(graph.nodes)
-    .enter()
-    .append('circle')
-    .attr('class', 'node')
-    .attr('r', (d) => (d.type === 'movie' ? 10 : 7))
-    .attr('fill', (d) => colorMap[d.type])
-    .call(
-      d3
-        .drag()
-        .on('start', (event, d) => {
-          if (!event.active) simulation.alphaTarget(0.3).restart();
-          d.fx = d.x;
-          d.fy = d.y;
-        })
-        .on('drag', (event, d) => {
-          d.fx = event.x;
-          d.fy = event.y;
-        })
-        .on('end', (event, d) => {
-          if (!event.active) simulation.alphaTarget(0);
-          d.fx = null;
-          d.fy = null;
-        }),
-    );
-
-  const label = labelGroup
-    .selectAll('text')
-    .data(graph.nodes)
-    .enter()
-    .append('text')
-    .attr('class', 'label')
-    .text((d) => d.label);
-
-  const updateZoomToFit = () => {
-    const bounds = zoomLayer.node().getBBox();
-    if (!bounds.width || !bounds.height) return;
-
+  const zoomToBounds = (bounds, duration = 0) => {
     const padding = 60;
     const viewWidth = svgRect?.width || width;
     const viewHeight = svgRect?.height || height;
@@ -461,255 +631,2279 @@ const renderNetwork = (graph) => {
     const translateX = viewWidth / 2 - (bounds.x + bounds.width / 2) * scale;
     const translateY = viewHeight / 2 - (bounds.y + bounds.height / 2) * scale;
     const transform = d3.zoomIdentity.translate(translateX, translateY).scale(scale);
-    svg.call(zoom.transform, transform);
+    (duration ? svg.transition().duration(duration) : svg).call(zoom.transform, transform);
   };
 
-  simulation.on('tick', () => {
-    linkGroup
-      .selectAll('line')
-      .attr('x1', (d) => d.source.x)
-      .attr('y1', (d) => d.source.y)
-      .attr('x2', (d) => d.target.x)
-      .attr('y2', (d) => d.target.y);
-
-    node.attr('cx', (d) => d.x).attr('cy', (d) => d.y);
+  const updateZoomToFit = () => {
+    const bounds = canvasLayer ? canvasLayer.getBounds() : zoomLayer.node().getBBox();
+    if (!bounds.width || !bounds.height) return;
+    keepView = false;
+    zoomToBounds(bounds);
+  };
 
-    label.attr('x', (d) => d.x + 10).attr('y', (d) => d.y + 4);
-  });
+  const autoZoomToFit = () => {
+    if (!keepView) updateZoomToFit();
+  };
 
-  simulation.on('end', updateZoomToFit);
+  const zoomToNodes = (nodes) => {
+    const placed = nodes.filter((d) => Number.isFinite(d.x) && Number.isFinite(d.y));
+    if (!placed.length) return;
+    const [minX, maxX] = d3.extent(placed, (d) => d.x);
+    const [minY, maxY] = d3.extent(placed, (d) => d.y);
+    const margin = 80;
+    keepView = true;
+    zoomToBounds(
+      {
+        x: minX - margin,
+        y: minY - margin,
+        width: maxX - minX + margin * 2,
+        height: maxY - minY + margin * 2,
+      },
+      500,
+    );
+  };
 
   const zoomBy = (factor) => {
+    keepView = true;
     svg.transition().duration(200).call(zoom.scaleBy, factor);
   };
 
+  const focusOn = (x, y) => {
+    keepView = true;
+    svg.transition().duration(500).call(zoom.translateTo, x, y);
+  };
+
   zoomInButton.onclick = () => zoomBy(1.2);
   zoomOutButton.onclick = () => zoomBy(0.8);
   zoomResetButton.onclick = updateZoomToFit;
 
-  const getLinkStrength = () => {
-    if (!linkStrengthInput) return 0.1;
-    return Math.abs(Number(linkStrengthInput.value)) / 1000;
-  };
-
-  const updateFilter = () => {
-    if (!filterInput) return;
-    const filterValue = filterInput.value;
-    node.attr('opacity', (d) => (d.type === filterValue ? 1 : 0));
-    label.attr('opacity', (d) => (d.type === filterValue ? 1 : 0));
-    linkGroup.selectAll('line').attr('opacity', (d) => {
-      return d.source.type === filterValue && d.target.type === filterValue ? 0.6 : 0;
-    });
-  };
-
-  const applyLayoutMode = (mode) => {
-    const linkStrength = getLinkStrength();
-    simulation.force('year', null);
-    simulation.force('mode', null);
-
-    if (mode === 'year') {
-      updateLinkSelection([]);
-      const years = graph.nodes.map((node) => node.year).filter((value) => Number.isFinite(value));
-      const [minYear, maxYear] = d3.extent(years.length ? years : [2000, 2025]);
-      const yearSpan = Math.min(layoutWidth, layoutHeight) * 0.2;
-      const yearScale = d3
-        .scaleLinear()
-        .domain([minYear, maxYear])
-        .range([centerX - yearSpan, centerX + yearSpan]);
-      simulation.force(
-        'year',
-        d3
-          .forceX((d) => (Number.isFinite(d.year) ? yearScale(d.year) : centerX))
-          .strength(0.12),
-      );
-      if (linkStrengthInput) {
-        linkStrengthInput.disabled = true;
-      }
-    } else {
-      const cached = cachedLinks[mode];
-      const links =
-        cached ??
-        (mode === 'actor'
-          ? buildActorLinks(graph.nodes, { maxLinksPerNode: 6 })
-          : buildSimilarityLinks(graph.nodes, { maxLinksPerNode: 6 }));
-      if (!cached) {
-        cachedLinks[mode] = links;
+  // Only a view the user chose is shared; without one, the restored page fits itself.
+  activeZoomLayer = {
+    getTransform: () => {
+      if (!keepView) return null;
+      const { x, y, k } = d3.zoomTransform(svg.node());
+      return { x, y, k };
+    },
+    setTransform: (transform) => {
+      if (!transform) {
+        updateZoomToFit();
+        return;
       }
-      updateLinkSelection(links);
-      simulation.force(
-        'mode',
-        d3
-          .forceLink(links)
-          .id((d) => d.id)
-          .distance(mode === 'actor' ? 24 : 28)
-          .strength((link) => linkStrength * (0.4 + 0.6 * (link.weight ?? 1))),
+      keepView = true;
+      svg.call(
+        zoom.transform,
+        d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k),
       );
-      if (linkStrengthInput) {
-        linkStrengthInput.disabled = false;
-      }
-    }
-
-    simulation.alpha(0.6).restart();
+    },
   };
 
-  const updateLinkStrength = () => {
-    if (!currentLayoutModeUpdater) return;
-    currentLayoutModeUpdater(layoutModeInput?.value ?? defaultLayoutMode);
+  return {
+    zoomLayer,
+    updateZoomToFit,
+    autoZoomToFit,
+    zoomToNodes,
+    focusOn,
+    layoutWidth: svgRect?.width || width,
+    layoutHeight: svgRect?.height || height,
+    canvasLayer,
   };
+};
 
-  if (filterInput) {
-    filterInput.onchange = updateFilter;
-  }
-  if (linkStrengthInput) {
-    linkStrengthInput.oninput = updateLinkStrength;
-  }
-
-  if (isMovieOnly && filterInput) {
-    filterInput.value = 'movie';
-    filterInput.disabled = true;
-  }
-  if (!isMovieOnly && filterInput) {
-    filterInput.disabled = false;
-  }
-
-  currentLayoutModeUpdater = applyLayoutMode;
-  applyLayoutMode(layoutModeInput?.value ?? defaultLayoutMode);
-  updateFilter();
-  updateZoomToFit();
+const hideDetails = () => {
+  if (!detailPanel) return;
+  detailPanel.hidden = true;
+  detailPanel.innerHTML = '';
 };
 
-const getSvgSize = () => {
-  const rect = svg.node()?.getBoundingClientRect();
-  return {
-    width: rect?.width || width,
-    height: rect?.height || height,
-  };
+const formatNames = (items, limit = 8) => {
+  const names = items.map((item) => item.name);
+  if (names.length <= limit) return names.join(', ');
+  return `${names.slice(0, limit).join(', ')} +${names.length - limit}`;
 };
 
-const renderList = (data) => {
-  if (!listContainer) return;
-  listContainer.innerHTML = '';
-  listContainer.style.display = 'grid';
-  svg.style('display', 'none');
+const showMovieDetails = (movie, { neighborSections = [], onSelect, onClose } = {}) => {
+  if (!detailPanel || !movie) return;
+  detailPanel.innerHTML = '';
 
-  const heading = document.createElement('h3');
-  heading.textContent = 'Filmliste (Runtime)';
-  listContainer.appendChild(heading);
+  const header = document.createElement('div');
+  header.className = 'detail-header';
+  const title = document.createElement('h3');
+  title.textContent = movie.title;
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'detail-close';
+  closeButton.setAttribute('aria-label', 'Details schließen');
+  closeButton.textContent = '×';
+  closeButton.onclick = () => (onClose ? onClose() : hideDetails());
+  header.appendChild(title);
+  header.appendChild(closeButton);
+  detailPanel.appendChild(header);
 
-  const list = document.createElement('ul');
-  data.movies.forEach((movie) => {
-    const item = document.createElement('li');
-    const title = document.createElement('span');
-    title.textContent = movie.title;
-    const runtime = document.createElement('span');
-    runtime.className = 'runtime';
-    runtime.textContent = movie.runtime ? `${movie.runtime} min` : 'n/a';
-    item.appendChild(title);
-    item.appendChild(runtime);
-    list.appendChild(item);
-  });
-  listContainer.appendChild(list);
-};
+  const directors = (movie.crew ?? []).filter((person) => person.job === 'Director');
+  const rows = [
+    ['Release', movie.release_date ? new Date(movie.release_date).toLocaleDateString('de-DE') : 'n/a'],
+    ['Laufzeit', movie.runtime ? `${movie.runtime} min` : 'n/a'],
+    ['Genres', formatNames(movie.genres ?? [])],
+    ['Regie', formatNames(directors)],
+    ['Besetzung', formatNames(movie.cast ?? [])],
+    ['Keywords', formatNames(movie.keywords ?? [], 12)],
+  ].filter(([, value]) => value);
 
-const styleAxis = (axisGroup) => {
-  axisGroup.selectAll('path, line').attr('stroke', '#475569');
-  axisGroup.selectAll('text').attr('fill', '#cbd5f5');
-};
+  const details = document.createElement('dl');
+  rows.forEach(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    details.appendChild(dt);
+    details.appendChild(dd);
+  });
+  detailPanel.appendChild(details);
 
-const renderGenresBar = (data) => {
-  if (listContainer) {
-    listContainer.style.display = 'none';
-  }
-  svg.style('display', 'block');
-  svg.selectAll('*').remove();
+  neighborSections
+    .filter((section) => section.neighbors.length)
+    .forEach((section) => {
+      const heading = document.createElement('h4');
+      heading.textContent = section.title;
+      const list = document.createElement('ul');
+      list.className = 'neighbor-list';
+      section.neighbors.forEach((neighbor) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = neighbor.label;
+        button.onclick = () => onSelect?.(neighbor.id);
+        item.appendChild(button);
+        if (neighbor.detail || Number.isFinite(neighbor.weight)) {
+          const weight = document.createElement('span');
+          weight.className = 'weight';
+          weight.textContent = neighbor.detail ?? neighbor.weight.toFixed(2);
+          item.appendChild(weight);
+        }
+        list.appendChild(item);
+      });
+      detailPanel.appendChild(heading);
+      detailPanel.appendChild(list);
+    });
 
-  const { width: viewWidth, height: viewHeight } = getSvgSize();
-  const margin = { top: 50, right: 40, bottom: 120, left: 60 };
-  const chartWidth = viewWidth - margin.left - margin.right;
-  const chartHeight = viewHeight - margin.top - margin.bottom;
+  detailPanel.hidden = false;
+};
 
-  const genreCounts = new Map();
-  data.movies.forEach((movie) => {
-    (movie.genres ?? []).forEach((genre) => {
-      genreCounts.set(genre.name, (genreCounts.get(genre.name) ?? 0) + 1);
-    });
+// Returns an updater that swaps in a new movie subset without rebuilding the SVG.
+const renderNetwork = (data) => {
+  const {
+    zoomLayer,
+    updateZoomToFit,
+    autoZoomToFit,
+    zoomToNodes,
+    focusOn,
+    layoutWidth,
+    layoutHeight,
+    canvasLayer,
+  } = createZoomLayer({
+    canvas: shouldUseCanvas(data.movies.length) && {
+      getNodes: () => graph.nodes,
+      getLinks: () => modeLinks,
+      getRadius: (d) => getNodeRadius(d),
+      getFill: (d) => getNodeFill(d),
+      isSelected: (d) => d.id === selectedId,
+      drawUnderlay: (context) => drawCanvasHulls(context),
+      onHover: (d) => highlightEgoNetwork(d?.id ?? selectedId),
+      onDoubleClick: (d) => unpinNode(d),
+    },
   });
+  const hullGroup = zoomLayer.append('g');
+  const linkGroup = zoomLayer.append('g');
+  const nodeGroup = zoomLayer.append('g');
+  const labelGroup = zoomLayer.append('g');
 
-  const dataset = Array.from(genreCounts.entries())
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count);
+  const centerX = layoutWidth / 2;
+  const centerY = layoutHeight / 2;
 
-  const x = d3
-    .scaleBand()
-    .domain(dataset.map((d) => d.name))
-    .range([0, chartWidth])
-    .padding(0.2);
-  const y = d3
-    .scaleLinear()
-    .domain([0, d3.max(dataset, (d) => d.count) ?? 1])
-    .nice()
-    .range([chartHeight, 0]);
+  let graph = createMovieGraph(data);
+  let moviesById = new Map(data.movies.map((movie) => [`movie-${movie.id}`, movie]));
+  let nodesById = new Map(graph.nodes.map((d) => [d.id, d]));
+  const getNodeRadius = (d) => (d.type === 'movie' ? 10 : 7);
+  let getNodeFill = (d) => colorMap[d.type];
 
-  const chart = svg
-    .append('g')
-    .attr('transform', `translate(${margin.left},${margin.top})`);
+  // Links, communities and positions come from the layout runner (see web/layout.js).
+  let dataVersion = (layoutDataVersion += 1);
+  let runId = null;
+  let modeLinks = [];
+  const cachedLinks = { similarity: null, actor: null };
+  let clusterLayout = null;
+  const resolveLinks = (links) =>
+    links
+      .map((link) => ({
+        ...link,
+        source: nodesById.get(link.source),
+        target: nodesById.get(link.target),
+      }))
+      .filter((link) => link.source && link.target);
+  const getModeLinks = (mode) => {
+    if (mode === 'cluster') return clusterLayout?.links ?? [];
+    return cachedLinks[mode] ?? [];
+  };
 
-  chart
+  const createClusterLayout = ({ links, communities, communityByNode }) => {
+    const palette = d3.schemeTableau10;
+    const colors = new Map(
+      communities.map((community, index) => [
+        community.id,
+        community.nodeIds.length > 1 && index < palette.length ? palette[index] : '#64748b',
+      ]),
+    );
+    return {
+      links: resolveLinks(links),
+      communities: communities.filter((community) => community.nodeIds.length > 2),
+      communityByNode: new Map(communityByNode),
+      colors,
+    };
+  };
+
+  const hullPadding = 18;
+  const hullLine = d3.line().curve(d3.curveCatmullRomClosed);
+  const getHull = (community) =>
+    d3.polygonHull(
+      community.nodeIds
+        .map((nodeId) => nodesById.get(nodeId))
+        .filter((d) => Number.isFinite(d?.x))
+        .flatMap((d) => [
+          [d.x - hullPadding, d.y],
+          [d.x + hullPadding, d.y],
+          [d.x, d.y - hullPadding],
+          [d.x, d.y + hullPadding],
+        ]),
+    );
+  const getHullLabelPosition = (community) => {
+    const members = community.nodeIds.map((nodeId) => nodesById.get(nodeId)).filter(Boolean);
+    return [d3.mean(members, (d) => d.x), d3.min(members, (d) => d.y) - hullPadding - 6];
+  };
+  const updateHulls = () => {
+    hullGroup.selectAll('path').attr('d', (community) => {
+      const hull = getHull(community);
+      return hull ? hullLine(hull) : null;
+    });
+    hullGroup.selectAll('text').each(function (community) {
+      const [x, y] = getHullLabelPosition(community);
+      d3.select(this).attr('x', x).attr('y', y);
+    });
+  };
+  const drawCanvasHulls = (context) => {
+    if (!clusterLayout || layoutModeInput?.value !== 'cluster') return;
+    const line = d3.line().curve(d3.curveCatmullRomClosed).context(context);
+    context.font = '600 11px sans-serif';
+    context.textAlign = 'center';
+    clusterLayout.communities.forEach((community) => {
+      const hull = getHull(community);
+      if (!hull) return;
+      const color = clusterLayout.colors.get(community.id);
+      context.beginPath();
+      line(hull);
+      context.globalAlpha = 0.08;
+      context.fillStyle = color;
+      context.fill();
+      context.globalAlpha = 0.45;
+      context.strokeStyle = color;
+      context.stroke();
+      const [x, y] = getHullLabelPosition(community);
+      context.globalAlpha = 1;
+      context.fillStyle = '#cbd5f5';
+      context.fillText(community.label, x, y);
+    });
+  };
+  const renderHulls = (layout) => {
+    if (canvasLayer) return;
+    const communities = layout ? layout.communities : [];
+    hullGroup
+      .selectAll('path')
+      .data(communities, (d) => d.id)
+      .join('path')
+      .attr('class', 'community-hull')
+      .attr('fill', (d) => layout.colors.get(d.id))
+      .attr('stroke', (d) => layout.colors.get(d.id));
+    hullGroup
+      .selectAll('text')
+      .data(communities, (d) => d.id)
+      .join('text')
+      .attr('class', 'community-label')
+      .text((d) => d.label);
+    updateHulls();
+  };
+  const updateLinkSelection = (links) => {
+    modeLinks = links;
+    if (canvasLayer) return;
+    const selection = linkGroup.selectAll('line').data(modeLinks, (d) => {
+      const sourceId = typeof d.source === 'object' ? d.source.id : d.source;
+      const targetId = typeof d.target === 'object' ? d.target.id : d.target;
+      return `${sourceId}|${targetId}`;
+    });
+    selection.exit().remove();
+    selection.enter().append('line').attr('class', 'link');
+  };
+
+  // Pinned positions live on both sides: here for drawing, in the runner for the forces.
+  const pinNode = (d, fx, fy, alphaTarget) => {
+    d.fx = fx;
+    d.fy = fy;
+    getLayoutClient().send({ type: 'pin', id: d.id, fx, fy, alphaTarget });
+  };
+
+  // Dragged nodes stay where they were dropped, so a saved layout keeps the arrangement.
+  // A plain click does not move the node and leaves its pin as it was.
+  let dragMoved = false;
+  const drag = d3
+    .drag()
+    .on('start', () => {
+      dragMoved = false;
+    })
+    .on('drag', (event) => {
+      pinNode(event.subject, event.x, event.y, dragMoved || event.active > 1 ? undefined : 0.3);
+      dragMoved = true;
+    })
+    .on('end', (event) => {
+      if (!dragMoved) return;
+      const { subject } = event;
+      if (searchPinned === subject) searchPinned = null;
+      pinNode(subject, subject.fx, subject.fy, event.active ? undefined : 0);
+      node.classed('pinned', (n) => Number.isFinite(n.fx));
+    });
+
+  // Double-click releases a pinned node and lets the forces settle it again.
+  const unpinNode = (d) => {
+    if (!Number.isFinite(d.fx)) return;
+    if (searchPinned === d) searchPinned = null;
+    d.fx = null;
+    d.fy = null;
+    getLayoutClient().send({ type: 'pin', id: d.id, fx: null, fy: null, alpha: 0.3 });
+    node.classed('pinned', (n) => Number.isFinite(n.fx));
+    canvasLayer?.requestDraw();
+  };
+  canvasLayer?.attachDrag(drag);
+
+  let node = nodeGroup.selectAll('circle');
+  let label = labelGroup.selectAll('text');
+  let selectedId = null;
+  let highlightedIds = null;
+
+  const renderPositions = () => {
+    linkGroup
+      .selectAll('line')
+      .attr('x1', (d) => d.source.x)
+      .attr('y1', (d) => d.source.y)
+      .attr('x2', (d) => d.target.x)
+      .attr('y2', (d) => d.target.y);
+
+    node.attr('cx', (d) => d.x).attr('cy', (d) => d.y);
+
+    label.attr('x', (d) => d.x + 10).attr('y', (d) => d.y + 4);
+
+    if (clusterLayout && layoutModeInput?.value === 'cluster') {
+      updateHulls();
+    }
+    canvasLayer?.requestDraw();
+  };
+
+  // Positions arrive faster than the screen refreshes; only the latest frame is drawn.
+  let pendingPositions = null;
+  const applyPositions = () => {
+    const positions = pendingPositions;
+    pendingPositions = null;
+    if (!positions || positions.length !== graph.nodes.length * 2) return;
+    graph.nodes.forEach((d, index) => {
+      d.x = positions[index * 2];
+      d.y = positions[index * 2 + 1];
+    });
+    renderPositions();
+  };
+
+  // Dims every node outside nodeIds and every link that does not connect two of them.
+  const applyHighlight = (nodeIds, isHighlightedLink = () => false) => {
+    const active = Boolean(nodeIds);
+    const isInside = (link) => nodeIds.has(link.source.id) && nodeIds.has(link.target.id);
+    canvasLayer?.setHighlight(nodeIds, isHighlightedLink);
+    node.classed('dimmed', (d) => active && !nodeIds.has(d.id));
+    label.classed('dimmed', (d) => active && !nodeIds.has(d.id));
+    linkGroup
+      .selectAll('line')
+      .classed('highlighted', (d) => active && isHighlightedLink(d))
+      .classed('dimmed', (d) => active && !isHighlightedLink(d) && !isInside(d));
+  };
+
+  // Highlights the node and its neighbours under the current layout mode.
+  const highlightEgoNetwork = (nodeId) => {
+    if (!nodeId) {
+      applyHighlight(highlightedIds);
+      return;
+    }
+    const egoIds = new Set([
+      nodeId,
+      ...getNeighbors(modeLinks, nodeId).map((neighbor) => neighbor.id),
+    ]);
+    applyHighlight(egoIds, (link) => link.source.id === nodeId || link.target.id === nodeId);
+  };
+
+  const withLabels = (neighbors) =>
+    neighbors.map((neighbor) => ({
+      ...neighbor,
+      label: nodesById.get(neighbor.id)?.label ?? neighbor.id,
+    }));
+
+  const selectNode = (nodeId, { focus = false } = {}) => {
+    if (nodeId !== currentSelectedId) {
+      currentSelectedId = nodeId;
+      updateUrlState({ push: true });
+    }
+    selectedId = nodeId;
+    highlightedIds = null;
+    node.classed('selected', (d) => d.id === nodeId);
+    highlightEgoNetwork(nodeId);
+    if (!nodeId) {
+      hideDetails();
+      return;
+    }
+    const selected = nodesById.get(nodeId);
+    if (focus && Number.isFinite(selected?.x)) {
+      focusOn(selected.x, selected.y);
+    }
+    showMovieDetails(moviesById.get(nodeId), {
+      neighborSections: [
+        {
+          title: 'Ähnlichste Filme',
+          neighbors: withLabels(getNeighbors(getModeLinks('similarity'), nodeId, 8)),
+        },
+        {
+          title: 'Gemeinsame Besetzung',
+          neighbors: withLabels(getNeighbors(getModeLinks('actor'), nodeId, 8)),
+        },
+      ],
+      onSelect: (neighborId) => selectNode(neighborId, { focus: true }),
+      onClose: () => selectNode(null),
+    });
+  };
+
+  const updateNodeSelection = () => {
+    if (canvasLayer) {
+      canvasLayer.requestDraw();
+      return;
+    }
+    node = nodeGroup
+      .selectAll('circle')
+      .data(graph.nodes, (d) => d.id)
+      .join((enter) =>
+        enter
+          .append('circle')
+          .attr('class', 'node')
+          .attr('r', getNodeRadius)
+          .attr('fill', getNodeFill)
+          .call(drag)
+          .on('mouseenter', (event, d) => highlightEgoNetwork(d.id))
+          .on('mouseleave', () => highlightEgoNetwork(selectedId))
+          .on('click', (event, d) => {
+            event.stopPropagation();
+            selectNode(d.id);
+          })
+          .on('dblclick', (event, d) => {
+            event.stopPropagation();
+            unpinNode(d);
+          }),
+      );
+
+    label = labelGroup
+      .selectAll('text')
+      .data(graph.nodes, (d) => d.id)
+      .join((enter) =>
+        enter
+          .append('text')
+          .attr('class', 'label')
+          .text((d) => d.label),
+      );
+  };
+
+  svg.on('click', (event) => selectNode(canvasLayer?.findAt(event)?.id ?? null));
+
+  let searchPinned = null;
+  currentSearchHandler = (entry) => {
+    const targets = entry.movieIds
+      .map((movieId) => nodesById.get(`movie-${movieId}`))
+      .filter(Boolean);
+    if (!targets.length) {
+      showHiddenSearchResult(entry);
+      return;
+    }
+    if (searchPinned) {
+      pinNode(searchPinned, null, null);
+      searchPinned = null;
+    }
+    if (entry.type === 'movie') {
+      const [target] = targets;
+      pinNode(target, target.x, target.y);
+      searchPinned = target;
+      selectNode(target.id);
+    } else {
+      selectNode(null);
+      highlightedIds = new Set(targets.map((d) => d.id));
+      applyHighlight(highlightedIds);
+    }
+    node.classed('pinned', (d) => Number.isFinite(d.fx));
+    zoomToNodes(targets);
+  };
+
+  const showLayoutMode = (mode) => {
+    const layout = mode === 'cluster' ? clusterLayout : null;
+    updateLinkSelection(getModeLinks(mode));
+    getNodeFill = layout
+      ? (d) => layout.colors.get(layout.communityByNode.get(d.id)) ?? colorMap[d.type]
+      : (d) => colorMap[d.type];
+    node.attr('fill', getNodeFill);
+    renderHulls(layout);
+    highlightEgoNetwork(selectedId);
+    canvasLayer?.requestDraw();
+  };
+
+  // Each call supersedes the running layout; links already built for this data are reused.
+  // With `restore`, saved positions of the mode replace the current ones (see loadLayoutFile).
+  const applyLayoutMode = (mode, { restore = false } = {}) => {
+    if (linkStrengthInput) {
+      linkStrengthInput.disabled = mode === 'year';
+    }
+    const restored = restore
+      ? getStoredPositions(currentLayoutFile, mode, graph.nodes.map((d) => d.id))
+      : [];
+    if (restored.length) {
+      restored.forEach(({ id, ...position }) => Object.assign(nodesById.get(id), position));
+      searchPinned = null;
+      node.classed('pinned', (d) => Number.isFinite(d.fx));
+      renderPositions();
+    }
+    showLayoutMode(mode);
+    pendingPositions = null;
+    runId = layoutRunId += 1;
+    getLayoutClient().send({
+      type: 'start',
+      runId,
+      dataVersion,
+      mode,
+      linkStrength: getLinkStrength(),
+      view: { centerX, centerY, width: layoutWidth, height: layoutHeight },
+      restore: restored.length ? restored : undefined,
+      getData: () => ({
+        movies: graph.nodes.map((d) => moviesById.get(d.id)),
+        positions: graph.nodes.map(({ id, x, y, fx, fy }) => ({ id, x, y, fx, fy })),
+      }),
+    });
+  };
+
+  currentLayoutHandler = (message) => {
+    if (message.runId !== runId) return;
+    if (message.type === 'progress') {
+      showLayoutProgress(message.phase, message.progress);
+    } else if (message.type === 'links') {
+      if (message.similarity) cachedLinks.similarity = resolveLinks(message.similarity);
+      if (message.actor) cachedLinks.actor = resolveLinks(message.actor);
+      if (message.cluster) clusterLayout = createClusterLayout(message.cluster);
+      showLayoutMode(layoutModeInput?.value ?? defaultLayoutMode);
+      if (selectedId && (message.similarity || message.actor)) selectNode(selectedId);
+    } else if (message.type === 'tick') {
+      if (!pendingPositions) requestAnimationFrame(applyPositions);
+      pendingPositions = message.positions;
+    } else if (message.type === 'end') {
+      showLayoutProgress(null);
+      autoZoomToFit();
+    }
+  };
+
+  const updateLinkStrength = () => {
+    if (!currentLayoutModeUpdater) return;
+    currentLayoutModeUpdater(layoutModeInput?.value ?? defaultLayoutMode);
+  };
+
+  if (linkStrengthInput) {
+    linkStrengthInput.oninput = updateLinkStrength;
+  }
+
+  const updateNetwork = (nextData) => {
+    const nextGraph = createMovieGraph(nextData);
+    const storedPositions = new Map(
+      getStoredPositions(
+        currentLayoutFile,
+        layoutModeInput?.value ?? defaultLayoutMode,
+        nextGraph.nodes.map((d) => d.id),
+      ).map((position) => [position.id, position]),
+    );
+    // Movies that stay keep their node object and position; new ones start at their saved
+    // position or near the centre.
+    graph = {
+      ...nextGraph,
+      nodes: nextGraph.nodes.map((d) => {
+        const existing = nodesById.get(d.id);
+        if (existing) return existing;
+        if (storedPositions.has(d.id)) return Object.assign(d, storedPositions.get(d.id));
+        d.x = centerX + (Math.random() - 0.5) * 80;
+        d.y = centerY + (Math.random() - 0.5) * 80;
+        return d;
+      }),
+    };
+    moviesById = new Map(nextData.movies.map((movie) => [`movie-${movie.id}`, movie]));
+    nodesById = new Map(graph.nodes.map((d) => [d.id, d]));
+    dataVersion = layoutDataVersion += 1;
+    cachedLinks.similarity = null;
+    cachedLinks.actor = null;
+    clusterLayout = null;
+    updateNodeSelection();
+
+    if (searchPinned && !nodesById.has(searchPinned.id)) {
+      searchPinned = null;
+    }
+    if (selectedId && !nodesById.has(selectedId)) {
+      selectNode(null);
+    } else if (selectedId) {
+      selectNode(selectedId);
+    }
+    highlightedIds = null;
+    node.classed('pinned', (d) => Number.isFinite(d.fx));
+    applyLayoutMode(layoutModeInput?.value ?? defaultLayoutMode);
+  };
+
+  updateNodeSelection();
+  currentLayoutModeUpdater = applyLayoutMode;
+  currentLayoutNodes = () => graph.nodes;
+  currentSelectHandler = (nodeId) => selectNode(nodesById.has(nodeId) ? nodeId : null);
+  applyLayoutMode(layoutModeInput?.value ?? defaultLayoutMode, { restore: true });
+  updateZoomToFit();
+  return updateNetwork;
+};
+
+const renderEntityNetwork = (graph) => {
+  const linkColors = new Map(
+    Object.entries(colorMap).map(([type, color]) => [
+      type,
+      d3.color(color).copy({ opacity: 0.35 }).toString(),
+    ]),
+  );
+  const {
+    zoomLayer,
+    updateZoomToFit,
+    autoZoomToFit,
+    zoomToNodes,
+    layoutWidth,
+    layoutHeight,
+    canvasLayer,
+  } = createZoomLayer({
+    canvas: shouldUseCanvas(graph.nodes.length) && {
+      getNodes: () => simulation.nodes(),
+      getLinks: () => linkForce.links(),
+      getRadius: (d) => getRadius(d),
+      getFill: (d) => colorMap[d.type],
+      getLinkColor: (d) => linkColors.get(d.type === 'cast' ? 'person' : d.type),
+      isSelected: (d) => markedIds.has(d.id),
+      getLabelPriority: (d) => getDegree(d),
+    },
+  });
+  const linkGroup = zoomLayer.append('g');
+  const nodeGroup = zoomLayer.append('g');
+  const labelGroup = zoomLayer.append('g');
+
+  const centerX = layoutWidth / 2;
+  const centerY = layoutHeight / 2;
+  const degrees = computeDegrees(graph);
+  const getDegree = (d) => degrees.get(d.id) ?? 0;
+  const radius = d3
+    .scaleSqrt()
+    .domain([1, Math.max(1, d3.max(degrees.values()) ?? 1)])
+    .range([4, 26]);
+  const getRadius = (d) => radius(Math.max(1, getDegree(d)));
+
+  // Labelling every person and keyword is unreadable, so only the biggest hubs get one.
+  const labelledIds = new Set(
+    [...graph.nodes]
+      .sort((a, b) => getDegree(b) - getDegree(a))
+      .slice(0, 40)
+      .map((d) => d.id),
+  );
+
+  const getEntityLinkStrength = (link) =>
+    (getLinkStrength() * 5) / Math.max(1, Math.min(getDegree(link.source), getDegree(link.target)));
+  const linkForce = d3
+    .forceLink()
+    .id((d) => d.id)
+    .distance((link) => 18 + getRadius(link.source) + getRadius(link.target))
+    .strength(getEntityLinkStrength);
+
+  const simulation = d3
+    .forceSimulation()
+    .velocityDecay(0.45)
+    .alphaDecay(0.05)
+    .force('charge', d3.forceManyBody().strength((d) => -20 - getRadius(d) * 4).distanceMax(320))
+    .force('center', d3.forceCenter(centerX, centerY))
+    .force('x', d3.forceX(centerX).strength(0.05))
+    .force('y', d3.forceY(centerY).strength(0.05))
+    .force(
+      'collide',
+      d3
+        .forceCollide()
+        .radius((d) => getRadius(d) + 2)
+        .iterations(1),
+    )
+    .force('link', linkForce);
+
+  const drag = d3
+    .drag()
+    .on('start', (event) => {
+      if (!event.active) simulation.alphaTarget(0.3).restart();
+      event.subject.fx = event.subject.x;
+      event.subject.fy = event.subject.y;
+    })
+    .on('drag', (event) => {
+      event.subject.fx = event.x;
+      event.subject.fy = event.y;
+    })
+    .on('end', (event) => {
+      if (!event.active) simulation.alphaTarget(0);
+      event.subject.fx = null;
+      event.subject.fy = null;
+      node.classed('pinned', (n) => Number.isFinite(n.fx));
+    });
+  canvasLayer?.attachDrag(drag);
+
+  let link = linkGroup.selectAll('line');
+  let node = nodeGroup.selectAll('circle');
+  let label = labelGroup.selectAll('text');
+  let markedIds = new Set();
+
+  simulation.on('tick', () => {
+    link
+      .attr('x1', (d) => d.source.x)
+      .attr('y1', (d) => d.source.y)
+      .attr('x2', (d) => d.target.x)
+      .attr('y2', (d) => d.target.y);
+
+    node.attr('cx', (d) => d.x).attr('cy', (d) => d.y);
+
+    label.attr('x', (d) => d.x + getRadius(d) + 3).attr('y', (d) => d.y + 4);
+    canvasLayer?.requestDraw();
+  });
+
+  simulation.on('end', autoZoomToFit);
+  activeSimulation = simulation;
+
+  const updateVisibleTypes = () => {
+    const visible = filterGraphByType(graph, getVisibleNodeTypes());
+    simulation.nodes(visible.nodes);
+    linkForce.links(visible.links);
+    simulation.alpha(0.8).restart();
+    if (canvasLayer) {
+      canvasLayer.requestDraw();
+      return;
+    }
+
+    link = linkGroup
+      .selectAll('line')
+      .data(visible.links, (d) => `${d.source.id ?? d.source}|${d.target.id ?? d.target}|${d.type}`)
+      .join((enter) =>
+        enter
+          .append('line')
+          .attr('class', (d) => `link link-${d.type}`)
+          .attr('stroke', (d) => colorMap[d.type === 'cast' ? 'person' : d.type])
+          .attr('stroke-opacity', 0.35),
+      );
+
+    node = nodeGroup
+      .selectAll('circle')
+      .data(visible.nodes, (d) => d.id)
+      .join((enter) =>
+        enter
+          .append('circle')
+          .attr('class', (d) => `node node-${d.type}`)
+          .attr('r', getRadius)
+          .attr('fill', (d) => colorMap[d.type])
+          .call(drag)
+          .call((circle) =>
+            circle.append('title').text((d) => `${d.label} · ${getDegree(d)} Verbindungen`),
+          ),
+      );
+
+    label = labelGroup
+      .selectAll('text')
+      .data(
+        visible.nodes.filter((d) => labelledIds.has(d.id)),
+        (d) => d.id,
+      )
+      .join((enter) =>
+        enter
+          .append('text')
+          .attr('class', 'label')
+          .text((d) => d.label),
+      );
+  };
+
+  if (filterInput) {
+    filterInput.onchange = updateVisibleTypes;
+  }
+  if (linkStrengthInput) {
+    linkStrengthInput.disabled = false;
+    linkStrengthInput.oninput = () => {
+      linkForce.strength(getEntityLinkStrength);
+      simulation.alpha(0.6).restart();
+    };
+  }
+
+  // People without a cast credit (e.g. directors) have no node here, so fall back to their movies.
+  currentSearchHandler = (entry) => {
+    const visibleTypes = getVisibleNodeTypes();
+    const wantedTypes = [entry.type, 'movie'].filter((type) => !visibleTypes.includes(type));
+    if (wantedTypes.length && filterInput) {
+      wantedTypes.forEach((type) => {
+        const checkbox = filterInput.querySelector(`input[value="${type}"]`);
+        if (checkbox) checkbox.checked = true;
+      });
+      updateVisibleTypes();
+      scheduleUrlStateUpdate();
+    }
+    const nodesById = new Map(simulation.nodes().map((d) => [d.id, d]));
+    const entityNode = nodesById.get(entry.key);
+    const targets = entityNode
+      ? [entityNode]
+      : entry.movieIds.map((movieId) => nodesById.get(`movie-${movieId}`)).filter(Boolean);
+    if (!targets.length) {
+      showHiddenSearchResult(entry);
+      return;
+    }
+    simulation.nodes().forEach((d) => {
+      d.fx = null;
+      d.fy = null;
+    });
+    targets.forEach((d) => {
+      d.fx = d.x;
+      d.fy = d.y;
+    });
+    markedIds = new Set(targets.map((d) => d.id));
+    node
+      .classed('pinned', (d) => markedIds.has(d.id))
+      .classed('selected', (d) => markedIds.has(d.id));
+    canvasLayer?.requestDraw();
+    zoomToNodes(targets);
+  };
+
+  updateVisibleTypes();
+  updateZoomToFit();
+};
+
+const getSelectedPathEdgeTypes = () => {
+  if (!pathEdgeTypesInput) return DEFAULT_PATH_EDGE_TYPES;
+  return Array.from(pathEdgeTypesInput.querySelectorAll('input:checked')).map(
+    (input) => input.value,
+  );
+};
+
+if (pathEdgeTypesInput) {
+  PATH_EDGE_TYPES.forEach((type) => {
+    const option = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = type;
+    checkbox.checked = DEFAULT_PATH_EDGE_TYPES.includes(type);
+    option.appendChild(checkbox);
+    option.appendChild(document.createTextNode(` ${pathEdgeTypeLabels[type]}`));
+    pathEdgeTypesInput.appendChild(option);
+  });
+}
+
+const describePathEdge = (edge) => {
+  if (edge.type === 'similarity') return `Ähnlichkeit ${edge.weight.toFixed(2)}`;
+  if (edge.type === 'crew') return edge.job === 'Director' ? 'Regie' : edge.job;
+  return nodeTypeLabels[edge.type] ?? pathEdgeTypeLabels[edge.type];
+};
+
+const getPathEdgeColor = (edge) => {
+  if (edge.type === 'similarity') return colorMap.movie;
+  if (edge.type === 'cast' || edge.type === 'crew') return colorMap.person;
+  return colorMap[edge.type];
+};
+
+const showPathDetails = (paths, nodesById, { title, message, activeIndex = 0, onSelect } = {}) => {
+  if (!detailPanel) return;
+  detailPanel.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'detail-header';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'detail-close';
+  closeButton.setAttribute('aria-label', 'Details schließen');
+  closeButton.textContent = '×';
+  closeButton.onclick = hideDetails;
+  header.appendChild(heading);
+  header.appendChild(closeButton);
+  detailPanel.appendChild(header);
+
+  if (message) {
+    const note = document.createElement('p');
+    note.textContent = message;
+    detailPanel.appendChild(note);
+  }
+
+  paths.forEach((path, index) => {
+    const section = document.createElement('section');
+    section.className = index === activeIndex ? 'path-option active' : 'path-option';
+    const button = document.createElement('button');
+    button.type = 'button';
+    const steps = path.edges.length;
+    button.textContent = `Pfad ${index + 1} · ${steps} ${steps === 1 ? 'Schritt' : 'Schritte'}`;
+    button.onclick = () => onSelect?.(index);
+    section.appendChild(button);
+
+    const hops = document.createElement('ol');
+    path.edges.forEach((edge) => {
+      const hop = document.createElement('li');
+      const names = document.createElement('span');
+      const from = nodesById.get(edge.source)?.label;
+      names.textContent = `${from} → ${nodesById.get(edge.target)?.label}`;
+      const reason = document.createElement('span');
+      reason.className = 'weight';
+      reason.textContent = describePathEdge(edge);
+      hop.appendChild(names);
+      hop.appendChild(reason);
+      hops.appendChild(hop);
+    });
+    section.appendChild(hops);
+    detailPanel.appendChild(section);
+  });
+
+  detailPanel.hidden = false;
+};
+
+const renderPathView = (data) => {
+  const { zoomLayer, updateZoomToFit, autoZoomToFit, layoutWidth, layoutHeight } =
+    createZoomLayer();
+  const linkGroup = zoomLayer.append('g');
+  const nodeGroup = zoomLayer.append('g');
+  const labelGroup = zoomLayer.append('g');
+  const centerX = layoutWidth / 2;
+  const centerY = layoutHeight / 2;
+
+  if (pathOptions) {
+    pathOptions.innerHTML = '';
+    currentSearchIndex
+      .filter((entry) => entry.type === 'movie' || entry.type === 'person')
+      .forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.label;
+        pathOptions.appendChild(option);
+      });
+  }
+
+  let simulation = null;
+  let pathGraph = null;
+  let pathGraphKey = null;
+  const getPathGraph = (edgeTypes) => {
+    const key = edgeTypes.join(',');
+    if (key !== pathGraphKey) {
+      pathGraph = buildPathGraph(data, { edgeTypes });
+      pathGraphKey = key;
+    }
+    return pathGraph;
+  };
+
+  const resolveEndpoint = (input) =>
+    input?.value.trim()
+      ? searchIndex(currentSearchIndex, input.value, { limit: 50 }).find(
+          (entry) => entry.type === 'movie' || entry.type === 'person',
+        )
+      : null;
+
+  const drawPaths = (paths, nodesById, sourceId, targetId) => {
+    simulation?.stop();
+    const nodes = Array.from(new Set(paths.flatMap((path) => path.nodes))).map((id) => ({
+      ...nodesById.get(id),
+    }));
+    const linkMap = new Map();
+    paths.forEach((path, pathIndex) => {
+      path.edges.forEach((edge) => {
+        const key = `${[edge.source, edge.target].sort().join('|')}|${edge.type}`;
+        const link = linkMap.get(key) ?? { ...edge, pathIndexes: new Set() };
+        link.pathIndexes.add(pathIndex);
+        linkMap.set(key, link);
+      });
+    });
+    const links = Array.from(linkMap.values());
+
+    // Start and target are pinned on the left and right so the paths read from left to right.
+    const span = Math.min(layoutWidth, layoutHeight) * 0.45;
+    nodes.forEach((d) => {
+      if (d.id === sourceId) d.fx = centerX - span;
+      if (d.id === targetId) d.fx = centerX + span;
+      if (d.id === sourceId || d.id === targetId) d.fy = centerY;
+    });
+
+    const link = linkGroup
+      .selectAll('line')
+      .data(links)
+      .join('line')
+      .attr('class', 'link path-link')
+      .style('stroke', getPathEdgeColor);
+    const node = nodeGroup
+      .selectAll('circle')
+      .data(nodes, (d) => d.id)
+      .join('circle')
+      .attr('class', (d) => (d.id === sourceId || d.id === targetId ? 'node endpoint' : 'node'))
+      .attr('r', (d) => (d.id === sourceId || d.id === targetId ? 12 : 8))
+      .attr('fill', (d) => colorMap[d.type]);
+    const label = labelGroup
+      .selectAll('text')
+      .data(nodes, (d) => d.id)
+      .join('text')
+      .attr('class', 'label')
+      .text((d) => d.label);
+
+    const highlightPath = (pathIndex) => {
+      const pathNodes = new Set(paths[pathIndex]?.nodes ?? []);
+      node.classed('dimmed', (d) => !pathNodes.has(d.id));
+      label.classed('dimmed', (d) => !pathNodes.has(d.id));
+      link
+        .classed('highlighted', (d) => d.pathIndexes.has(pathIndex))
+        .classed('dimmed', (d) => !d.pathIndexes.has(pathIndex));
+    };
+
+    simulation = d3
+      .forceSimulation(nodes)
+      .velocityDecay(0.4)
+      .force(
+        'link',
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance(70),
+      )
+      .force('charge', d3.forceManyBody().strength(-260))
+      .force('y', d3.forceY(centerY).strength(0.04))
+      .force('collide', d3.forceCollide(24))
+      .on('tick', () => {
+        link
+          .attr('x1', (d) => d.source.x)
+          .attr('y1', (d) => d.source.y)
+          .attr('x2', (d) => d.target.x)
+          .attr('y2', (d) => d.target.y);
+        node.attr('cx', (d) => d.x).attr('cy', (d) => d.y);
+        label.attr('x', (d) => d.x + 12).attr('y', (d) => d.y + 4);
+      })
+      .on('end', autoZoomToFit);
+    activeSimulation = simulation;
+
+    return highlightPath;
+  };
+
+  const runPathSearch = () => {
+    const source = resolveEndpoint(pathSourceInput);
+    const target = resolveEndpoint(pathTargetInput);
+    if (!source || !target) {
+      drawPaths([], new Map());
+      showPathDetails([], new Map(), {
+        title: 'Verbindung',
+        message: 'Bitte Start und Ziel wählen (Film oder Person).',
+      });
+      return;
+    }
+    pathSourceInput.value = source.label;
+    pathTargetInput.value = target.label;
+
+    const { nodesById, adjacency } = getPathGraph(getSelectedPathEdgeTypes());
+    const paths = findShortestPaths(
+      { nodesById, adjacency },
+      source.key,
+      target.key,
+      { k: Number(pathCountInput?.value ?? 3) },
+    );
+    const highlightPath = drawPaths(paths, nodesById, source.key, target.key);
+    const title = `${source.label} → ${target.label}`;
+    if (!paths.length) {
+      showPathDetails([], nodesById, {
+        title,
+        message:
+          source.key === target.key
+            ? 'Start und Ziel sind identisch.'
+            : 'Keine Verbindung über die gewählten Kantentypen gefunden.',
+      });
+      return;
+    }
+
+    const selectPath = (index) => {
+      highlightPath(index);
+      showPathDetails(paths, nodesById, { title, activeIndex: index, onSelect: selectPath });
+    };
+    selectPath(0);
+    updateZoomToFit();
+  };
+
+  if (pathControls) {
+    pathControls.onsubmit = (event) => {
+      event.preventDefault();
+      runPathSearch();
+    };
+  }
+  if (pathEdgeTypesInput) {
+    pathEdgeTypesInput.onchange = runPathSearch;
+  }
+  if (pathCountInput) {
+    pathCountInput.onchange = runPathSearch;
+  }
+
+  if (pathSourceInput?.value && pathTargetInput?.value) {
+    runPathSearch();
+  }
+};
+
+const getSvgSize = () => {
+  const rect = svg.node()?.getBoundingClientRect();
+  return {
+    width: rect?.width || width,
+    height: rect?.height || height,
+  };
+};
+
+const tableColumnLabels = {
+  title: 'Titel',
+  year: 'Jahr',
+  runtime: 'Laufzeit',
+  genres: 'Genres',
+  director: 'Regie',
+  cast: 'Hauptrollen',
+  keywordCount: 'Keywords',
+};
+const tableRowHeight = 32;
+
+const formatTableCell = (row, key) => {
+  if (key === 'runtime') return row.runtime === null ? 'n/a' : `${row.runtime} min`;
+  return row[key] === null ? 'n/a' : String(row[key]);
+};
+
+const markMovies = (movieIds) => {
+  markedNodeIds = new Set(movieIds.map((movieId) => `movie-${movieId}`));
+  markMovieNodes();
+};
+
+// Movies picked in the table keep a marker in every other chart.
+const markMovieNodes = () => {
+  svg.selectAll('.node').classed('marked', (d) => Boolean(d) && markedNodeIds.has(d.id));
+  activeCanvasLayer?.requestDraw();
+};
+
+// Only the rows in view exist in the DOM; spacer rows keep the scrollbar honest.
+const renderTable = (data) => {
+  if (!listContainer) return;
+  listContainer.innerHTML = '';
+  listContainer.style.display = 'grid';
+  svg.style('display', 'none');
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Filmtabelle';
+  listContainer.appendChild(heading);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'table-toolbar';
+  const count = document.createElement('p');
+  count.className = 'list-count';
+  const createButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  };
+  const clearButton = createButton('Auswahl aufheben', () => selectRows([]));
+  const filterButton = createButton('Als Filter setzen', () =>
+    setMovieSelection(getSelectedRows().map((row) => row.id)),
+  );
+  const csvButton = createButton('CSV exportieren', () =>
+    downloadFile(toCsv(getExportRows()), 'text/csv', 'movies.csv'),
+  );
+  const jsonButton = createButton('JSON exportieren', () =>
+    downloadFile(
+      JSON.stringify({ ...currentData, movies: getExportRows().map((row) => row.movie) }),
+      'application/json',
+      'movies.json',
+    ),
+  );
+  [csvButton, jsonButton].forEach((button) => {
+    button.title = 'Exportiert die ausgewählten Filme, ohne Auswahl alle angezeigten';
+  });
+  toolbar.append(count, clearButton, filterButton, csvButton, jsonButton);
+  listContainer.appendChild(toolbar);
+
+  const viewport = document.createElement('div');
+  viewport.className = 'table-viewport';
+  const table = document.createElement('table');
+  table.className = 'movie-table';
+  const head = document.createElement('thead');
+  const sortRow = document.createElement('tr');
+  const filterRow = document.createElement('tr');
+  filterRow.className = 'table-filters';
+  const body = document.createElement('tbody');
+
+  const allRows = data.movies.map(getTableRow);
+  let rows = [];
+  let highlightedIds = new Set();
+  let scrollFrame = null;
+
+  const isMarked = (row) => markedNodeIds.has(`movie-${row.id}`);
+  const getSelectedRows = () => allRows.filter(isMarked);
+  const getExportRows = () => {
+    const selectedRows = rows.filter(isMarked);
+    return selectedRows.length ? selectedRows : rows;
+  };
+
+  const updateToolbar = () => {
+    const total = currentData?.movies.length ?? data.movies.length;
+    const selectedCount = getSelectedRows().length;
+    count.textContent =
+      `${rows.length} von ${total} Filmen` +
+      (selectedCount ? ` · ${selectedCount} ausgewählt` : '');
+    clearButton.disabled = !selectedCount;
+    filterButton.disabled = !selectedCount;
+    csvButton.disabled = !rows.length;
+    jsonButton.disabled = !rows.length;
+  };
+
+  const createSpacer = (rowCount) => {
+    const spacer = document.createElement('tr');
+    spacer.className = 'table-spacer';
+    spacer.style.height = `${rowCount * tableRowHeight}px`;
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  };
+
+  const createRow = (row) => {
+    const item = document.createElement('tr');
+    item.dataset.movieId = row.id;
+    item.classList.toggle('marked', isMarked(row));
+    item.classList.toggle('highlighted', highlightedIds.has(row.id));
+    item.setAttribute('aria-selected', String(isMarked(row)));
+    const checkboxCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isMarked(row);
+    checkbox.setAttribute('aria-label', `${row.title} auswählen`);
+    checkboxCell.appendChild(checkbox);
+    item.appendChild(checkboxCell);
+    TABLE_COLUMNS.forEach(({ key, type }) => {
+      const cell = document.createElement('td');
+      cell.textContent = formatTableCell(row, key);
+      cell.title = cell.textContent;
+      if (type === 'number') cell.className = 'number';
+      item.appendChild(cell);
+    });
+    return item;
+  };
+
+  const renderRows = () => {
+    const { start, end } = getVisibleRange({
+      scrollTop: viewport.scrollTop,
+      // Before the first layout the viewport has no height yet.
+      viewportHeight: viewport.clientHeight || 600,
+      rowHeight: tableRowHeight,
+      rowCount: rows.length,
+    });
+    body.replaceChildren(
+      createSpacer(start),
+      ...rows.slice(start, end).map(createRow),
+      createSpacer(rows.length - end),
+    );
+  };
+
+  const updateRows = () => {
+    rows = sortRows(filterRows(allRows, tableColumnFilters), tableSort);
+    renderRows();
+    updateToolbar();
+  };
+
+  const selectRows = (movieIds) => {
+    markMovies(movieIds);
+    renderRows();
+    updateToolbar();
+  };
+
+  const showMovie = (movieId) => {
+    if (movieId !== currentSelectedId) {
+      currentSelectedId = movieId;
+      updateUrlState({ push: true });
+    }
+    const selected = allRows.find((row) => `movie-${row.id}` === movieId);
+    if (!selected) {
+      hideDetails();
+      return;
+    }
+    showMovieDetails(selected.movie, { onClose: () => showMovie(null) });
+  };
+
+  // Click picks one movie, Ctrl/Cmd or the checkbox toggle one, Shift extends from the last click.
+  body.addEventListener('click', (event) => {
+    const item = event.target.closest('tr[data-movie-id]');
+    if (!item) return;
+    const movieId = Number(item.dataset.movieId);
+    const selectedIds = getSelectedRows().map((row) => row.id);
+    const isToggle = event.ctrlKey || event.metaKey || event.target.type === 'checkbox';
+    const rowIds = rows.map((row) => row.id);
+    const anchorIndex = rowIds.indexOf(tableAnchorId);
+    if (event.shiftKey && anchorIndex !== -1) {
+      const index = rowIds.indexOf(movieId);
+      const rangeIds = rowIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+      selectRows(isToggle ? [...new Set([...selectedIds, ...rangeIds])] : rangeIds);
+      return;
+    }
+    tableAnchorId = movieId;
+    if (isToggle) {
+      selectRows(
+        selectedIds.includes(movieId)
+          ? selectedIds.filter((selectedId) => selectedId !== movieId)
+          : [...selectedIds, movieId],
+      );
+      return;
+    }
+    selectRows([movieId]);
+    showMovie(`movie-${movieId}`);
+  });
+
+  const checkboxHeader = document.createElement('th');
+  checkboxHeader.setAttribute('aria-label', 'Auswahl');
+  sortRow.appendChild(checkboxHeader);
+  filterRow.appendChild(document.createElement('th'));
+  const sortHeaders = TABLE_COLUMNS.map(({ key, type }) => {
+    const header = document.createElement('th');
+    header.scope = 'col';
+    if (type === 'number') header.className = 'number';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = tableColumnLabels[key];
+    button.addEventListener('click', () => {
+      tableSort = {
+        key,
+        direction: tableSort.key === key && tableSort.direction === 'asc' ? 'desc' : 'asc',
+      };
+      updateSortHeaders();
+      updateRows();
+      updateUrlState({ push: true });
+    });
+    header.appendChild(button);
+    sortRow.appendChild(header);
+
+    const filterCell = document.createElement('th');
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.value = tableColumnFilters[key] ?? '';
+    input.placeholder = type === 'number' ? 'z. B. >90, 1990-1999' : 'filtern';
+    input.setAttribute('aria-label', `${tableColumnLabels[key]} filtern`);
+    input.addEventListener('input', () => {
+      tableColumnFilters = { ...tableColumnFilters, [key]: input.value };
+      viewport.scrollTop = 0;
+      updateRows();
+    });
+    filterCell.appendChild(input);
+    filterRow.appendChild(filterCell);
+    return { key, header };
+  });
+  const updateSortHeaders = () =>
+    sortHeaders.forEach(({ key, header }) => {
+      const isSorted = tableSort.key === key;
+      header.setAttribute(
+        'aria-sort',
+        isSorted ? (tableSort.direction === 'desc' ? 'descending' : 'ascending') : 'none',
+      );
+      header.classList.toggle('sorted', isSorted);
+    });
+
+  head.append(sortRow, filterRow);
+  table.append(head, body);
+  viewport.appendChild(table);
+  listContainer.appendChild(viewport);
+  viewport.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      renderRows();
+    });
+  });
+  updateSortHeaders();
+  updateRows();
+
+  currentSelectHandler = showMovie;
+  currentSearchHandler = (entry) => {
+    highlightedIds = new Set(entry.movieIds);
+    const index = rows.findIndex((row) => highlightedIds.has(row.id));
+    if (index !== -1) {
+      viewport.scrollTop = Math.max(
+        0,
+        index * tableRowHeight - (viewport.clientHeight - tableRowHeight) / 2,
+      );
+    }
+    renderRows();
+  };
+};
+
+const styleAxis = (axisGroup) => {
+  axisGroup.selectAll('path, line').attr('stroke', '#475569');
+  axisGroup.selectAll('text').attr('fill', '#cbd5f5');
+};
+
+const renderGenresBar = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const margin = { top: 50, right: 40, bottom: 120, left: 60 };
+  const chartWidth = viewWidth - margin.left - margin.right;
+  const chartHeight = viewHeight - margin.top - margin.bottom;
+
+  const genreCounts = new Map();
+  data.movies.forEach((movie) => {
+    (movie.genres ?? []).forEach((genre) => {
+      genreCounts.set(genre.name, (genreCounts.get(genre.name) ?? 0) + 1);
+    });
+  });
+
+  const dataset = Array.from(genreCounts.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  const x = d3
+    .scaleBand()
+    .domain(dataset.map((d) => d.name))
+    .range([0, chartWidth])
+    .padding(0.2);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(dataset, (d) => d.count) ?? 1])
+    .nice()
+    .range([chartHeight, 0]);
+
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -20)
+    .attr('fill', '#e2e8f0')
+    .attr('font-size', 16)
+    .text('Genre-Haeufigkeit');
+
+  chart
+    .selectAll('rect')
+    .data(dataset)
+    .enter()
+    .append('rect')
+    .attr('x', (d) => x(d.name))
+    .attr('y', (d) => y(d.count))
+    .attr('width', x.bandwidth())
+    .attr('height', (d) => chartHeight - y(d.count))
+    .attr('fill', '#38bdf8');
+
+  const xAxis = chart
+    .append('g')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(x));
+
+  xAxis
+    .selectAll('text')
+    .attr('text-anchor', 'end')
+    .attr('transform', 'rotate(-35)')
+    .attr('dx', '-0.6em')
+    .attr('dy', '0.25em');
+  styleAxis(xAxis);
+
+  const yAxis = chart.append('g').call(d3.axisLeft(y).ticks(6));
+  styleAxis(yAxis);
+
+  chart
+    .append('text')
+    .attr('x', chartWidth / 2)
+    .attr('y', chartHeight + 90)
+    .attr('text-anchor', 'middle')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 12)
+    .text('Genre');
+
+  chart
+    .append('text')
+    .attr('transform', 'rotate(-90)')
+    .attr('x', -chartHeight / 2)
+    .attr('y', -45)
+    .attr('text-anchor', 'middle')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 12)
+    .text('Anzahl Filme');
+};
+
+const maxAnalyticsGenres = 12;
+const otherGenreColor = '#64748b';
+
+const getGenreColorScale = (genres) =>
+  d3.scaleOrdinal(
+    genres.map((genre) => genre.id),
+    d3.schemeSet3,
+  );
+
+// Clicking a genre filters by it; clicking a pair selects the movies that have both.
+const filterByGenre = (genreId) => {
+  filterState = { ...filterState, genreIds: [genreId] };
+  syncFacetInputs();
+  applyFilters();
+};
+
+const describeGenreCell = (genres, matrix, movieIds, i, j) => {
+  const titlesById = new Map(currentData.movies.map((movie) => [movie.id, movie.title]));
+  const titles = movieIds[i][j].map((movieId) => titlesById.get(movieId));
+  const names = i === j ? genres[i].name : `${genres[i].name} + ${genres[j].name}`;
+  const count = matrix[i][j];
+  return [
+    `${names}: ${count} ${count === 1 ? 'Film' : 'Filme'}`,
+    ...titles.slice(0, 8),
+    titles.length > 8 ? `+${titles.length - 8}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+const appendChartTitle = (chart, title, note) => {
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -30)
+    .attr('fill', '#e2e8f0')
+    .attr('font-size', 16)
+    .text(title);
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -12)
+    .attr('fill', '#94a3b8')
+    .attr('font-size', 11)
+    .text(note);
+};
+
+const renderGenreMatrix = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const margin = { top: 70, right: 40, bottom: 30, left: 150 };
+  const { genres, matrix, movieIds } = buildGenreMatrix(data.movies, {
+    maxGenres: maxAnalyticsGenres,
+  });
+  const size = Math.max(
+    0,
+    Math.min(viewWidth - margin.left - margin.right, viewHeight - margin.top - margin.bottom - 110),
+  );
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+  appendChartTitle(
+    chart,
+    'Genre-Kombinationen',
+    'Filme mit beiden Genres · Diagonale: Filme pro Genre · Klick wählt die Filme aus',
+  );
+
+  const x = d3
+    .scaleBand()
+    .domain(d3.range(genres.length))
+    .range([0, size])
+    .paddingInner(0.06);
+  const grid = chart.append('g').attr('transform', 'translate(0,110)');
+  const offDiagonalMax =
+    d3.max(matrix.flatMap((row, i) => row.filter((count, j) => i !== j))) || 1;
+  const color = d3.scaleSequential(d3.interpolateViridis).domain([0, offDiagonalMax]);
+  const cells = genres.flatMap((genre, i) =>
+    genres.map((other, j) => ({ i, j, count: matrix[i][j] })),
+  );
+
+  const cell = grid
+    .selectAll('g.genre-cell')
+    .data(cells)
+    .join('g')
+    .attr('class', 'genre-cell')
+    .attr('transform', (d) => `translate(${x(d.j)},${x(d.i)})`)
+    .style('cursor', (d) => (d.count ? 'pointer' : 'default'))
+    .on('click', (event, d) => {
+      if (d.count) setMovieSelection(movieIds[d.i][d.j]);
+    });
+  cell
+    .append('rect')
+    .attr('width', x.bandwidth())
+    .attr('height', x.bandwidth())
+    .attr('rx', 2)
+    .attr('fill', (d) => {
+      if (d.i === d.j) return '#334155';
+      return d.count ? color(d.count) : 'rgba(148, 163, 184, 0.06)';
+    });
+  cell
+    .filter((d) => d.count && x.bandwidth() >= 22)
+    .append('text')
+    .attr('x', x.bandwidth() / 2)
+    .attr('y', x.bandwidth() / 2)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'middle')
+    .attr('font-size', 10)
+    .attr('fill', (d) => (d.i !== d.j && d.count > offDiagonalMax * 0.6 ? '#0f172a' : '#e2e8f0'))
+    .style('pointer-events', 'none')
+    .text((d) => d.count);
+  cell
+    .filter((d) => d.count)
+    .append('title')
+    .text((d) => describeGenreCell(genres, matrix, movieIds, d.i, d.j));
+
+  const shorten = (name) => (name.length > 18 ? `${name.slice(0, 17)}…` : name);
+  grid
+    .append('g')
+    .selectAll('text')
+    .data(genres)
+    .join('text')
+    .attr('x', -8)
+    .attr('y', (genre, i) => x(i) + x.bandwidth() / 2)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'end')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((genre) => shorten(genre.name))
+    .style('cursor', 'pointer')
+    .on('click', (event, genre) => filterByGenre(genre.id));
+  grid
+    .append('g')
+    .selectAll('text')
+    .data(genres)
+    .join('text')
+    .attr(
+      'transform',
+      (genre, i) => `translate(${x(i) + x.bandwidth() / 2},-8) rotate(-45)`,
+    )
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((genre) => shorten(genre.name))
+    .style('cursor', 'pointer')
+    .on('click', (event, genre) => filterByGenre(genre.id));
+
+  if (!genres.length) {
+    chart
+      .append('text')
+      .attr('y', 20)
+      .attr('fill', '#cbd5f5')
+      .attr('font-size', 14)
+      .text('Keine Genres in den gefilterten Daten.');
+  }
+};
+
+const renderGenreChord = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const { genres, matrix, movieIds } = buildGenreMatrix(data.movies, {
+    maxGenres: maxAnalyticsGenres,
+  });
+  const chart = svg.append('g').attr('transform', 'translate(40,60)');
+  appendChartTitle(
+    chart,
+    'Genre-Beziehungen',
+    'Bandbreite: Filme mit beiden Genres · Klick auf ein Band wählt die Filme aus, ' +
+      'Klick auf ein Genre filtert danach',
+  );
+
+  // Self-links would only repeat the genre totals, which the outer arcs already show.
+  const pairMatrix = matrix.map((row, i) => row.map((count, j) => (i === j ? 0 : count)));
+  const chords = d3.chord().padAngle(0.04).sortSubgroups(d3.descending)(pairMatrix);
+  const outerRadius = Math.max(40, Math.min(viewWidth, viewHeight - 60) / 2 - 110);
+  const innerRadius = outerRadius - 16;
+  const color = getGenreColorScale(genres);
+  const circle = svg
+    .append('g')
+    .attr('transform', `translate(${viewWidth / 2},${(viewHeight + 40) / 2})`);
+
+  const ribbon = circle
+    .append('g')
+    .attr('fill-opacity', 0.7)
+    .selectAll('path')
+    .data(chords)
+    .join('path')
+    .attr('class', 'genre-ribbon')
+    .attr('d', d3.ribbon().radius(innerRadius - 1))
+    .attr('fill', (d) => color(genres[d.source.index].id))
+    .attr('stroke', (d) => d3.color(color(genres[d.source.index].id)).darker())
+    .on('click', (event, d) => setMovieSelection(movieIds[d.source.index][d.target.index]));
+  ribbon
+    .append('title')
+    .text((d) => describeGenreCell(genres, matrix, movieIds, d.source.index, d.target.index));
+
+  const group = circle
+    .append('g')
+    .selectAll('g')
+    .data(chords.groups)
+    .join('g')
+    .attr('class', 'genre-group')
+    .on('mouseenter', (event, d) =>
+      ribbon.classed(
+        'dimmed',
+        (chord) => chord.source.index !== d.index && chord.target.index !== d.index,
+      ),
+    )
+    .on('mouseleave', () => ribbon.classed('dimmed', false))
+    .on('click', (event, d) => filterByGenre(genres[d.index].id));
+  group
+    .append('path')
+    .attr('d', d3.arc().innerRadius(innerRadius).outerRadius(outerRadius))
+    .attr('fill', (d) => color(genres[d.index].id));
+  group
+    .append('text')
+    .each((d) => {
+      d.angle = (d.startAngle + d.endAngle) / 2;
+    })
+    .attr('dy', '0.32em')
+    .attr(
+      'transform',
+      (d) =>
+        `rotate(${(d.angle * 180) / Math.PI - 90}) translate(${outerRadius + 8})` +
+        (d.angle > Math.PI ? ' rotate(180)' : ''),
+    )
+    .attr('text-anchor', (d) => (d.angle > Math.PI ? 'end' : null))
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((d) => genres[d.index].name);
+  group
+    .append('title')
+    .text((d) => describeGenreCell(genres, matrix, movieIds, d.index, d.index));
+
+  if (!chords.length) {
+    chart
+      .append('text')
+      .attr('y', 20)
+      .attr('fill', '#cbd5f5')
+      .attr('font-size', 14)
+      .text('Keine Filme mit mehreren Genres in den gefilterten Daten.');
+  }
+};
+
+const renderGenreTrends = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const margin = { top: 60, right: 190, bottom: 60, left: 60 };
+  const chartWidth = viewWidth - margin.left - margin.right;
+  const chartHeight = viewHeight - margin.top - margin.bottom;
+  const { genres, keys, rows } = buildGenreTrends(data.movies, {
+    maxGenres: maxAnalyticsGenres - 1,
+  });
+  const genresByKey = new Map(genres.map((genre) => [String(genre.id), genre]));
+  const color = getGenreColorScale(genres);
+  const getKeyColor = (key) => (key === OTHER_GENRE ? otherGenreColor : color(Number(key)));
+  const getKeyLabel = (key) => genresByKey.get(key)?.name ?? 'Weitere';
+
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+  appendChartTitle(
+    chart,
+    'Genre-Anteile nach Release-Jahr',
+    'Filme mit mehreren Genres zählen anteilig · Klick auf eine Fläche filtert nach dem Genre',
+  );
+
+  const series = d3.stack().keys(keys).offset(d3.stackOffsetExpand)(rows);
+  const [firstYear, lastYear] = d3.extent(rows, (row) => row.year);
+  const x = d3
+    .scaleLinear()
+    .domain(rows.length ? [firstYear, Math.max(lastYear, firstYear + 1)] : [2000, 2030])
+    .range([0, chartWidth]);
+  const y = d3.scaleLinear().domain([0, 1]).range([chartHeight, 0]);
+  const area = d3
+    .area()
+    .curve(d3.curveMonotoneX)
+    .x((d) => x(d.data.year))
+    .y0((d) => y(d[0]))
+    .y1((d) => y(d[1]));
+
+  const layer = chart
+    .append('g')
+    .selectAll('path')
+    .data(series)
+    .join('path')
+    .attr('class', 'genre-area')
+    .attr('fill', (d) => getKeyColor(d.key))
+    .attr('d', area)
+    .style('cursor', (d) => (d.key === OTHER_GENRE ? 'default' : null))
+    .on('mouseenter', (event, d) => layer.classed('dimmed', (other) => other.key !== d.key))
+    .on('mouseleave', () => layer.classed('dimmed', false))
+    .on('click', (event, d) => {
+      if (d.key !== OTHER_GENRE) filterByGenre(Number(d.key));
+    });
+  layer.append('title').text((d) => {
+    const total = d3.sum(rows, (row) => row[d.key]);
+    return `${getKeyLabel(d.key)} · ${d3.format('.1f')(total)} Filme (anteilig)`;
+  });
+
+  const xAxis = chart
+    .append('g')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(x).ticks(8).tickFormat(d3.format('d')));
+  styleAxis(xAxis);
+  const yAxis = chart.append('g').call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+  styleAxis(yAxis);
+
+  chart
+    .append('text')
+    .attr('x', chartWidth / 2)
+    .attr('y', chartHeight + 45)
+    .attr('text-anchor', 'middle')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 12)
+    .text('Release-Jahr');
+
+  const legend = chart
+    .append('g')
+    .attr('transform', `translate(${chartWidth + 20},0)`)
+    .selectAll('g')
+    .data([...keys].reverse())
+    .join('g')
+    .attr('transform', (key, index) => `translate(0,${index * 16})`);
+  legend
+    .append('rect')
+    .attr('width', 10)
+    .attr('height', 10)
+    .attr('y', -5)
+    .attr('fill', getKeyColor);
+  legend
+    .append('text')
+    .attr('x', 16)
+    .attr('dy', '0.32em')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text(getKeyLabel);
+};
+
+const scatterFieldLabels = {
+  year: 'Release-Jahr',
+  runtime: 'Laufzeit (Minuten)',
+  rating: 'Bewertung',
+  popularity: 'Popularität',
+  genreCount: 'Anzahl Genres',
+  degree: 'Grad im Ähnlichkeitsnetz',
+};
+const scatterEncodingLabels = { none: 'Einheitlich', genre: 'Erstes Genre' };
+const defaultScatterEncoding = { x: 'year', y: 'runtime', color: 'none', size: 'none' };
+const missingValueColor = '#64748b';
+const maxScatterGenres = 9;
+
+const scatterInputs = {
+  x: scatterXInput,
+  y: scatterYInput,
+  color: scatterColorInput,
+  size: scatterSizeInput,
+};
+Object.entries(scatterInputs).forEach(([channel, input]) => {
+  if (!input) return;
+  const extraOptions = { color: ['none', 'genre'], size: ['none'] }[channel] ?? [];
+  [...extraOptions, ...SCATTER_FIELDS].forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = scatterEncodingLabels[value] ?? scatterFieldLabels[value];
+    input.appendChild(option);
+  });
+  input.value = defaultScatterEncoding[channel];
+});
+
+const getScatterEncoding = () =>
+  Object.fromEntries(
+    Object.entries(scatterInputs).map(([channel, input]) => [
+      channel,
+      input?.value || defaultScatterEncoding[channel],
+    ]),
+  );
+
+// Degrees depend on all movies, not on the filtered ones, so they stay put while filtering.
+let scatterDegreeCache = null;
+const getScatterDegrees = () => {
+  const key = currentData.movies.map((movie) => movie.id).join(',');
+  if (scatterDegreeCache?.key !== key) {
+    scatterDegreeCache = { key, degrees: getSimilarityDegrees(currentData.movies) };
+  }
+  return scatterDegreeCache.degrees;
+};
+
+// The zoom survives filter changes and brushing; choosing other axes starts from the full view.
+let scatterTransform = null;
+
+const formatScatterValue = (field, value) => {
+  if (value === null) return 'n/a';
+  if (field === 'year' || field === 'genreCount' || field === 'degree') return String(value);
+  if (field === 'runtime') return `${value} min`;
+  return d3.format('.3~f')(value);
+};
+
+// Applies a brushed subset (or null) to the filters of every view.
+const setMovieSelection = (movieIds) => {
+  filterState = { ...filterState, movieIds: movieIds?.length ? movieIds : null };
+  syncFacetInputs();
+  applyFilters();
+};
+
+// Shows every movie that passes the other filters; a brushed subset is highlighted.
+const renderScatter = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const margin = { top: 60, right: 40, bottom: 60, left: 70 };
+  const chartWidth = viewWidth - margin.left - margin.right;
+  const chartHeight = viewHeight - margin.top - margin.bottom;
+  const encoding = getScatterEncoding();
+  const usesDegree = Object.values(encoding).includes('degree');
+  const points = getScatterPoints(data.movies, {
+    degrees: usesDegree ? getScatterDegrees() : new Map(),
+  });
+  const plotted = points.filter(
+    (point) => point.values[encoding.x] !== null && point.values[encoding.y] !== null,
+  );
+  const missingCount = points.length - plotted.length;
+
+  const x = d3
+    .scaleLinear()
+    .domain(getFieldDomain(plotted, encoding.x) ?? [0, 1])
+    .nice()
+    .range([0, chartWidth]);
+  const y = d3
+    .scaleLinear()
+    .domain(getFieldDomain(plotted, encoding.y) ?? [0, 1])
+    .nice()
+    .range([chartHeight, 0]);
+
+  let getColor = () => colorMap.movie;
+  let colorLegend = [];
+  if (encoding.color === 'genre') {
+    const genreCounts = d3.rollup(
+      plotted.filter((point) => point.movie.genres?.length),
+      (group) => group.length,
+      (point) => point.movie.genres[0].name,
+    );
+    const genres = Array.from(genreCounts.keys())
+      .sort((a, b) => genreCounts.get(b) - genreCounts.get(a) || a.localeCompare(b))
+      .slice(0, maxScatterGenres);
+    const genreColor = d3.scaleOrdinal(genres, d3.schemeTableau10);
+    getColor = (point) => {
+      const genre = point.movie.genres?.[0]?.name;
+      return genres.includes(genre) ? genreColor(genre) : missingValueColor;
+    };
+    colorLegend = [
+      ...genres.map((genre) => [genreColor(genre), genre]),
+      [missingValueColor, 'Andere'],
+    ];
+  } else if (encoding.color !== 'none') {
+    const domain = getFieldDomain(plotted, encoding.color);
+    const color = d3.scaleSequential(d3.interpolateViridis).domain(domain ?? [0, 1]);
+    getColor = (point) => {
+      const value = point.values[encoding.color];
+      return value === null ? missingValueColor : color(value);
+    };
+    colorLegend = domain
+      ? d3
+          .ticks(domain[0], domain[1], 4)
+          .map((value) => [color(value), formatScatterValue(encoding.color, value)])
+      : [];
+  }
+
+  let getRadius = () => 4;
+  if (encoding.size !== 'none') {
+    const size = d3
+      .scaleSqrt()
+      .domain(getFieldDomain(plotted, encoding.size) ?? [0, 1])
+      .range([3, 12]);
+    getRadius = (point) => {
+      const value = point.values[encoding.size];
+      return value === null ? 3 : size(value);
+    };
+  }
+
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  chart
     .append('text')
     .attr('x', 0)
-    .attr('y', -20)
+    .attr('y', -30)
     .attr('fill', '#e2e8f0')
     .attr('font-size', 16)
-    .text('Genre-Haeufigkeit');
+    .text(`${scatterFieldLabels[encoding.x]} vs. ${scatterFieldLabels[encoding.y]}`);
 
+  const selectedIds = filterState.movieIds && new Set(filterState.movieIds);
+  const selectedCount = selectedIds
+    ? plotted.filter((point) => selectedIds.has(point.movie.id)).length
+    : 0;
+  const notes = [
+    missingCount ? `${missingCount} Filme ohne Wert auf einer Achse ausgeblendet` : null,
+    selectedIds ? `${selectedCount} ausgewählt` : null,
+    'Bereich aufziehen, um eine Auswahl für alle Ansichten zu setzen · Mausrad zoomt',
+  ].filter(Boolean);
   chart
-    .selectAll('rect')
-    .data(dataset)
-    .enter()
-    .append('rect')
-    .attr('x', (d) => x(d.name))
-    .attr('y', (d) => y(d.count))
-    .attr('width', x.bandwidth())
-    .attr('height', (d) => chartHeight - y(d.count))
-    .attr('fill', '#38bdf8');
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -12)
+    .attr('fill', '#94a3b8')
+    .attr('font-size', 11)
+    .text(notes.join(' · '));
 
-  const xAxis = chart
+  const legend = chart
     .append('g')
-    .attr('transform', `translate(0,${chartHeight})`)
-    .call(d3.axisBottom(x));
-
-  xAxis
-    .selectAll('text')
-    .attr('text-anchor', 'end')
-    .attr('transform', 'rotate(-35)')
-    .attr('dx', '-0.6em')
-    .attr('dy', '0.25em');
-  styleAxis(xAxis);
+    .attr('transform', `translate(${chartWidth - 130},0)`)
+    .selectAll('g')
+    .data(colorLegend)
+    .join('g')
+    .attr('transform', (entry, index) => `translate(0,${index * 14})`);
+  legend
+    .append('circle')
+    .attr('r', 4)
+    .attr('fill', ([color]) => color);
+  legend
+    .append('text')
+    .attr('x', 10)
+    .attr('dy', '0.32em')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text(([, label]) => label);
 
-  const yAxis = chart.append('g').call(d3.axisLeft(y).ticks(6));
-  styleAxis(yAxis);
+  const xAxis = chart.append('g').attr('transform', `translate(0,${chartHeight})`);
+  const yAxis = chart.append('g');
+  const drawAxes = (xScale, yScale) => {
+    xAxis.call(
+      d3
+        .axisBottom(xScale)
+        .ticks(8)
+        .tickFormat(encoding.x === 'year' ? d3.format('d') : null),
+    );
+    yAxis.call(
+      d3
+        .axisLeft(yScale)
+        .ticks(6)
+        .tickFormat(encoding.y === 'year' ? d3.format('d') : null),
+    );
+    styleAxis(xAxis);
+    styleAxis(yAxis);
+  };
 
   chart
     .append('text')
     .attr('x', chartWidth / 2)
-    .attr('y', chartHeight + 90)
+    .attr('y', chartHeight + 45)
     .attr('text-anchor', 'middle')
     .attr('fill', '#cbd5f5')
     .attr('font-size', 12)
-    .text('Genre');
+    .text(scatterFieldLabels[encoding.x]);
 
   chart
     .append('text')
     .attr('transform', 'rotate(-90)')
     .attr('x', -chartHeight / 2)
-    .attr('y', -45)
+    .attr('y', -50)
     .attr('text-anchor', 'middle')
     .attr('fill', '#cbd5f5')
     .attr('font-size', 12)
-    .text('Anzahl Filme');
+    .text(scatterFieldLabels[encoding.y]);
+
+  svg
+    .append('defs')
+    .append('clipPath')
+    .attr('id', 'scatterClip')
+    .append('rect')
+    .attr('width', chartWidth)
+    .attr('height', chartHeight);
+  const plot = chart.append('g').attr('clip-path', 'url(#scatterClip)');
+  plot
+    .append('rect')
+    .attr('width', chartWidth)
+    .attr('height', chartHeight)
+    .attr('fill', 'transparent');
+  const brushGroup = plot.append('g');
+  const pointGroup = plot.append('g');
+
+  const tooltipFields = Array.from(
+    new Set([encoding.x, encoding.y, encoding.color, encoding.size]),
+  ).filter((field) => SCATTER_FIELDS.includes(field));
+  const point = pointGroup
+    .selectAll('circle')
+    .data(plotted, (d) => d.id)
+    .join('circle')
+    .attr('class', 'node')
+    .attr('r', getRadius)
+    .attr('fill', getColor)
+    .attr('fill-opacity', 0.85)
+    .classed('dimmed', (d) => Boolean(selectedIds) && !selectedIds.has(d.movie.id));
+  point.append('title').text((d) =>
+    [
+      d.movie.title,
+      ...tooltipFields.map(
+        (field) => `${scatterFieldLabels[field]}: ${formatScatterValue(field, d.values[field])}`,
+      ),
+      encoding.color === 'genre' ? `Genres: ${formatNames(d.movie.genres ?? [])}` : null,
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  );
+
+  let zoomedX = x;
+  let zoomedY = y;
+  const placePoints = () => {
+    point
+      .attr('cx', (d) => zoomedX(d.values[encoding.x]))
+      .attr('cy', (d) => zoomedY(d.values[encoding.y]));
+  };
+
+  // Dragging brushes a selection; the wheel and Shift-dragging zoom and pan.
+  const zoom = d3
+    .zoom()
+    .scaleExtent([1, 40])
+    .extent([
+      [0, 0],
+      [chartWidth, chartHeight],
+    ])
+    .translateExtent([
+      [0, 0],
+      [chartWidth, chartHeight],
+    ])
+    .filter((event) => event.type === 'wheel' || (event.type === 'mousedown' && event.shiftKey))
+    .on('zoom', (event) => {
+      scatterTransform = event.transform;
+      zoomedX = event.transform.rescaleX(x);
+      zoomedY = event.transform.rescaleY(y);
+      drawAxes(zoomedX, zoomedY);
+      placePoints();
+      if (zoomValue) {
+        zoomValue.textContent = `${Math.round(event.transform.k * 100)}%`;
+      }
+      scheduleUrlStateUpdate();
+    });
+  plot.call(zoom).on('dblclick.zoom', null);
+
+  const brush = d3
+    .brush()
+    .extent([
+      [0, 0],
+      [chartWidth, chartHeight],
+    ])
+    .filter((event) => !event.shiftKey && !event.ctrlKey && !event.button)
+    .on('end', (event) => {
+      if (!event.sourceEvent) return;
+      let movieIds = null;
+      if (event.selection) {
+        const [[x0, y0], [x1, y1]] = event.selection;
+        movieIds = selectPointsInBounds(plotted, encoding.x, encoding.y, [
+          [zoomedX.invert(x0), zoomedY.invert(y1)],
+          [zoomedX.invert(x1), zoomedY.invert(y0)],
+        ]);
+      }
+      brushGroup.call(brush.move, null);
+      setMovieSelection(movieIds);
+    });
+  brushGroup.call(brush);
+
+  const setTransform = (transform) => {
+    plot.call(
+      zoom.transform,
+      transform
+        ? d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k)
+        : d3.zoomIdentity,
+    );
+  };
+  drawAxes(x, y);
+  setTransform(scatterTransform);
+
+  zoomInButton.onclick = () => plot.transition().duration(200).call(zoom.scaleBy, 1.2);
+  zoomOutButton.onclick = () => plot.transition().duration(200).call(zoom.scaleBy, 0.8);
+  zoomResetButton.onclick = () => setTransform(null);
+  activeZoomLayer = {
+    getTransform: () => {
+      const { x: translateX, y: translateY, k } = d3.zoomTransform(plot.node());
+      return k === 1 && !translateX && !translateY ? null : { x: translateX, y: translateY, k };
+    },
+    setTransform,
+  };
+
+  const selectMovie = (movieId) => {
+    if (movieId !== currentSelectedId) {
+      currentSelectedId = movieId;
+      updateUrlState({ push: true });
+    }
+    point.classed('selected', (d) => d.id === movieId);
+    const selected = plotted.find((d) => d.id === movieId);
+    if (!selected) {
+      hideDetails();
+      return;
+    }
+    showMovieDetails(selected.movie, { onClose: () => selectMovie(null) });
+  };
+  point.on('click', (event, d) => {
+    event.stopPropagation();
+    selectMovie(d.id);
+  });
+  svg.on('click', () => selectMovie(null));
+  currentSelectHandler = (movieId) => selectMovie(movieId);
+  currentSearchHandler = (entry) => {
+    if (entry.type === 'movie') selectMovie(entry.key);
+  };
+};
+
+const timelineArcColors = {
+  director: '#facc15',
+  cast: colorMap.person,
+  similarity: colorMap.movie,
+};
+const timelineArcLabels = {
+  director: 'Gleiche Regie',
+  cast: 'Gemeinsame Besetzung',
+  similarity: 'Starke Ähnlichkeit',
+};
+const timelineLaneLabels = { [OTHER_LANE]: 'Weitere', [NONE_LANE]: 'Ohne Angabe' };
+const maxTimelineArcs = 2500;
+
+// Arcs only depend on the movies, so brushing and switching lanes reuse them.
+let timelineArcCache = null;
+const getTimelineArcs = (movies) => {
+  const key = movies.map((movie) => movie.id).join(',');
+  if (timelineArcCache?.key !== key) {
+    timelineArcCache = { key, arcs: buildTimelineArcs(movies) };
+  }
+  return timelineArcCache.arcs;
+};
+
+// Snaps a brushed year window to the year filter shared by all views; the full range means
+// "no restriction", like the sliders.
+const setYearRangeFromTimeline = (range) => {
+  const bounds = facetBounds?.years;
+  let yearRange = null;
+  if (range && bounds && (range[0] > bounds[0] || range[1] < bounds[1])) {
+    const from = Math.min(Math.max(range[0], bounds[0]), bounds[1]);
+    yearRange = [from, Math.max(Math.min(range[1], bounds[1]), from)];
+  }
+  filterState = { ...filterState, yearRange };
+  syncFacetInputs();
+  scheduleUrlStateUpdate();
+  return yearRange;
 };
 
-const renderReleaseRuntimeScatter = (data) => {
+// Shows every movie that passes the other filters; the year filter is the brushed window.
+const renderTimeline = (data) => {
   if (listContainer) {
     listContainer.style.display = 'none';
   }
@@ -717,110 +2911,1317 @@ const renderReleaseRuntimeScatter = (data) => {
   svg.selectAll('*').remove();
 
   const { width: viewWidth, height: viewHeight } = getSvgSize();
-  const margin = { top: 50, right: 40, bottom: 60, left: 70 };
+  const margin = { top: 60, right: 40, bottom: 70, left: 160 };
   const chartWidth = viewWidth - margin.left - margin.right;
   const chartHeight = viewHeight - margin.top - margin.bottom;
+  const axisHeight = 30;
+  const radius = 5;
+  const rowStep = radius * 2 + 1;
+
+  const movies = data.movies
+    .map((movie) => ({
+      id: `movie-${movie.id}`,
+      movie,
+      releasedAt: parseReleaseDate(movie.release_date),
+    }))
+    .filter((d) => d.releasedAt !== null)
+    .sort((a, b) => a.releasedAt - b.releasedAt);
+  const moviesById = new Map(movies.map((d) => [d.id, d]));
+  const undatedCount = data.movies.length - movies.length;
+  const { lanes, laneByMovie } = buildTimelineLanes(
+    movies.map((d) => d.movie),
+    timelineLanesInput?.value ?? 'genre',
+  );
+
+  const [firstRelease, lastRelease] = d3.extent(movies, (d) => d.releasedAt);
+  const x = d3
+    .scaleUtc()
+    .domain(
+      movies.length
+        ? [d3.utcYear.floor(firstRelease), d3.utcYear.offset(d3.utcYear.floor(lastRelease), 1)]
+        : [Date.UTC(2000, 0, 1), Date.UTC(2030, 0, 1)],
+    )
+    .range([0, chartWidth]);
+  const y = d3
+    .scaleBand()
+    .domain(lanes.map((lane) => lane.key))
+    .range([0, chartHeight])
+    .paddingInner(0.12);
+
+  // Within a lane, movies stack into rows so that close release dates do not overlap.
+  const maxRows = Math.max(1, Math.floor(y.bandwidth() / rowStep));
+  const rowEnds = new Map();
+  movies.forEach((d) => {
+    d.lane = laneByMovie.get(d.movie.id);
+    d.x = x(d.releasedAt);
+    const ends = rowEnds.get(d.lane) ?? [];
+    let row = ends.findIndex((end) => end <= d.x - rowStep);
+    if (row === -1) row = ends.length < maxRows ? ends.length : d3.minIndex(ends);
+    ends[row] = d.x;
+    rowEnds.set(d.lane, ends);
+    d.row = row;
+  });
+  movies.forEach((d) => {
+    const rows = rowEnds.get(d.lane).length;
+    d.y = y(d.lane) + (y.bandwidth() - rows * rowStep) / 2 + (d.row + 0.5) * rowStep;
+  });
+
+  const arcs = getTimelineArcs(data.movies)
+    .filter((arc) => moviesById.has(arc.source) && moviesById.has(arc.target))
+    .map((arc) => ({ ...arc, source: moviesById.get(arc.source), target: moviesById.get(arc.target) }));
+  const showAllArcs = arcs.length <= maxTimelineArcs;
+
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -30)
+    .attr('fill', '#e2e8f0')
+    .attr('font-size', 16)
+    .text('Zeitleiste');
+
+  const notes = [
+    undatedCount ? `${undatedCount} Filme ohne Release-Datum ausgeblendet` : null,
+    showAllArcs ? null : 'Verbindungen erscheinen beim Überfahren eines Films',
+  ].filter(Boolean);
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -12)
+    .attr('fill', '#94a3b8')
+    .attr('font-size', 11)
+    .text(notes.join(' · '));
+
+  const legend = chart
+    .append('g')
+    .attr('transform', `translate(${chartWidth},-34)`)
+    .selectAll('g')
+    .data(Object.keys(timelineArcLabels))
+    .join('g')
+    .attr('transform', (kind, index) => `translate(0,${index * 14})`);
+  legend
+    .append('line')
+    .attr('x1', -150)
+    .attr('x2', -130)
+    .attr('stroke', (kind) => timelineArcColors[kind])
+    .attr('stroke-width', 2);
+  legend
+    .append('text')
+    .attr('x', -124)
+    .attr('dy', '0.32em')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((kind) => timelineArcLabels[kind]);
+
+  const laneGroup = chart.append('g');
+  laneGroup
+    .selectAll('rect')
+    .data(lanes)
+    .join('rect')
+    .attr('class', 'timeline-lane')
+    .attr('x', 0)
+    .attr('y', (lane) => y(lane.key))
+    .attr('width', chartWidth)
+    .attr('height', y.bandwidth());
+  laneGroup
+    .selectAll('text')
+    .data(lanes)
+    .join('text')
+    .attr('x', -10)
+    .attr('y', (lane) => y(lane.key) + y.bandwidth() / 2)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'end')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((lane) => {
+      const label = lane.label ?? timelineLaneLabels[lane.key];
+      const shortLabel = label.length > 22 ? `${label.slice(0, 21)}…` : label;
+      return `${shortLabel} (${lane.count})`;
+    })
+    .append('title')
+    .text((lane) => lane.label ?? timelineLaneLabels[lane.key]);
+
+  const arcGroup = chart.append('g');
+  const nodeGroup = chart.append('g');
+
+  const getArcPath = ({ source, target }) => {
+    const lift = Math.min(120, Math.abs(target.x - source.x) / 2 + 12);
+    const controlY = Math.min(source.y, target.y) - lift;
+    return `M${source.x},${source.y} Q${(source.x + target.x) / 2},${controlY} ${target.x},${target.y}`;
+  };
+  const describeArc = (arc) => {
+    if (arc.kind === 'similarity') {
+      return `Ähnlichkeit ${arc.weight.toFixed(2)}`;
+    }
+    const shared = getSharedPeople(arc.source.movie, arc.target.movie);
+    return `${timelineArcLabels[arc.kind]}: ${formatNames(
+      arc.kind === 'director' ? shared.directors : shared.cast,
+      5,
+    )}`;
+  };
+  const drawArcs = (visibleArcs) => {
+    arcGroup
+      .selectAll('path')
+      .data(visibleArcs, (arc) => `${arc.kind}|${arc.source.id}|${arc.target.id}`)
+      .join((enter) =>
+        enter
+          .append('path')
+          .attr('class', 'timeline-arc')
+          .attr('stroke', (arc) => timelineArcColors[arc.kind])
+          .attr('stroke-width', (arc) => 0.8 + (arc.weight ?? 1))
+          .attr('d', getArcPath)
+          .call((path) =>
+            path
+              .append('title')
+              .text((arc) => `${arc.source.movie.title} – ${arc.target.movie.title}\n${describeArc(arc)}`),
+          ),
+      );
+  };
+
+  let selectedId = null;
+  const getConnectedArcs = (movieId) =>
+    arcs.filter((arc) => arc.source.id === movieId || arc.target.id === movieId);
+
+  const highlightMovie = (movieId) => {
+    if (!showAllArcs) {
+      drawArcs(movieId ? getConnectedArcs(movieId) : []);
+    }
+    if (!movieId) {
+      arcGroup.selectAll('path').classed('dimmed', false).classed('highlighted', false);
+      node.classed('dimmed', false);
+      return;
+    }
+    const connectedIds = new Set([movieId]);
+    arcGroup.selectAll('path').each(function (arc) {
+      const isConnected = arc.source.id === movieId || arc.target.id === movieId;
+      if (isConnected) {
+        connectedIds.add(arc.source.id);
+        connectedIds.add(arc.target.id);
+      }
+      d3.select(this).classed('dimmed', !isConnected).classed('highlighted', isConnected);
+    });
+    node.classed('dimmed', (d) => !connectedIds.has(d.id));
+  };
+
+  const getYear = (d) => new Date(d.releasedAt).getUTCFullYear();
+  const isOutsideWindow = (d) =>
+    Boolean(filterState.yearRange) &&
+    (getYear(d) < filterState.yearRange[0] || getYear(d) > filterState.yearRange[1]);
+  const updateWindow = () => {
+    node.classed('outside', isOutsideWindow);
+  };
+
+  const selectMovie = (movieId) => {
+    if (movieId !== currentSelectedId) {
+      currentSelectedId = movieId;
+      updateUrlState({ push: true });
+    }
+    selectedId = movieId;
+    node.classed('selected', (d) => d.id === movieId);
+    highlightMovie(movieId);
+    const selected = moviesById.get(movieId);
+    if (!selected) {
+      hideDetails();
+      return;
+    }
+    const connected = getConnectedArcs(movieId);
+    showMovieDetails(selected.movie, {
+      neighborSections: Object.keys(timelineArcLabels).map((kind) => ({
+        title: timelineArcLabels[kind],
+        neighbors: connected
+          .filter((arc) => arc.kind === kind)
+          .map((arc) => ({
+            other: arc.source.id === movieId ? arc.target : arc.source,
+            weight: arc.weight,
+          }))
+          .sort((a, b) => a.other.releasedAt - b.other.releasedAt)
+          .map(({ other, weight }) => ({
+            id: other.id,
+            label: `${other.movie.title} (${getYear(other)})`,
+            weight,
+          })),
+      })),
+      onSelect: selectMovie,
+      onClose: () => selectMovie(null),
+    });
+  };
+
+  drawArcs(showAllArcs ? arcs : []);
+  const node = nodeGroup
+    .selectAll('circle')
+    .data(movies, (d) => d.id)
+    .join('circle')
+    .attr('class', 'node')
+    .attr('cx', (d) => d.x)
+    .attr('cy', (d) => d.y)
+    .attr('r', radius)
+    .attr('fill', colorMap.movie)
+    .on('mouseenter', (event, d) => highlightMovie(d.id))
+    .on('mouseleave', () => highlightMovie(selectedId))
+    .on('click', (event, d) => {
+      event.stopPropagation();
+      selectMovie(d.id);
+    })
+    .call((circle) =>
+      circle
+        .append('title')
+        .text((d) => `${d.movie.title} · ${new Date(d.releasedAt).toLocaleDateString('de-DE')}`),
+    );
+  svg.on('click', () => selectMovie(null));
+
+  const xAxis = chart
+    .append('g')
+    .attr('transform', `translate(0,${chartHeight})`)
+    .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(chartWidth / 90))));
+  styleAxis(xAxis);
+
+  chart
+    .append('text')
+    .attr('x', chartWidth / 2)
+    .attr('y', chartHeight + axisHeight + 25)
+    .attr('text-anchor', 'middle')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 12)
+    .text('Release-Datum · Zeitraum auf der Achse aufziehen, um alle Ansichten zu filtern');
+
+  // The brush sits on the axis and snaps to whole years, the granularity of the year filter.
+  const toYears = ([x0, x1]) => {
+    const from = d3.utcYear.round(x.invert(x0)).getUTCFullYear();
+    return [from, Math.max(from, d3.utcYear.round(x.invert(x1)).getUTCFullYear() - 1)];
+  };
+  const toPixels = ([from, to]) => [
+    Math.max(0, x(Date.UTC(from, 0, 1))),
+    Math.min(chartWidth, x(Date.UTC(to + 1, 0, 1))),
+  ];
+  const brush = d3
+    .brushX()
+    .extent([
+      [0, chartHeight],
+      [chartWidth, chartHeight + axisHeight],
+    ])
+    .on('end', (event) => {
+      if (!event.sourceEvent) return;
+      const yearRange = setYearRangeFromTimeline(event.selection ? toYears(event.selection) : null);
+      brushGroup.call(brush.move, yearRange ? toPixels(yearRange) : null);
+      updateWindow();
+    });
+  const brushGroup = chart.append('g').attr('class', 'timeline-brush').call(brush);
+  if (filterState.yearRange) {
+    brushGroup.call(brush.move, toPixels(filterState.yearRange));
+  }
+  updateWindow();
+
+  currentSelectHandler = (movieId) => selectMovie(moviesById.has(movieId) ? movieId : null);
+};
+
+const personRoleColors = {
+  cast: colorMap.person,
+  crew: '#facc15',
+  both: '#f8fafc',
+};
+const personRoleLabels = {
+  cast: 'Besetzung',
+  crew: 'Crew',
+  both: 'Besetzung & Crew',
+};
+const maxRankedCollaborators = 12;
+const maxNetworkCollaborators = 20;
+
+const getRoleKind = (roles) => {
+  const types = new Set(roles.map((role) => role.type));
+  return types.size > 1 ? 'both' : [...types][0] ?? 'cast';
+};
 
-  const dataset = data.movies
-    .map((movie) => {
-      const year = Number(movie.release_date?.slice(0, 4));
-      return { title: movie.title, year, runtime: movie.runtime };
+const describePersonRoles = (roles) =>
+  roles
+    .map((role) => {
+      if (role.type === 'cast') return role.character ? `als ${role.character}` : 'Besetzung';
+      return role.job === 'Director' ? 'Regie' : role.job ?? 'Crew';
     })
-    .filter((movie) => Number.isFinite(movie.year) && movie.runtime > 0);
+    .join(', ');
+
+const focusPerson = (personId) => {
+  if (!currentData) return;
+  currentPersonId = personId;
+  renderChart(getFilteredData());
+  updateUrlState({ push: true });
+};
+
+// Filmography over time, the most frequent collaborators and a collaboration network around
+// one person. Without a valid choice the person with the most credits is shown.
+const renderPeopleView = (data) => {
+  if (listContainer) {
+    listContainer.style.display = 'none';
+  }
+  svg.style('display', 'block');
+  svg.selectAll('*').remove();
+
+  if (personOptions) {
+    personOptions.innerHTML = '';
+    currentSearchIndex
+      .filter((entry) => entry.type === 'person')
+      .forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.label;
+        personOptions.appendChild(option);
+      });
+  }
+
+  const { width: viewWidth, height: viewHeight } = getSvgSize();
+  const margin = { top: 60, right: 30, bottom: 20, left: 30 };
+  const chartWidth = viewWidth - margin.left - margin.right;
+  const chartHeight = viewHeight - margin.top - margin.bottom;
+  const chart = svg
+    .append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+
+  let filmography = currentPersonId === null ? [] : getFilmography(data.movies, currentPersonId);
+  if (!filmography.length) {
+    currentPersonId = getMostCreditedPerson(data.movies)?.id ?? null;
+    filmography = currentPersonId === null ? [] : getFilmography(data.movies, currentPersonId);
+  }
+  if (!filmography.length) {
+    chart
+      .append('text')
+      .attr('fill', '#cbd5f5')
+      .attr('font-size', 14)
+      .text('Keine Personen in den gefilterten Daten.');
+    return;
+  }
+
+  const personId = currentPersonId;
+  const network = buildCollaborationNetwork(data.movies, personId, {
+    maxCollaborators: maxNetworkCollaborators,
+  });
+  const person = network.nodes.find((d) => d.isFocus);
+  const collaborators = getCollaborators(data.movies, personId, { limit: maxRankedCollaborators });
+  if (personInput) {
+    personInput.value = person.label;
+  }
+
+  const countRole = (type) =>
+    filmography.filter(({ roles }) => roles.some((role) => role.type === type)).length;
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -30)
+    .attr('fill', '#e2e8f0')
+    .attr('font-size', 16)
+    .text(person.label);
+  chart
+    .append('text')
+    .attr('x', 0)
+    .attr('y', -12)
+    .attr('fill', '#94a3b8')
+    .attr('font-size', 11)
+    .text(
+      `${filmography.length} ${filmography.length === 1 ? 'Film' : 'Filme'} · ` +
+        `Besetzung ${countRole('cast')} · Crew ${countRole('crew')}`,
+    );
+
+  const legend = chart
+    .append('g')
+    .attr('transform', `translate(${chartWidth},-34)`)
+    .selectAll('g')
+    .data(Object.keys(personRoleLabels))
+    .join('g')
+    .attr('transform', (kind, index) => `translate(0,${index * 14})`);
+  legend
+    .append('circle')
+    .attr('cx', -136)
+    .attr('r', 5)
+    .attr('fill', (kind) => personRoleColors[kind]);
+  legend
+    .append('text')
+    .attr('x', -124)
+    .attr('dy', '0.32em')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((kind) => personRoleLabels[kind]);
+
+  // Filmography: markers stack into rows so that titles can run to the right of them.
+  const radius = 6;
+  const rowStep = 18;
+  const filmHeight = Math.max(120, chartHeight * 0.36);
+  const maxRows = Math.max(1, Math.floor((filmHeight - 20) / rowStep));
+  const maxLabelWidth = 170;
+  const dated = filmography
+    .filter((d) => d.releasedAt !== null)
+    .map((d) => ({ ...d, id: `movie-${d.movie.id}` }));
+  const undatedCount = filmography.length - dated.length;
+  const [firstRelease, lastRelease] = d3.extent(dated, (d) => d.releasedAt);
+  const x = d3
+    .scaleUtc()
+    .domain(
+      dated.length
+        ? [d3.utcYear.floor(firstRelease), d3.utcYear.offset(d3.utcYear.floor(lastRelease), 1)]
+        : [Date.UTC(2000, 0, 1), Date.UTC(2030, 0, 1)],
+    )
+    .range([radius, chartWidth - maxLabelWidth]);
+  const rowEnds = [];
+  dated.forEach((d) => {
+    d.x = x(d.releasedAt);
+    let row = rowEnds.findIndex((end) => end <= d.x - radius);
+    d.showLabel = row !== -1 || rowEnds.length < maxRows;
+    if (row === -1) row = rowEnds.length < maxRows ? rowEnds.length : d3.minIndex(rowEnds);
+    const labelWidth = Math.min(maxLabelWidth, radius * 2 + d.movie.title.length * 5.5);
+    rowEnds[row] = d.x + (d.showLabel ? labelWidth : radius * 2);
+    d.y = 10 + row * rowStep;
+  });
+
+  const filmGroup = chart.append('g');
+  filmGroup
+    .append('g')
+    .attr('transform', `translate(0,${filmHeight})`)
+    .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(chartWidth / 90))))
+    .call(styleAxis);
+  if (undatedCount) {
+    filmGroup
+      .append('text')
+      .attr('x', chartWidth)
+      .attr('y', filmHeight + 30)
+      .attr('text-anchor', 'end')
+      .attr('fill', '#94a3b8')
+      .attr('font-size', 11)
+      .text(`${undatedCount} ohne Release-Datum`);
+  }
+  const film = filmGroup
+    .selectAll('g.film')
+    .data(dated, (d) => d.id)
+    .join('g')
+    .attr('class', 'film')
+    .attr('transform', (d) => `translate(${d.x},${d.y})`);
+  film
+    .append('circle')
+    .attr('class', 'node')
+    .attr('r', radius)
+    .attr('fill', (d) => personRoleColors[getRoleKind(d.roles)]);
+  film
+    .filter((d) => d.showLabel)
+    .append('text')
+    .attr('class', 'label')
+    .attr('x', radius + 3)
+    .attr('dy', '0.32em')
+    .text((d) => {
+      const maxChars = Math.floor((maxLabelWidth - radius * 2) / 5.5);
+      return d.movie.title.length > maxChars
+        ? `${d.movie.title.slice(0, maxChars - 1)}…`
+        : d.movie.title;
+    });
+  film
+    .append('title')
+    .text(
+      (d) =>
+        `${d.movie.title} · ${new Date(d.releasedAt).toLocaleDateString('de-DE')}\n` +
+        describePersonRoles(d.roles),
+    );
 
-  const yearExtent = d3.extent(dataset, (d) => d.year);
-  const runtimeMax = d3.max(dataset, (d) => d.runtime) ?? 1;
+  const sectionTop = filmHeight + 50;
+  const sectionHeight = chartHeight - sectionTop;
+  const rankWidth = Math.min(340, chartWidth * 0.32);
+  const addSectionTitle = (group, text) =>
+    group
+      .append('text')
+      .attr('y', -8)
+      .attr('fill', '#e2e8f0')
+      .attr('font-size', 13)
+      .text(text);
 
-  const x = d3
+  // Ranking of collaborators by shared movies.
+  const rankGroup = chart.append('g').attr('transform', `translate(0,${sectionTop + 14})`);
+  addSectionTitle(rankGroup, 'Häufigste Zusammenarbeit');
+  const nameWidth = 140;
+  const rankY = d3
+    .scaleBand()
+    .domain(collaborators.map((collaborator) => collaborator.id))
+    .range([0, Math.min(sectionHeight - 14, collaborators.length * 24)])
+    .paddingInner(0.25);
+  const rankX = d3
     .scaleLinear()
-    .domain(yearExtent[0] ? yearExtent : [2000, 2030])
-    .nice()
-    .range([0, chartWidth]);
-  const y = d3.scaleLinear().domain([0, runtimeMax]).nice().range([chartHeight, 0]);
+    .domain([0, d3.max(collaborators, (collaborator) => collaborator.count) ?? 1])
+    .range([0, rankWidth - nameWidth - 30]);
+  const rank = rankGroup
+    .selectAll('g.rank')
+    .data(collaborators, (collaborator) => collaborator.id)
+    .join('g')
+    .attr('class', 'rank')
+    .attr('transform', (collaborator) => `translate(0,${rankY(collaborator.id)})`)
+    .style('cursor', 'pointer')
+    .on('click', (event, collaborator) => focusPerson(collaborator.id));
+  rank
+    .append('text')
+    .attr('x', nameWidth - 8)
+    .attr('y', rankY.bandwidth() / 2)
+    .attr('dy', '0.32em')
+    .attr('text-anchor', 'end')
+    .attr('fill', '#cbd5f5')
+    .attr('font-size', 11)
+    .text((collaborator) =>
+      collaborator.name.length > 22 ? `${collaborator.name.slice(0, 21)}…` : collaborator.name,
+    );
+  rank
+    .append('rect')
+    .attr('x', nameWidth)
+    .attr('width', (collaborator) => rankX(collaborator.count))
+    .attr('height', rankY.bandwidth())
+    .attr('rx', 3)
+    .attr('fill', (collaborator) =>
+      personRoleColors[getRoleKind(collaborator.movies.flatMap((shared) => shared.roles))],
+    );
+  rank
+    .append('text')
+    .attr('x', (collaborator) => nameWidth + rankX(collaborator.count) + 6)
+    .attr('y', rankY.bandwidth() / 2)
+    .attr('dy', '0.32em')
+    .attr('fill', '#94a3b8')
+    .attr('font-size', 11)
+    .text((collaborator) => collaborator.count);
+  rank
+    .append('title')
+    .text(
+      (collaborator) =>
+        `${collaborator.name}\n` +
+        collaborator.movies
+          .map((shared) => `${shared.movie.title}: ${describePersonRoles(shared.roles)}`)
+          .join('\n'),
+    );
 
-  const chart = svg
+  // Collaboration network. It is small, so the layout is settled before drawing.
+  const networkLeft = rankWidth + 40;
+  const networkWidth = chartWidth - networkLeft;
+  const networkHeight = sectionHeight - 14;
+  const networkGroup = chart
     .append('g')
-    .attr('transform', `translate(${margin.left},${margin.top})`);
+    .attr('transform', `translate(${networkLeft},${sectionTop + 14})`);
+  addSectionTitle(networkGroup, 'Kollaborationsnetzwerk');
+  const nodes = network.nodes.map((d) => ({ ...d }));
+  const links = network.links.map((link) => ({
+    ...link,
+    kind: getRoleKind(
+      link.movies.flatMap((shared) => [...shared.sourceRoles, ...shared.targetRoles]),
+    ),
+  }));
+  const getRadius = (d) => (d.isFocus ? 14 : 5 + Math.sqrt(d.count) * 2);
+  nodes.forEach((d) => {
+    if (d.isFocus) {
+      d.fx = networkWidth / 2;
+      d.fy = networkHeight / 2;
+    }
+  });
+  d3.forceSimulation(nodes)
+    .force(
+      'link',
+      d3
+        .forceLink(links)
+        .id((d) => d.id)
+        .distance((link) => 110 / Math.sqrt(link.weight)),
+    )
+    .force('charge', d3.forceManyBody().strength(-260))
+    .force('x', d3.forceX(networkWidth / 2).strength(0.05))
+    .force('y', d3.forceY(networkHeight / 2).strength(0.08))
+    .force('collide', d3.forceCollide((d) => getRadius(d) + 4))
+    .stop()
+    .tick(300);
+  nodes.forEach((d) => {
+    d.x = Math.max(getRadius(d), Math.min(networkWidth - getRadius(d), d.x));
+    d.y = Math.max(getRadius(d), Math.min(networkHeight - getRadius(d), d.y));
+  });
 
-  chart
-    .append('text')
-    .attr('x', 0)
-    .attr('y', -20)
-    .attr('fill', '#e2e8f0')
-    .attr('font-size', 16)
-    .text('Release-Jahr vs. Runtime');
+  const link = networkGroup
+    .append('g')
+    .selectAll('line')
+    .data(links)
+    .join('line')
+    .attr('class', 'link')
+    .style('stroke', (d) => personRoleColors[d.kind])
+    .style('stroke-opacity', 0.5)
+    .style('stroke-width', (d) => 1 + Math.min(4, d.weight - 1))
+    .attr('x1', (d) => d.source.x)
+    .attr('y1', (d) => d.source.y)
+    .attr('x2', (d) => d.target.x)
+    .attr('y2', (d) => d.target.y);
+  link
+    .append('title')
+    .text(
+      (d) =>
+        `${d.source.label} – ${d.target.label}\n` +
+        d.movies
+          .map(
+            (shared) =>
+              `${shared.movie.title}: ` +
+              `${d.source.label} ${describePersonRoles(shared.sourceRoles)} · ` +
+              `${d.target.label} ${describePersonRoles(shared.targetRoles)}`,
+          )
+          .join('\n'),
+    );
 
-  chart
+  const highlightPerson = (nodeId) => {
+    const isConnected = (d) => d.source.id === nodeId || d.target.id === nodeId;
+    link
+      .classed('highlighted', (d) => Boolean(nodeId) && isConnected(d))
+      .classed('dimmed', (d) => Boolean(nodeId) && !isConnected(d));
+  };
+  const node = networkGroup
+    .append('g')
     .selectAll('circle')
-    .data(dataset)
-    .enter()
-    .append('circle')
-    .attr('cx', (d) => x(d.year))
-    .attr('cy', (d) => y(d.runtime))
-    .attr('r', 4)
-    .attr('fill', '#22c55e')
-    .attr('opacity', 0.8);
-
-  const xAxis = chart
+    .data(nodes, (d) => d.id)
+    .join('circle')
+    .attr('class', (d) => (d.isFocus ? 'node selected' : 'node'))
+    .attr('cx', (d) => d.x)
+    .attr('cy', (d) => d.y)
+    .attr('r', getRadius)
+    .attr('fill', (d) => personRoleColors[d.roleTypes.length > 1 ? 'both' : d.roleTypes[0]])
+    .on('mouseenter', (event, d) => highlightPerson(d.id))
+    .on('mouseleave', () => highlightPerson(null))
+    .on('click', (event, d) => {
+      if (!d.isFocus) focusPerson(d.personId);
+    });
+  node
+    .append('title')
+    .text((d) =>
+      d.isFocus
+        ? `${d.label} · ${d.count} ${d.count === 1 ? 'Film' : 'Filme'}`
+        : `${d.label} · ${d.count} gemeinsame${d.count === 1 ? 'r Film' : ' Filme'}`,
+    );
+  networkGroup
     .append('g')
-    .attr('transform', `translate(0,${chartHeight})`)
-    .call(d3.axisBottom(x).ticks(8).tickFormat(d3.format('d')));
-  styleAxis(xAxis);
-
-  const yAxis = chart.append('g').call(d3.axisLeft(y).ticks(6));
-  styleAxis(yAxis);
+    .selectAll('text')
+    .data(nodes, (d) => d.id)
+    .join('text')
+    .attr('class', 'label')
+    .attr('x', (d) => d.x + getRadius(d) + 3)
+    .attr('y', (d) => d.y + 4)
+    .text((d) => d.label);
 
-  chart
-    .append('text')
-    .attr('x', chartWidth / 2)
-    .attr('y', chartHeight + 45)
-    .attr('text-anchor', 'middle')
-    .attr('fill', '#cbd5f5')
-    .attr('font-size', 12)
-    .text('Release-Jahr');
+  let selectedId = null;
+  const selectMovie = (movieId) => {
+    if (movieId !== currentSelectedId) {
+      currentSelectedId = movieId;
+      updateUrlState({ push: true });
+    }
+    selectedId = movieId;
+    film.select('circle').classed('selected', (d) => d.id === selectedId);
+    const selected = filmography.find(({ movie }) => `movie-${movie.id}` === movieId);
+    if (!selected) {
+      hideDetails();
+      return;
+    }
+    showMovieDetails(selected.movie, {
+      neighborSections: [
+        {
+          title: 'Mitwirkende',
+          neighbors: getMovieCredits(selected.movie).map((credit) => ({
+            id: credit.id,
+            label: credit.name,
+            detail: describePersonRoles(credit.roles),
+          })),
+        },
+      ],
+      onSelect: (id) => {
+        if (id !== personId) focusPerson(id);
+      },
+      onClose: () => selectMovie(null),
+    });
+  };
+  film.on('click', (event, d) => {
+    event.stopPropagation();
+    selectMovie(d.id);
+  });
+  svg.on('click', () => selectMovie(null));
 
-  chart
-    .append('text')
-    .attr('transform', 'rotate(-90)')
-    .attr('x', -chartHeight / 2)
-    .attr('y', -50)
-    .attr('text-anchor', 'middle')
-    .attr('fill', '#cbd5f5')
-    .attr('font-size', 12)
-    .text('Runtime (Minuten)');
+  currentSelectHandler = (movieId) =>
+    selectMovie(filmography.some(({ movie }) => `movie-${movie.id}` === movieId) ? movieId : null);
+  currentSearchHandler = (entry) => {
+    if (entry.type === 'person') {
+      focusPerson(entry.id);
+    } else if (entry.type === 'movie') {
+      currentSelectHandler(entry.key);
+    }
+  };
 };
 
-const renderChart = (data) => {
+const renderChartView = (data, { incremental = false } = {}) => {
   const mode = chartSelect?.value ?? 'list';
+  if (incremental && mode === 'force' && currentNetworkUpdater) {
+    currentNetworkUpdater(data);
+    return;
+  }
+  currentNetworkUpdater = null;
+  hideDetails();
+  currentSearchHandler = null;
+  showHiddenSearchResult(null);
+  currentSelectHandler = null;
+  currentSelectedId = null;
+  activeZoomLayer = null;
+  // Handlers on the shared <svg> would otherwise outlive the view that set them.
+  svg.on('click', null).on('.zoom', null);
   if (layoutModeInput?.parentElement) {
     layoutModeInput.parentElement.style.display = mode === 'force' ? '' : 'none';
   }
+  if (layoutFileControls) {
+    layoutFileControls.hidden = mode !== 'force';
+  }
+  if (timelineLanesInput?.parentElement) {
+    timelineLanesInput.parentElement.style.display = mode === 'timeline' ? '' : 'none';
+  }
+  if (personInput?.parentElement) {
+    personInput.parentElement.style.display = mode === 'people' ? '' : 'none';
+  }
+  if (scatterControls) {
+    scatterControls.hidden = mode !== 'scatter';
+  }
   if (mode !== 'force') {
     currentLayoutModeUpdater = null;
+    currentLayoutNodes = null;
+  }
+  releaseCanvasLayer();
+  stopActiveSimulation();
+  if (currentLayoutHandler) {
+    currentLayoutHandler = null;
+    getLayoutClient().send({ type: 'cancel' });
+    showLayoutProgress(null);
+  }
+  // Only the entity network mixes node types; the other views show movies only.
+  setNodeFilterEnabled(mode === 'entities');
+  if (pathControls) {
+    pathControls.hidden = mode !== 'paths';
   }
   if (mode === 'genres') {
     renderGenresBar(data);
     return;
   }
+  if (mode === 'genreMatrix') {
+    renderGenreMatrix(data);
+    return;
+  }
+  if (mode === 'genreChord') {
+    renderGenreChord(data);
+    return;
+  }
+  if (mode === 'genreTrends') {
+    renderGenreTrends(data);
+    return;
+  }
   if (mode === 'scatter') {
-    renderReleaseRuntimeScatter(data);
+    renderScatter(getFilteredData({ ignoreMovieIds: true }));
+    return;
+  }
+  if (mode === 'timeline') {
+    renderTimeline(getFilteredData({ ignoreYearRange: true }));
+    return;
+  }
+  if (mode === 'people') {
+    renderPeopleView(data);
     return;
   }
   if (mode === 'force') {
     if (listContainer) {
       listContainer.style.display = 'none';
     }
-    const graph = createMovieGraph(data);
-    renderNetwork(graph);
+    currentNetworkUpdater = renderNetwork(data);
+    return;
+  }
+  if (mode === 'entities') {
+    if (listContainer) {
+      listContainer.style.display = 'none';
+    }
+    renderEntityNetwork(createGraph(data));
+    return;
+  }
+  if (mode === 'paths') {
+    if (listContainer) {
+      listContainer.style.display = 'none';
+    }
+    renderPathView(data);
     return;
   }
-  renderList(data);
+  renderTable(data);
+};
+
+const renderChart = (data, options) => {
+  renderChartView(data, options);
+  markMovieNodes();
+};
+
+const getFilteredData = ({ ignoreYearRange = false, ignoreMovieIds = false } = {}) =>
+  currentData && {
+    ...currentData,
+    movies: filterMovies(currentData.movies, {
+      ...filterState,
+      ...(ignoreYearRange ? { yearRange: null } : {}),
+      ...(ignoreMovieIds ? { movieIds: null } : {}),
+    }),
+  };
+
+const getUrlState = () => {
+  const view = chartSelect?.value ?? defaultChartType;
+  const isNetwork = view === 'force' || view === 'entities';
+  const nodeTypes = getVisibleNodeTypes();
+  const scatterEncoding = getScatterEncoding();
+  const getScatterChannel = (channel) =>
+    view === 'scatter' && scatterEncoding[channel] !== defaultScatterEncoding[channel]
+      ? scatterEncoding[channel]
+      : null;
+  return {
+    view: view === defaultChartType ? null : view,
+    layout: view === 'force' ? layoutModeInput?.value : null,
+    lanes: view === 'timeline' ? timelineLanesInput?.value : null,
+    person: view === 'people' ? currentPersonId : null,
+    x: getScatterChannel('x'),
+    y: getScatterChannel('y'),
+    color: getScatterChannel('color'),
+    size: getScatterChannel('size'),
+    sort:
+      view === 'list' &&
+      (tableSort.key !== defaultTableSort.key || tableSort.direction !== defaultTableSort.direction)
+        ? tableSort
+        : null,
+    types:
+      view === 'entities' && nodeTypes.length < Object.keys(colorMap).length ? nodeTypes : null,
+    strength:
+      isNetwork && linkStrengthInput && linkStrengthInput.value !== linkStrengthInput.defaultValue
+        ? Number(linkStrengthInput.value)
+        : null,
+    year: filterState.yearRange,
+    runtime: filterState.runtimeRange,
+    rating: filterState.minRating,
+    genres: filterState.genreIds,
+    terms: filterState.terms,
+    movies: filterState.movieIds,
+    node: currentSelectedId,
+    zoom: activeZoomLayer?.getTransform() ?? null,
+  };
+};
+
+// Discrete steps (view, layout, selection) become history entries; continuous ones such as
+// zooming or dragging a slider only replace the current entry.
+const updateUrlState = ({ push = false } = {}) => {
+  clearTimeout(urlStateTimer);
+  urlStateTimer = null;
+  if (applyingUrlState || !currentData) return;
+  const hash = encodeUrlState(getUrlState());
+  if (hash === location.hash.replace(/^#/, '')) return;
+  const url = hash ? `#${hash}` : `${location.pathname}${location.search}`;
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+};
+
+const scheduleUrlStateUpdate = () => {
+  if (applyingUrlState) return;
+  clearTimeout(urlStateTimer);
+  urlStateTimer = setTimeout(updateUrlState, 300);
+};
+
+const hasOption = (select, value) =>
+  Array.from(select?.options ?? []).some((option) => option.value === value);
+
+// Missing keys fall back to the defaults, except the layout, which keeps the saved choice.
+// When only the selection or camera differ, the current view stays as it is.
+const applyUrlState = (state, { rerender = false } = {}) => {
+  const getViewHash = () => encodeUrlState({ ...getUrlState(), node: null, zoom: null });
+  const previousViewHash = getViewHash();
+  applyingUrlState = true;
+  try {
+    if (chartSelect) {
+      chartSelect.value = hasOption(chartSelect, state.view) ? state.view : defaultChartType;
+    }
+    if (hasOption(layoutModeInput, state.layout)) {
+      layoutModeInput.value = state.layout;
+    }
+    if (timelineLanesInput) {
+      timelineLanesInput.value = hasOption(timelineLanesInput, state.lanes)
+        ? state.lanes
+        : timelineLanesInput.options[0].value;
+    }
+    currentPersonId = state.person ?? null;
+    tableSort = TABLE_COLUMNS.some((column) => column.key === state.sort?.key)
+      ? state.sort
+      : defaultTableSort;
+    Object.entries(scatterInputs).forEach(([channel, input]) => {
+      if (input) {
+        input.value = hasOption(input, state[channel])
+          ? state[channel]
+          : defaultScatterEncoding[channel];
+      }
+    });
+    filterInput?.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+      checkbox.checked = !state.types || state.types.includes(checkbox.value);
+    });
+    if (linkStrengthInput) {
+      linkStrengthInput.value = state.strength ?? linkStrengthInput.defaultValue;
+    }
+    filterState = {
+      ...createEmptyFilters(),
+      yearRange: state.year ?? null,
+      runtimeRange: state.runtime ?? null,
+      minRating: state.rating ?? null,
+      genreIds: state.genres ?? [],
+      // Chips need a label, so terms that are not in the dataset are dropped.
+      terms: (state.terms ?? [])
+        .map((term) => {
+          const entry = currentSearchIndex.find(
+            (candidate) => candidate.type === term.type && candidate.id === term.id,
+          );
+          return entry && { ...term, label: entry.label };
+        })
+        .filter(Boolean),
+      movieIds: state.movies ?? null,
+    };
+    syncFacetInputs();
+    // The force network takes filter, layout and link strength changes without a rebuild.
+    if (rerender || getViewHash() !== previousViewHash) {
+      renderChart(getFilteredData(), { incremental: !rerender });
+    }
+    currentSelectHandler?.(state.node ?? null);
+    activeZoomLayer?.setTransform(state.zoom ?? null);
+  } finally {
+    applyingUrlState = false;
+  }
+  updateUrlState();
 };
 
+window.addEventListener('popstate', () => {
+  if (currentData) {
+    applyUrlState(decodeUrlState(location.hash));
+  }
+});
+
+linkStrengthInput?.addEventListener('input', scheduleUrlStateUpdate);
+timelineLanesInput?.addEventListener('change', () => {
+  if (!currentData) return;
+  renderChart(getFilteredData());
+  updateUrlState({ push: true });
+});
+filterInput?.addEventListener('change', scheduleUrlStateUpdate);
+Object.entries(scatterInputs).forEach(([channel, input]) =>
+  input?.addEventListener('change', () => {
+    if (!currentData) return;
+    if (channel === 'x' || channel === 'y') {
+      scatterTransform = null;
+    }
+    renderChart(getFilteredData());
+    updateUrlState({ push: true });
+  }),
+);
+personInput?.addEventListener('change', () => {
+  const entry = personInput.value.trim()
+    ? searchIndex(currentSearchIndex, personInput.value, { limit: 50 }).find(
+        (candidate) => candidate.type === 'person',
+      )
+    : null;
+  if (entry && entry.id !== currentPersonId) {
+    focusPerson(entry.id);
+  }
+});
+
 if (chartSelect) {
   chartSelect.addEventListener('change', () => {
     if (currentData) {
-      renderChart(currentData);
+      renderChart(getFilteredData());
+      updateUrlState({ push: true });
+    }
+  });
+}
+
+// A range that covers the full data bounds means "no restriction", so movies without
+// a year or runtime stay visible until the user narrows the range.
+const readRange = (minInput, maxInput, bounds) => {
+  if (!minInput || !maxInput || !bounds) return null;
+  const low = Math.min(Number(minInput.value), Number(maxInput.value));
+  const high = Math.max(Number(minInput.value), Number(maxInput.value));
+  return low <= bounds[0] && high >= bounds[1] ? null : [low, high];
+};
+
+const updateFacetLabels = () => {
+  const formatRange = (range, bounds, unit = '') => {
+    const [low, high] = range ?? bounds ?? [];
+    return bounds ? `${low} – ${high}${unit}` : 'n/a';
+  };
+  if (yearRangeValue) {
+    yearRangeValue.textContent = formatRange(filterState.yearRange, facetBounds?.years);
+  }
+  if (runtimeRangeValue) {
+    runtimeRangeValue.textContent = formatRange(
+      filterState.runtimeRange,
+      facetBounds?.runtimes,
+      ' min',
+    );
+  }
+  if (minRatingValue) {
+    minRatingValue.textContent =
+      filterState.minRating === null ? 'alle' : `ab ${filterState.minRating.toFixed(1)}`;
+  }
+};
+
+let pendingFilterFrame = null;
+const applyFilters = () => {
+  updateFacetLabels();
+  scheduleUrlStateUpdate();
+  if (!currentData || pendingFilterFrame) return;
+  // Sliders fire many input events; re-render at most once per frame.
+  pendingFilterFrame = requestAnimationFrame(() => {
+    pendingFilterFrame = null;
+    renderChart(getFilteredData(), { incremental: true });
+  });
+};
+
+const setupRangeInputs = (minInput, maxInput, bounds) => {
+  [minInput, maxInput].forEach((input, index) => {
+    if (!input) return;
+    input.disabled = !bounds;
+    if (!bounds) return;
+    input.min = bounds[0];
+    input.max = bounds[1];
+    input.step = 1;
+    input.value = bounds[index];
+  });
+};
+
+const renderTermChips = () => {
+  if (!termChips) return;
+  termChips.innerHTML = '';
+  filterState.terms.forEach((term) => {
+    const chip = document.createElement('li');
+    chip.className = term.exclude ? 'exclude' : 'include';
+    chip.title = nodeTypeLabels[term.type];
+    const text = document.createElement('span');
+    text.textContent = `${term.exclude ? '−' : '+'} ${term.label}`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.setAttribute('aria-label', `${term.label} entfernen`);
+    remove.textContent = '×';
+    remove.onclick = () => {
+      filterState = {
+        ...filterState,
+        terms: filterState.terms.filter((other) => other !== term),
+      };
+      renderTermChips();
+      applyFilters();
+    };
+    chip.appendChild(text);
+    chip.appendChild(remove);
+    termChips.appendChild(chip);
+  });
+};
+
+const addTermFilter = () => {
+  const match = searchIndex(currentSearchIndex, termInput.value, { limit: 50 }).find(
+    (entry) => entry.type === 'person' || entry.type === 'keyword',
+  );
+  if (!match) return;
+  const exclude = termModeInput?.value === 'exclude';
+  filterState = {
+    ...filterState,
+    terms: [
+      ...filterState.terms.filter((term) => term.type !== match.type || term.id !== match.id),
+      { type: match.type, id: match.id, label: match.label, exclude },
+    ],
+  };
+  termInput.value = '';
+  renderTermChips();
+  applyFilters();
+};
+
+// Puts the facet inputs in line with filterState, e.g. after it was restored from the URL.
+const syncFacetInputs = () => {
+  [
+    [yearMinInput, yearMaxInput, filterState.yearRange ?? facetBounds?.years],
+    [runtimeMinInput, runtimeMaxInput, filterState.runtimeRange ?? facetBounds?.runtimes],
+  ].forEach(([minInput, maxInput, range]) => {
+    if (!range || !minInput || !maxInput) return;
+    [minInput.value, maxInput.value] = range;
+  });
+  if (minRatingInput) {
+    minRatingInput.value = filterState.minRating ?? 0;
+  }
+  genreFacet?.querySelectorAll('input').forEach((checkbox) => {
+    checkbox.checked = filterState.genreIds.includes(Number(checkbox.value));
+  });
+  if (selectionFacet) {
+    selectionFacet.hidden = !filterState.movieIds;
+    selectionInfo.textContent = `Auswahl: ${filterState.movieIds?.length ?? 0} Filme`;
+  }
+  renderTermChips();
+  updateFacetLabels();
+};
+
+const setupFacets = (data) => {
+  filterState = createEmptyFilters();
+  facetBounds = getFacetBounds(data.movies);
+  setupRangeInputs(yearMinInput, yearMaxInput, facetBounds.years);
+  setupRangeInputs(runtimeMinInput, runtimeMaxInput, facetBounds.runtimes);
+  if (minRatingInput) {
+    minRatingInput.disabled = !facetBounds.hasRatings;
+    minRatingInput.value = 0;
+  }
+
+  if (genreFacet) {
+    genreFacet.innerHTML = '';
+    facetBounds.genres.forEach((genre) => {
+      const option = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = genre.id;
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(` ${genre.name} (${genre.count})`));
+      genreFacet.appendChild(option);
+    });
+  }
+
+  if (termOptions) {
+    termOptions.innerHTML = '';
+    currentSearchIndex
+      .filter((entry) => entry.type === 'person' || entry.type === 'keyword')
+      .forEach((entry) => {
+        const option = document.createElement('option');
+        option.value = entry.label;
+        termOptions.appendChild(option);
+      });
+  }
+
+  syncFacetInputs();
+};
+
+[
+  [yearMinInput, yearMaxInput, 'yearRange', 'years'],
+  [runtimeMinInput, runtimeMaxInput, 'runtimeRange', 'runtimes'],
+].forEach(([minInput, maxInput, key, boundsKey]) => {
+  [minInput, maxInput].forEach((input) =>
+    input?.addEventListener('input', () => {
+      const range = readRange(minInput, maxInput, facetBounds?.[boundsKey]);
+      filterState = { ...filterState, [key]: range };
+      applyFilters();
+    }),
+  );
+});
+
+minRatingInput?.addEventListener('input', () => {
+  const value = Number(minRatingInput.value);
+  filterState = { ...filterState, minRating: value > 0 ? value : null };
+  applyFilters();
+});
+
+genreFacet?.addEventListener('change', () => {
+  const genreIds = Array.from(genreFacet.querySelectorAll('input:checked')).map((input) =>
+    Number(input.value),
+  );
+  filterState = { ...filterState, genreIds };
+  applyFilters();
+});
+
+termInput?.addEventListener('keydown', (event) => {
+  if (event.key !== 'Enter') return;
+  event.preventDefault();
+  addTermFilter();
+});
+
+selectionClearButton?.addEventListener('click', () => setMovieSelection(null));
+
+filterResetButton?.addEventListener('click', () => {
+  if (!currentData) return;
+  setupFacets(currentData);
+  applyFilters();
+});
+
+const hideSuggestions = () => {
+  if (!searchSuggestions || !searchInput) return;
+  searchSuggestions.hidden = true;
+  searchSuggestions.innerHTML = '';
+  searchInput.setAttribute('aria-expanded', 'false');
+};
+
+// A match that the filters hide would otherwise leave the search without any visible effect.
+let hiddenSearchEntry = null;
+const showHiddenSearchResult = (entry) => {
+  hiddenSearchEntry = entry;
+  if (!searchStatus) return;
+  searchStatus.hidden = !entry;
+  if (entry) searchStatusText.textContent = `„${entry.label}“ ist durch Filter ausgeblendet.`;
+};
+
+searchFilterResetButton?.addEventListener('click', () => {
+  const entry = hiddenSearchEntry;
+  if (!currentData || !entry) return;
+  setupFacets(currentData);
+  applyFilters();
+  // Filters re-render on the next frame, so the match is looked up again after that.
+  requestAnimationFrame(() => chooseSearchResult(entry));
+});
+
+const chooseSearchResult = (entry) => {
+  hideSuggestions();
+  showHiddenSearchResult(null);
+  searchInput.value = entry.label;
+  if (!currentSearchHandler && chartSelect) {
+    chartSelect.value = 'list';
+    renderChart(getFilteredData());
+    updateUrlState({ push: true });
+  }
+  currentSearchHandler?.(entry);
+};
+
+let searchResults = [];
+let activeSuggestion = -1;
+
+const showSuggestions = () => {
+  if (!searchSuggestions) return;
+  searchResults = searchIndex(currentSearchIndex, searchInput.value);
+  activeSuggestion = searchResults.length ? 0 : -1;
+  searchSuggestions.innerHTML = '';
+  searchResults.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.setAttribute('role', 'option');
+    item.classList.toggle('active', index === activeSuggestion);
+    const title = document.createElement('span');
+    title.textContent = entry.label;
+    const meta = document.createElement('span');
+    meta.className = 'suggestion-type';
+    meta.textContent =
+      entry.type === 'movie'
+        ? nodeTypeLabels.movie
+        : `${nodeTypeLabels[entry.type]} · ${entry.movieIds.length} Filme`;
+    item.appendChild(title);
+    item.appendChild(meta);
+    // mousedown fires before the input loses focus and hides the list.
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      chooseSearchResult(entry);
+    });
+    searchSuggestions.appendChild(item);
+  });
+  searchSuggestions.hidden = !searchResults.length;
+  searchInput.setAttribute('aria-expanded', String(searchResults.length > 0));
+};
+
+const moveActiveSuggestion = (step) => {
+  if (!searchResults.length) return;
+  activeSuggestion = (activeSuggestion + step + searchResults.length) % searchResults.length;
+  Array.from(searchSuggestions.children).forEach((item, index) => {
+    item.classList.toggle('active', index === activeSuggestion);
+  });
+};
+
+if (searchInput) {
+  searchInput.addEventListener('input', () => {
+    showHiddenSearchResult(null);
+    showSuggestions();
+  });
+  searchInput.addEventListener('blur', hideSuggestions);
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      moveActiveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+    } else if (event.key === 'Enter' && searchResults[activeSuggestion]) {
+      event.preventDefault();
+      chooseSearchResult(searchResults[activeSuggestion]);
+    } else if (event.key === 'Escape') {
+      hideSuggestions();
     }
   });
 }
@@ -832,7 +4233,7 @@ const loadData = async () => {
     try {
       const response = await fetch(source);
       if (!response.ok) throw new Error('Request failed');
-      return response.json();
+      return { source, data: await response.json() };
     } catch (error) {
       console.warn(`Unable to load ${source}`, error);
     }
@@ -856,16 +4257,126 @@ const loadFromFile = (file) =>
     reader.readAsText(file);
   });
 
+const prepareDataset = (data) => {
+  const { dataset } = migrateDataset(data);
+  const errors = validateDataset(dataset);
+  if (errors.length) {
+    const error = new Error('Dataset does not match the schema');
+    error.validationErrors = formatValidationErrors(errors, dataset);
+    throw error;
+  }
+  return dataset;
+};
+
+const showDatasetErrors = (lines = []) => {
+  if (!datasetErrors) return;
+  datasetErrors.innerHTML = '';
+  lines.forEach((line) => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    datasetErrors.appendChild(item);
+  });
+  datasetErrors.hidden = !lines.length;
+};
+
+const getLayoutModeLabel = (mode) =>
+  layoutModeInput?.querySelector(`option[value="${mode}"]`)?.textContent ?? mode;
+
+const showLayoutFileInfo = (message) => {
+  if (!layoutFileInfo) return;
+  const modes = Object.keys(currentLayoutFile?.layouts ?? {});
+  layoutFileInfo.textContent =
+    message ??
+    (modes.length ? `Gespeicherte Layouts: ${modes.map(getLayoutModeLabel).join(', ')}` : '');
+};
+
+// Throws when the file is no layout or was saved for a different dataset.
+const useLayoutFile = (file, dataset) => {
+  currentLayoutFile = parseLayoutFile(file, dataset.movies);
+  showLayoutFileInfo();
+};
+
+const downloadFile = (content, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const saveLayout = () => {
+  if (!currentData || !currentLayoutNodes) return;
+  const mode = layoutModeInput?.value ?? defaultLayoutMode;
+  const layoutFile =
+    currentLayoutFile?.dataset === getDatasetKey(currentData.movies)
+      ? currentLayoutFile
+      : createLayoutFile(currentData.movies);
+  currentLayoutFile = storeLayout(layoutFile, mode, currentLayoutNodes());
+  downloadFile(JSON.stringify(currentLayoutFile), 'application/json', 'movies.layout.json');
+  showLayoutFileInfo();
+};
+
+// The sidecar written by scripts/compute_layout.js is optional.
+const loadLayoutSidecar = async (source) => {
+  try {
+    const response = await fetch(source.replace(/\.json$/, '.layout.json'));
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const showDataset = (data, { layout = null } = {}) => {
+  const dataset = prepareDataset(data);
+  showDatasetErrors();
+  updateInfo(dataset);
+  currentData = dataset;
+  if (currentLayoutFile?.dataset !== getDatasetKey(dataset.movies)) {
+    currentLayoutFile = null;
+  }
+  if (layout) {
+    try {
+      useLayoutFile(layout, dataset);
+    } catch (error) {
+      console.warn('Ignoring the layout sidecar', error);
+    }
+  }
+  showLayoutFileInfo();
+  currentSearchIndex = buildSearchIndex(dataset);
+  scatterTransform = null;
+  tableColumnFilters = {};
+  tableAnchorId = null;
+  markedNodeIds = new Set();
+  setupFacets(dataset);
+  // The URL only describes the first dataset; one loaded later starts from its own defaults.
+  if (pendingUrlState) {
+    applyUrlState(pendingUrlState, { rerender: true });
+    pendingUrlState = null;
+  } else {
+    renderChart(getFilteredData());
+    updateUrlState();
+  }
+};
+
+const showLoadError = (error, fallbackMessage) => {
+  if (error.validationErrors) {
+    datasetInfo.textContent = 'Datensatz ungültig – folgende Fehler gefunden:';
+    showDatasetErrors(error.validationErrors);
+  } else {
+    datasetInfo.textContent = fallbackMessage;
+    showDatasetErrors();
+  }
+  console.error(error);
+};
+
 loadData()
-  .then((data) => {
-    updateInfo(data);
-    currentData = data;
-    renderChart(data);
-  })
+  .then(async ({ source, data }) => showDataset(data, { layout: await loadLayoutSidecar(source) }))
   .catch((error) => {
-    datasetInfo.textContent =
-      'Keine Daten verfügbar. Bitte JSON-Datei auswählen oder den TMDB-Download ausführen.';
-    console.error(error);
+    showLoadError(
+      error,
+      'Keine Daten verfügbar. Bitte JSON-Datei auswählen oder den TMDB-Download ausführen.',
+    );
   });
 
 jsonFileInput.addEventListener('change', async (event) => {
@@ -873,11 +4384,23 @@ jsonFileInput.addEventListener('change', async (event) => {
   if (!file) return;
   try {
     const data = await loadFromFile(file);
-    updateInfo(data);
-    currentData = data;
-    renderChart(data);
+    showDataset(data);
+  } catch (error) {
+    showLoadError(error, 'Konnte JSON nicht laden. Bitte Datei prüfen.');
+  }
+});
+
+layoutSaveButton?.addEventListener('click', saveLayout);
+
+layoutFileInput?.addEventListener('change', async (event) => {
+  const file = event.target.files?.[0];
+  if (!file || !currentData) return;
+  try {
+    useLayoutFile(await loadFromFile(file), currentData);
+    currentLayoutModeUpdater?.(layoutModeInput?.value ?? defaultLayoutMode, { restore: true });
   } catch (error) {
-    datasetInfo.textContent = 'Konnte JSON nicht laden. Bitte Datei prüfen.';
+    showLayoutFileInfo('Layout ungültig oder für einen anderen Datensatz gespeichert.');
     console.error(error);
   }
+  event.target.value = '';
 });
@@ -0,0 +1,106 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MovieNebulaFilters = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const getMovieYear = (movie) => {
+    const year = Number(movie.release_date?.slice(0, 4));
+    return Number.isFinite(year) && year > 0 ? year : null;
+  };
+
+  // Ranges are [min, max] or null for "no restriction". Terms are people or keywords
+  // ({ type, id, exclude }) that a movie must (or must not) contain. movieIds is an explicit
+  // subset, e.g. brushed in the scatter plot, or null.
+  const createEmptyFilters = () => ({
+    yearRange: null,
+    runtimeRange: null,
+    genreIds: [],
+    terms: [],
+    minRating: null,
+    movieIds: null,
+  });
+
+  const getFacetBounds = (movies) => {
+    const years = movies.map(getMovieYear).filter((year) => year !== null);
+    const runtimes = movies.map((movie) => movie.runtime).filter((runtime) => runtime > 0);
+    const genres = new Map();
+    movies.forEach((movie) => {
+      (movie.genres ?? []).forEach((genre) => {
+        const entry = genres.get(genre.id) ?? { id: genre.id, name: genre.name, count: 0 };
+        entry.count += 1;
+        genres.set(genre.id, entry);
+      });
+    });
+    return {
+      years: years.length ? [Math.min(...years), Math.max(...years)] : null,
+      runtimes: runtimes.length ? [Math.min(...runtimes), Math.max(...runtimes)] : null,
+      genres: Array.from(genres.values()).sort(
+        (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+      ),
+      hasRatings: movies.some((movie) => Number.isFinite(movie.vote_average)),
+    };
+  };
+
+  const isInRange = (value, range) =>
+    !range || (Number.isFinite(value) && value >= range[0] && value <= range[1]);
+
+  const getTermIds = (movie, type) => {
+    if (type === 'keyword') {
+      return new Set((movie.keywords ?? []).map((keyword) => keyword.id));
+    }
+    return new Set([...(movie.cast ?? []), ...(movie.crew ?? [])].map((person) => person.id));
+  };
+
+  // A subset can hold thousands of ids, so each array gets one lookup set.
+  const movieIdSets = new WeakMap();
+  const getMovieIdSet = (movieIds) => {
+    if (!movieIdSets.has(movieIds)) movieIdSets.set(movieIds, new Set(movieIds));
+    return movieIdSets.get(movieIds);
+  };
+
+  const matchesFilters = (movie, filters) => {
+    if (filters.movieIds && !getMovieIdSet(filters.movieIds).has(movie.id)) return false;
+    if (!isInRange(getMovieYear(movie), filters.yearRange)) return false;
+    if (!isInRange(movie.runtime, filters.runtimeRange)) return false;
+    if (
+      filters.minRating !== null &&
+      filters.minRating !== undefined &&
+      !(movie.vote_average >= filters.minRating)
+    ) {
+      return false;
+    }
+    if (
+      filters.genreIds?.length &&
+      !(movie.genres ?? []).some((genre) => filters.genreIds.includes(genre.id))
+    ) {
+      return false;
+    }
+    return (filters.terms ?? []).every((term) => {
+      const hasTerm = getTermIds(movie, term.type).has(term.id);
+      return term.exclude ? !hasTerm : hasTerm;
+    });
+  };
+
+  const filterMovies = (movies, filters) => movies.filter((movie) => matchesFilters(movie, filters));
+
+  const isFilterActive = (filters) =>
+    Boolean(
+      filters.yearRange ||
+        filters.runtimeRange ||
+        filters.genreIds?.length ||
+        filters.terms?.length ||
+        filters.movieIds ||
+        (filters.minRating !== null && filters.minRating !== undefined),
+    );
+
+  return {
+    getMovieYear,
+    createEmptyFilters,
+    getFacetBounds,
+    matchesFilters,
+    filterMovies,
+    isFilterActive,
+  };
+});
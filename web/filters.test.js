@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getMovieYear,
+  createEmptyFilters,
+  getFacetBounds,
+  filterMovies,
+  isFilterActive,
+} = require('./filters');
+
+const movies = [
+  {
+    id: 1,
+    title: 'Old drama',
+    release_date: '1975-03-01',
+    runtime: 130,
+    vote_average: 8.1,
+    genres: [{ id: 18, name: 'Drama' }],
+    cast: [{ id: 100, name: 'Ann' }],
+    crew: [{ id: 200, name: 'Dee', job: 'Director' }],
+    keywords: [{ id: 9, name: 'heist' }],
+  },
+  {
+    id: 2,
+    title: 'New action',
+    release_date: '2021-07-01',
+    runtime: 95,
+    vote_average: 6.2,
+    genres: [
+      { id: 28, name: 'Action' },
+      { id: 18, name: 'Drama' },
+    ],
+    cast: [{ id: 101, name: 'Bob' }],
+    crew: [{ id: 200, name: 'Dee', job: 'Director' }],
+  },
+  {
+    id: 3,
+    title: 'Undated',
+    release_date: '',
+    runtime: null,
+    vote_average: null,
+    genres: [],
+    cast: [],
+    crew: [],
+  },
+];
+
+const ids = (list) => list.map((movie) => movie.id);
+const withFilters = (overrides) => ({ ...createEmptyFilters(), ...overrides });
+
+test('getMovieYear ignores empty and invalid release dates', () => {
+  assert.equal(getMovieYear(movies[0]), 1975);
+  assert.equal(getMovieYear(movies[2]), null);
+  assert.equal(getMovieYear({ release_date: 'unknown' }), null);
+});
+
+test('empty filters keep every movie, including ones without year or runtime', () => {
+  const filters = createEmptyFilters();
+  assert.equal(isFilterActive(filters), false);
+  assert.deepEqual(ids(filterMovies(movies, filters)), [1, 2, 3]);
+});
+
+test('getFacetBounds derives year and runtime ranges and genre counts', () => {
+  assert.deepEqual(getFacetBounds(movies), {
+    years: [1975, 2021],
+    runtimes: [95, 130],
+    genres: [
+      { id: 18, name: 'Drama', count: 2 },
+      { id: 28, name: 'Action', count: 1 },
+    ],
+    hasRatings: true,
+  });
+});
+
+test('filterMovies applies ranges, genres and minimum rating', () => {
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ yearRange: [2000, 2030] }))), [2]);
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ runtimeRange: [100, 200] }))), [1]);
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ genreIds: [28, 99] }))), [2]);
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ minRating: 7 }))), [1]);
+  assert.equal(isFilterActive(withFilters({ minRating: 0 })), true);
+});
+
+test('filterMovies keeps only an explicit movie subset', () => {
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ movieIds: [3, 1, 99] }))), [1, 3]);
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ movieIds: [] }))), []);
+  assert.equal(isFilterActive(withFilters({ movieIds: [2] })), true);
+});
+
+test('filterMovies includes and excludes people and keywords', () => {
+  const director = { type: 'person', id: 200 };
+  assert.deepEqual(ids(filterMovies(movies, withFilters({ terms: [director] }))), [1, 2]);
+  assert.deepEqual(
+    ids(
+      filterMovies(
+        movies,
+        withFilters({ terms: [director, { type: 'person', id: 101, exclude: true }] }),
+      ),
+    ),
+    [1],
+  );
+  assert.deepEqual(
+    ids(filterMovies(movies, withFilters({ terms: [{ type: 'keyword', id: 9, exclude: true }] }))),
+    [2, 3],
+  );
+});
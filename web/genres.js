@@ -0,0 +1,96 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filters'));
+  } else {
+    root.MovieNebulaGenres = factory(root.MovieNebulaFilters);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (filtersModule) => {
+  const { getMovieYear } = filtersModule;
+
+  const OTHER_GENRE = 'other';
+
+  // A movie listing a genre twice still counts once.
+  const getMovieGenres = (movie) => {
+    const seen = new Set();
+    return (movie.genres ?? []).filter((genre) => {
+      if (seen.has(genre.id)) return false;
+      seen.add(genre.id);
+      return true;
+    });
+  };
+
+  const rankGenres = (movies) => {
+    const genres = new Map();
+    movies.forEach((movie) =>
+      getMovieGenres(movie).forEach((genre) => {
+        const entry = genres.get(genre.id) ?? { id: genre.id, name: genre.name, count: 0 };
+        entry.count += 1;
+        genres.set(genre.id, entry);
+      }),
+    );
+    return Array.from(genres.values()).sort(
+      (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+    );
+  };
+
+  // matrix[i][j] counts the movies that have both genres; the diagonal counts each genre on its
+  // own. movieIds holds the movies behind every cell, so a cell can become a filter.
+  const buildGenreMatrix = (movies, { maxGenres = 12 } = {}) => {
+    const genres = rankGenres(movies).slice(0, maxGenres);
+    const indexById = new Map(genres.map((genre, index) => [genre.id, index]));
+    const matrix = genres.map(() => genres.map(() => 0));
+    const movieIds = genres.map(() => genres.map(() => []));
+    movies.forEach((movie) => {
+      const indexes = getMovieGenres(movie)
+        .map((genre) => indexById.get(genre.id))
+        .filter((index) => index !== undefined);
+      indexes.forEach((i) =>
+        indexes.forEach((j) => {
+          matrix[i][j] += 1;
+          movieIds[i][j].push(movie.id);
+        }),
+      );
+    });
+    return { genres, matrix, movieIds };
+  };
+
+  // Genre shares per release year. A movie counts as 1, split evenly across its genres, so the
+  // values of one year add up to its number of movies. Genres beyond maxGenres become OTHER_GENRE.
+  const buildGenreTrends = (movies, { maxGenres = 11 } = {}) => {
+    const ranked = rankGenres(movies);
+    const genres = ranked.slice(0, maxGenres);
+    const keptIds = new Set(genres.map((genre) => genre.id));
+    const keys = [
+      ...genres.map((genre) => String(genre.id)),
+      ...(ranked.length > maxGenres ? [OTHER_GENRE] : []),
+    ];
+    const rowsByYear = new Map();
+    movies.forEach((movie) => {
+      const year = getMovieYear(movie);
+      const movieGenres = getMovieGenres(movie);
+      if (year === null || !movieGenres.length) return;
+      const row = rowsByYear.get(year) ?? {
+        year,
+        total: 0,
+        ...Object.fromEntries(keys.map((key) => [key, 0])),
+      };
+      row.total += 1;
+      movieGenres.forEach((genre) => {
+        row[keptIds.has(genre.id) ? String(genre.id) : OTHER_GENRE] += 1 / movieGenres.length;
+      });
+      rowsByYear.set(year, row);
+    });
+    return {
+      genres,
+      keys,
+      rows: Array.from(rowsByYear.values()).sort((a, b) => a.year - b.year),
+    };
+  };
+
+  return {
+    OTHER_GENRE,
+    rankGenres,
+    buildGenreMatrix,
+    buildGenreTrends,
+  };
+});
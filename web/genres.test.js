@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OTHER_GENRE, rankGenres, buildGenreMatrix, buildGenreTrends } = require('./genres');
+
+const action = { id: 28, name: 'Action' };
+const drama = { id: 18, name: 'Drama' };
+const crime = { id: 80, name: 'Crime' };
+const movies = [
+  { id: 1, release_date: '1995-12-15', genres: [action, crime, drama] },
+  { id: 2, release_date: '1995-03-01', genres: [action, action] },
+  { id: 3, release_date: '2001-06-01', genres: [drama, action] },
+  { id: 4, release_date: '', genres: [drama] },
+  { id: 5, release_date: '2001-01-01', genres: [] },
+];
+
+test('rankGenres counts each genre once per movie', () => {
+  assert.deepEqual(
+    rankGenres(movies).map(({ name, count }) => [name, count]),
+    [
+      ['Action', 3],
+      ['Drama', 3],
+      ['Crime', 1],
+    ],
+  );
+});
+
+test('buildGenreMatrix counts co-occurrences and keeps the movies behind each cell', () => {
+  const { genres, matrix, movieIds } = buildGenreMatrix(movies);
+  assert.deepEqual(
+    genres.map((genre) => genre.name),
+    ['Action', 'Drama', 'Crime'],
+  );
+  assert.deepEqual(matrix, [
+    [3, 2, 1],
+    [2, 3, 1],
+    [1, 1, 1],
+  ]);
+  assert.deepEqual(movieIds[0][1], [1, 3]);
+  assert.deepEqual(movieIds[1][1], [1, 3, 4]);
+
+  const limited = buildGenreMatrix(movies, { maxGenres: 2 });
+  assert.deepEqual(limited.matrix, [
+    [3, 2],
+    [2, 3],
+  ]);
+});
+
+test('buildGenreTrends splits each movie across its genres per year', () => {
+  const { keys, rows } = buildGenreTrends(movies, { maxGenres: 2 });
+  assert.deepEqual(keys, ['28', '18', OTHER_GENRE]);
+  assert.deepEqual(
+    rows.map((row) => row.year),
+    [1995, 2001],
+  );
+  const [first, second] = rows;
+  assert.equal(first.total, 2);
+  assert.ok(Math.abs(first['28'] - 4 / 3) < 1e-9);
+  assert.ok(Math.abs(first[OTHER_GENRE] - 1 / 3) < 1e-9);
+  assert.deepEqual(second, { year: 2001, total: 1, 28: 0.5, 18: 0.5, [OTHER_GENRE]: 0 });
+});
@@ -0,0 +1,630 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MovieNebulaGraph = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const createGraph = (data) => {
+    const nodes = [];
+    const links = [];
+    const nodeMap = new Map();
+
+    const ensureNode = (id, label, type, meta = {}) => {
+      if (nodeMap.has(id)) {
+        return nodeMap.get(id);
+      }
+      const node = {
+        id,
+        label,
+        type,
+        ...meta,
+      };
+      nodeMap.set(id, node);
+      nodes.push(node);
+      return node;
+    };
+
+    const movieIds = new Set();
+    const linkKeys = new Set();
+    const addLink = (source, target, type) => {
+      const key = `${source}|${target}|${type}`;
+      if (linkKeys.has(key)) return;
+      linkKeys.add(key);
+      links.push({ source, target, type });
+    };
+
+    data.movies.forEach((movie) => {
+      if (movieIds.has(movie.id)) return;
+      movieIds.add(movie.id);
+
+      const movieNode = ensureNode(`movie-${movie.id}`, movie.title, 'movie', {
+        releaseDate: movie.release_date,
+        runtime: movie.runtime,
+        voteAverage: movie.vote_average ?? null,
+        voteCount: movie.vote_count ?? null,
+        popularity: movie.popularity ?? null,
+        posterPath: movie.poster_path ?? null,
+      });
+
+      (movie.genres ?? []).forEach((genre) => {
+        const genreNode = ensureNode(`genre-${genre.id}`, genre.name, 'genre');
+        addLink(movieNode.id, genreNode.id, 'genre');
+      });
+
+      (movie.cast ?? []).forEach((person) => {
+        const personNode = ensureNode(`person-${person.id}`, person.name, 'person');
+        addLink(movieNode.id, personNode.id, 'cast');
+      });
+
+      (movie.keywords ?? []).forEach((keyword) => {
+        const keywordNode = ensureNode(`keyword-${keyword.id}`, keyword.name, 'keyword');
+        addLink(movieNode.id, keywordNode.id, 'keyword');
+      });
+
+      (movie.production_companies ?? []).forEach((company) => {
+        const companyNode = ensureNode(`company-${company.id}`, company.name, 'company');
+        addLink(movieNode.id, companyNode.id, 'company');
+      });
+
+      (movie.production_countries ?? []).forEach((country) => {
+        const countryNode = ensureNode(`country-${country.iso_3166_1}`, country.name, 'country');
+        addLink(movieNode.id, countryNode.id, 'country');
+      });
+
+      const languages = [...(movie.spoken_languages ?? [])];
+      if (
+        movie.original_language &&
+        !languages.some((language) => language.iso_639_1 === movie.original_language)
+      ) {
+        languages.push({ iso_639_1: movie.original_language, name: movie.original_language });
+      }
+      languages.forEach((language) => {
+        const languageNode = ensureNode(`language-${language.iso_639_1}`, language.name, 'language');
+        addLink(movieNode.id, languageNode.id, 'language');
+      });
+
+      if (movie.belongs_to_collection) {
+        const collection = movie.belongs_to_collection;
+        const collectionNode = ensureNode(`collection-${collection.id}`, collection.name, 'collection');
+        addLink(movieNode.id, collectionNode.id, 'collection');
+      }
+    });
+
+    return { nodes, links };
+  };
+
+  const getLinkEndId = (end) => (typeof end === 'object' ? end.id : end);
+
+  const computeDegrees = (graph) => {
+    const degrees = new Map(graph.nodes.map((node) => [node.id, 0]));
+    graph.links.forEach((link) => {
+      [link.source, link.target].forEach((end) => {
+        const id = getLinkEndId(end);
+        degrees.set(id, (degrees.get(id) ?? 0) + 1);
+      });
+    });
+    return degrees;
+  };
+
+  const getNeighbors = (links, nodeId, limit = Infinity) =>
+    links
+      .flatMap((link) => {
+        const sourceId = getLinkEndId(link.source);
+        const targetId = getLinkEndId(link.target);
+        if (sourceId === nodeId) return [{ id: targetId, weight: link.weight ?? 1 }];
+        if (targetId === nodeId) return [{ id: sourceId, weight: link.weight ?? 1 }];
+        return [];
+      })
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+
+  // Keeps the nodes of the given types and only the links whose endpoints both remain.
+  const filterGraphByType = (graph, types) => {
+    const allowedTypes = new Set(types);
+    const nodes = graph.nodes.filter((node) => allowedTypes.has(node.type));
+    const nodeIds = new Set(nodes.map((node) => node.id));
+    const links = graph.links.filter(
+      (link) => nodeIds.has(getLinkEndId(link.source)) && nodeIds.has(getLinkEndId(link.target)),
+    );
+    return { nodes, links };
+  };
+
+  const createMovieGraph = (data) => {
+    const seenMovieIds = new Set();
+    const movies = data.movies.filter((movie) => {
+      if (seenMovieIds.has(movie.id)) return false;
+      seenMovieIds.add(movie.id);
+      return true;
+    });
+    const nodes = movies.map((movie) => {
+      const releaseYear = Number(movie.release_date?.slice(0, 4));
+      return {
+        id: `movie-${movie.id}`,
+        label: movie.title,
+        type: 'movie',
+        releaseDate: movie.release_date,
+        runtime: movie.runtime,
+        voteAverage: movie.vote_average ?? null,
+        voteCount: movie.vote_count ?? null,
+        popularity: movie.popularity ?? null,
+        year: Number.isFinite(releaseYear) && releaseYear > 0 ? releaseYear : null,
+        genreIds: movie.genres?.map((genre) => genre.id) ?? [],
+        actorIds: Array.from(new Set(movie.cast?.map((person) => person.id) ?? [])),
+        keywordIds: movie.keywords?.map((keyword) => keyword.id) ?? [],
+      };
+    });
+
+    return { nodes, links: [] };
+  };
+
+  const buildGenreCenters = (nodes, centerX, centerY, radius) => {
+    const uniqueGenres = [];
+    const seen = new Set();
+    nodes.forEach((node) => {
+      (node.genreIds ?? []).forEach((genreId) => {
+        if (seen.has(genreId)) return;
+        seen.add(genreId);
+        uniqueGenres.push(genreId);
+      });
+    });
+
+    const centers = new Map();
+    if (!uniqueGenres.length) {
+      return centers;
+    }
+
+    uniqueGenres.forEach((genreId, index) => {
+      const angle = (index / uniqueGenres.length) * Math.PI * 2;
+      centers.set(genreId, {
+        x: centerX + Math.cos(angle) * radius,
+        y: centerY + Math.sin(angle) * radius,
+      });
+    });
+
+    return centers;
+  };
+
+  const forceGenreAttraction = (genreCenters, strength = 0.12) => {
+    let nodes = [];
+    const force = (alpha) => {
+      for (const node of nodes) {
+        if (!node.genreIds?.length) continue;
+        let targetX = 0;
+        let targetY = 0;
+        let count = 0;
+        for (const genreId of node.genreIds) {
+          const center = genreCenters.get(genreId);
+          if (!center) continue;
+          targetX += center.x;
+          targetY += center.y;
+          count += 1;
+        }
+        if (!count) continue;
+        targetX /= count;
+        targetY /= count;
+        node.vx += (targetX - node.x) * strength * alpha;
+        node.vy += (targetY - node.y) * strength * alpha;
+      }
+    };
+    force.initialize = (initNodes) => {
+      nodes = initNodes;
+    };
+    return force;
+  };
+
+  const addWeightedAdjacency = (adjacency, aId, bId, weight) => {
+    if (weight <= 0) return;
+    const aMap = adjacency.get(aId) ?? new Map();
+    aMap.set(bId, Math.max(aMap.get(bId) ?? 0, weight));
+    adjacency.set(aId, aMap);
+    const bMap = adjacency.get(bId) ?? new Map();
+    bMap.set(aId, Math.max(bMap.get(aId) ?? 0, weight));
+    adjacency.set(bId, bMap);
+  };
+
+  const buildTopLinks = (adjacency, maxLinksPerNode) => {
+    const linkMap = new Map();
+    for (const [id, neighbors] of adjacency) {
+      const top = Array.from(neighbors.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxLinksPerNode);
+      for (const [otherId, weight] of top) {
+        const key = id < otherId ? `${id}|${otherId}` : `${otherId}|${id}`;
+        linkMap.set(key, Math.max(linkMap.get(key) ?? 0, weight));
+      }
+    }
+
+    return Array.from(linkMap.entries()).map(([key, weight]) => {
+      const [source, target] = key.split('|');
+      return { source, target, weight };
+    });
+  };
+
+  const buildSimilarityLinks = (nodes, { maxLinksPerNode = 6 } = {}) => {
+    const featureSets = new Map();
+    const genreIndex = new Map();
+    const keywordIndex = new Map();
+
+    nodes.forEach((node) => {
+      const features = [];
+      (node.genreIds ?? []).forEach((genreId) => {
+        features.push(`g:${genreId}`);
+        const list = genreIndex.get(genreId) ?? [];
+        list.push(node);
+        genreIndex.set(genreId, list);
+      });
+      (node.keywordIds ?? []).forEach((keywordId) => {
+        features.push(`k:${keywordId}`);
+        const list = keywordIndex.get(keywordId) ?? [];
+        list.push(node);
+        keywordIndex.set(keywordId, list);
+      });
+      featureSets.set(node.id, new Set(features));
+    });
+
+    const adjacency = new Map();
+    const jaccard = (setA, setB) => {
+      if (!setA.size || !setB.size) return 0;
+      const [small, large] = setA.size < setB.size ? [setA, setB] : [setB, setA];
+      let intersection = 0;
+      for (const value of small) {
+        if (large.has(value)) intersection += 1;
+      }
+      const union = setA.size + setB.size - intersection;
+      return union ? intersection / union : 0;
+    };
+
+    for (const node of nodes) {
+      const candidates = new Set();
+      (node.genreIds ?? []).forEach((genreId) => {
+        (genreIndex.get(genreId) ?? []).forEach((candidate) => candidates.add(candidate));
+      });
+      (node.keywordIds ?? []).forEach((keywordId) => {
+        (keywordIndex.get(keywordId) ?? []).forEach((candidate) => candidates.add(candidate));
+      });
+      candidates.delete(node);
+
+      for (const other of candidates) {
+        if (node.id >= other.id) continue;
+        const score = jaccard(featureSets.get(node.id), featureSets.get(other.id));
+        addWeightedAdjacency(adjacency, node.id, other.id, score);
+      }
+    }
+
+    return buildTopLinks(adjacency, maxLinksPerNode);
+  };
+
+  const buildActorLinks = (nodes, { maxLinksPerNode = 6 } = {}) => {
+    const actorIndex = new Map();
+    nodes.forEach((node) => {
+      (node.actorIds ?? []).forEach((actorId) => {
+        const list = actorIndex.get(actorId) ?? [];
+        list.push(node);
+        actorIndex.set(actorId, list);
+      });
+    });
+
+    const pairCounts = new Map();
+    for (const list of actorIndex.values()) {
+      for (let i = 0; i < list.length; i += 1) {
+        for (let j = i + 1; j < list.length; j += 1) {
+          const aId = list[i].id;
+          const bId = list[j].id;
+          const key = aId < bId ? `${aId}|${bId}` : `${bId}|${aId}`;
+          pairCounts.set(key, (pairCounts.get(key) ?? 0) + 1);
+        }
+      }
+    }
+
+    const adjacency = new Map();
+    for (const [key, count] of pairCounts.entries()) {
+      const [aId, bId] = key.split('|');
+      const weight = Math.min(1, count / 2);
+      addWeightedAdjacency(adjacency, aId, bId, weight);
+    }
+
+    return buildTopLinks(adjacency, maxLinksPerNode);
+  };
+
+  // Louvain modularity optimisation. Nodes are visited in id order so results are stable.
+  const detectCommunities = (nodes, links, { resolution = 1 } = {}) => {
+    const nodeIds = nodes.map((node) => node.id).sort();
+    const indexById = new Map(nodeIds.map((id, index) => [id, index]));
+    let adjacency = nodeIds.map(() => new Map());
+    links.forEach((link) => {
+      const a = indexById.get(getLinkEndId(link.source));
+      const b = indexById.get(getLinkEndId(link.target));
+      const weight = link.weight ?? 1;
+      if (a === undefined || b === undefined || a === b || weight <= 0) return;
+      adjacency[a].set(b, (adjacency[a].get(b) ?? 0) + weight);
+      adjacency[b].set(a, (adjacency[b].get(a) ?? 0) + weight);
+    });
+
+    // membership maps every original node to its node in the current (aggregated) level.
+    let membership = nodeIds.map((_, index) => index);
+    for (;;) {
+      const size = adjacency.length;
+      const degrees = adjacency.map((neighbors) =>
+        Array.from(neighbors.values()).reduce((sum, weight) => sum + weight, 0),
+      );
+      const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0);
+      if (!totalWeight) break;
+
+      const community = Array.from({ length: size }, (_, index) => index);
+      const communityDegree = [...degrees];
+      let moved = false;
+      let improved = true;
+      while (improved) {
+        improved = false;
+        for (let i = 0; i < size; i += 1) {
+          const current = community[i];
+          const weightsTo = new Map();
+          adjacency[i].forEach((weight, j) => {
+            if (j === i) return;
+            weightsTo.set(community[j], (weightsTo.get(community[j]) ?? 0) + weight);
+          });
+          communityDegree[current] -= degrees[i];
+          const gain = (target) =>
+            (weightsTo.get(target) ?? 0) -
+            (resolution * communityDegree[target] * degrees[i]) / totalWeight;
+          let best = current;
+          let bestGain = gain(current);
+          weightsTo.forEach((_, target) => {
+            const targetGain = gain(target);
+            if (targetGain > bestGain + 1e-12 || (targetGain === bestGain && target < best)) {
+              best = target;
+              bestGain = targetGain;
+            }
+          });
+          communityDegree[best] += degrees[i];
+          if (best !== current) {
+            community[i] = best;
+            improved = true;
+            moved = true;
+          }
+        }
+      }
+      if (!moved) break;
+
+      const renumbered = new Map();
+      community.forEach((value) => {
+        if (!renumbered.has(value)) renumbered.set(value, renumbered.size);
+      });
+      const aggregated = Array.from({ length: renumbered.size }, () => new Map());
+      adjacency.forEach((neighbors, i) => {
+        const from = renumbered.get(community[i]);
+        neighbors.forEach((weight, j) => {
+          const to = renumbered.get(community[j]);
+          aggregated[from].set(to, (aggregated[from].get(to) ?? 0) + weight);
+        });
+      });
+      membership = membership.map((index) => renumbered.get(community[index]));
+      adjacency = aggregated;
+    }
+
+    const groups = new Map();
+    membership.forEach((group, index) => {
+      const list = groups.get(group) ?? [];
+      list.push(nodeIds[index]);
+      groups.set(group, list);
+    });
+    const communities = Array.from(groups.values())
+      .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1))
+      .map((members, index) => ({ id: index, nodeIds: members }));
+    const communityByNode = new Map();
+    communities.forEach((entry) => {
+      entry.nodeIds.forEach((nodeId) => communityByNode.set(nodeId, entry.id));
+    });
+    return { communities, communityByNode };
+  };
+
+  // Names each community after the genres and keywords that are most over-represented in it.
+  const labelCommunities = (data, communities, { maxTerms = 3 } = {}) => {
+    const moviesById = new Map(data.movies.map((movie) => [`movie-${movie.id}`, movie]));
+    const getTerms = (movie) => [
+      ...(movie.keywords ?? []).map((keyword) => ({ key: `k:${keyword.id}`, name: keyword.name })),
+      ...(movie.genres ?? []).map((genre) => ({ key: `g:${genre.id}`, name: genre.name })),
+    ];
+    const overallCounts = new Map();
+    moviesById.forEach((movie) => {
+      getTerms(movie).forEach((term) => {
+        overallCounts.set(term.key, (overallCounts.get(term.key) ?? 0) + 1);
+      });
+    });
+    const totalMovies = moviesById.size;
+
+    return communities.map((community) => {
+      const counts = new Map();
+      community.nodeIds.forEach((nodeId) => {
+        const movie = moviesById.get(nodeId);
+        if (!movie) return;
+        getTerms(movie).forEach((term) => {
+          const entry = counts.get(term.key) ?? { name: term.name, count: 0 };
+          entry.count += 1;
+          counts.set(term.key, entry);
+        });
+      });
+      const minCount = community.nodeIds.length > 2 ? 2 : 1;
+      const terms = Array.from(counts.entries())
+        .filter(([, entry]) => entry.count >= minCount)
+        .map(([key, entry]) => ({
+          name: entry.name,
+          score:
+            (entry.count / community.nodeIds.length) *
+            Math.log(1 + totalMovies / overallCounts.get(key)),
+        }))
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, maxTerms);
+      return {
+        ...community,
+        terms,
+        label: terms.map((term) => term.name).join(' · '),
+      };
+    });
+  };
+
+  const PATH_EDGE_TYPES = [
+    'cast',
+    'crew',
+    'keyword',
+    'similarity',
+    'collection',
+    'genre',
+    'company',
+    'country',
+    'language',
+  ];
+  const DEFAULT_PATH_EDGE_TYPES = ['cast', 'crew', 'keyword', 'similarity', 'collection'];
+
+  // Costs are in half steps: movie → person → movie costs as much as one similarity edge.
+  const PATH_EDGE_COST = { similarity: 2 };
+  const DEFAULT_PATH_EDGE_COST = 1;
+
+  const buildPathGraph = (
+    data,
+    { edgeTypes = DEFAULT_PATH_EDGE_TYPES, maxLinksPerNode = 6 } = {},
+  ) => {
+    const allowedTypes = new Set(edgeTypes);
+    const { nodes, links } = createGraph(data);
+    const nodesById = new Map(nodes.map((node) => [node.id, node]));
+    const adjacency = new Map();
+    const addEdge = (source, target, edge) => {
+      const cost = PATH_EDGE_COST[edge.type] ?? DEFAULT_PATH_EDGE_COST;
+      [
+        [source, target],
+        [target, source],
+      ].forEach(([from, to]) => {
+        const list = adjacency.get(from) ?? [];
+        list.push({ ...edge, source: from, target: to, cost });
+        adjacency.set(from, list);
+      });
+    };
+
+    links
+      .filter((link) => allowedTypes.has(link.type))
+      .forEach((link) => addEdge(link.source, link.target, { type: link.type }));
+
+    if (allowedTypes.has('crew')) {
+      data.movies.forEach((movie) => {
+        (movie.crew ?? []).forEach((person) => {
+          const personId = `person-${person.id}`;
+          if (!nodesById.has(personId)) {
+            nodesById.set(personId, { id: personId, label: person.name, type: 'person' });
+          }
+          addEdge(`movie-${movie.id}`, personId, { type: 'crew', job: person.job });
+        });
+      });
+    }
+
+    if (allowedTypes.has('similarity')) {
+      buildSimilarityLinks(createMovieGraph(data).nodes, { maxLinksPerNode }).forEach((link) =>
+        addEdge(link.source, link.target, { type: 'similarity', weight: link.weight }),
+      );
+    }
+
+    return { nodesById, adjacency };
+  };
+
+  const toPairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+  // Dijkstra with a bucket queue; edge costs are small integers.
+  const findCheapestPath = (
+    adjacency,
+    sourceId,
+    targetId,
+    { blockedNodes = new Set(), blockedPairs = new Set() } = {},
+  ) => {
+    if (!adjacency.has(sourceId) || !adjacency.has(targetId)) return null;
+    const distances = new Map([[sourceId, 0]]);
+    const previousEdges = new Map();
+    const buckets = [[sourceId]];
+    for (let distance = 0; distance < buckets.length; distance += 1) {
+      for (const nodeId of buckets[distance] ?? []) {
+        if (distances.get(nodeId) !== distance) continue;
+        if (nodeId === targetId) {
+          const edges = [];
+          for (let current = targetId; current !== sourceId; current = edges[0].source) {
+            edges.unshift(previousEdges.get(current));
+          }
+          return { nodes: [sourceId, ...edges.map((edge) => edge.target)], edges, cost: distance };
+        }
+        for (const edge of adjacency.get(nodeId) ?? []) {
+          if (blockedNodes.has(edge.target) || blockedPairs.has(toPairKey(nodeId, edge.target))) {
+            continue;
+          }
+          const nextDistance = distance + edge.cost;
+          if (nextDistance < (distances.get(edge.target) ?? Infinity)) {
+            distances.set(edge.target, nextDistance);
+            previousEdges.set(edge.target, edge);
+            (buckets[nextDistance] = buckets[nextDistance] ?? []).push(edge.target);
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  // Yen's algorithm: the k cheapest loop-free paths, ties broken by fewer hops.
+  const findShortestPaths = (pathGraph, sourceId, targetId, { k = 3 } = {}) => {
+    const { adjacency } = pathGraph;
+    if (sourceId === targetId) return [];
+    const first = findCheapestPath(adjacency, sourceId, targetId);
+    if (!first) return [];
+
+    const paths = [first];
+    const candidates = [];
+    const seen = new Set([first.nodes.join('>')]);
+    while (paths.length < k) {
+      const previous = paths[paths.length - 1];
+      for (let i = 0; i < previous.nodes.length - 1; i += 1) {
+        const spurId = previous.nodes[i];
+        const rootNodes = previous.nodes.slice(0, i + 1);
+        const rootEdges = previous.edges.slice(0, i);
+        const blockedPairs = new Set(
+          paths
+            .filter((path) => path.nodes.slice(0, i + 1).join('>') === rootNodes.join('>'))
+            .map((path) => toPairKey(path.nodes[i], path.nodes[i + 1])),
+        );
+        const spur = findCheapestPath(adjacency, spurId, targetId, {
+          blockedNodes: new Set(rootNodes.slice(0, -1)),
+          blockedPairs,
+        });
+        if (!spur) continue;
+        const path = {
+          nodes: [...rootNodes, ...spur.nodes.slice(1)],
+          edges: [...rootEdges, ...spur.edges],
+          cost: rootEdges.reduce((sum, edge) => sum + edge.cost, 0) + spur.cost,
+        };
+        const key = path.nodes.join('>');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        candidates.push(path);
+      }
+      if (!candidates.length) break;
+      candidates.sort((a, b) => a.cost - b.cost || a.nodes.length - b.nodes.length);
+      paths.push(candidates.shift());
+    }
+    return paths;
+  };
+
+  return {
+    PATH_EDGE_TYPES,
+    DEFAULT_PATH_EDGE_TYPES,
+    createGraph,
+    computeDegrees,
+    getNeighbors,
+    filterGraphByType,
+    createMovieGraph,
+    buildGenreCenters,
+    forceGenreAttraction,
+    addWeightedAdjacency,
+    buildTopLinks,
+    buildSimilarityLinks,
+    buildActorLinks,
+    detectCommunities,
+    labelCommunities,
+    buildPathGraph,
+    findShortestPaths,
+  };
+});
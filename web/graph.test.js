@@ -0,0 +1,359 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createGraph,
+  computeDegrees,
+  getNeighbors,
+  filterGraphByType,
+  createMovieGraph,
+  buildGenreCenters,
+  forceGenreAttraction,
+  addWeightedAdjacency,
+  buildTopLinks,
+  buildSimilarityLinks,
+  buildActorLinks,
+  detectCommunities,
+  labelCommunities,
+  buildPathGraph,
+  findShortestPaths,
+} = require('./graph');
+const sample = require('../data/movies.sample.json');
+
+const linkKey = (link) => `${link.source}|${link.target}`;
+
+test('createGraph shares entity nodes and deduplicates movies and links', () => {
+  const duplicate = { ...sample.movies[2] };
+  const graph = createGraph({ movies: [...sample.movies, duplicate] });
+
+  const movieNodes = graph.nodes.filter((node) => node.type === 'movie');
+  assert.equal(movieNodes.length, 3);
+  assert.equal(graph.nodes.filter((node) => node.id === 'genre-28').length, 1);
+  assert.equal(graph.links.filter((link) => link.target === 'genre-28').length, 3);
+  assert.equal(new Set(graph.links.map((link) => `${linkKey(link)}|${link.type}`)).size, graph.links.length);
+  assert.ok(graph.nodes.some((node) => node.id === 'company-174' && node.type === 'company'));
+  assert.ok(graph.nodes.some((node) => node.id === 'collection-2344' && node.type === 'collection'));
+});
+
+test('createGraph tolerates movies without genres or cast', () => {
+  const graph = createGraph({ movies: [{ id: 1, title: 'Bare' }] });
+  assert.deepEqual(graph.nodes.map((node) => node.id), ['movie-1']);
+  assert.deepEqual(graph.links, []);
+});
+
+test('computeDegrees counts links per node for raw and simulated links', () => {
+  const graph = {
+    nodes: [{ id: 'movie-1' }, { id: 'movie-2' }, { id: 'genre-1' }, { id: 'genre-2' }],
+    links: [
+      { source: 'movie-1', target: 'genre-1' },
+      { source: { id: 'movie-2' }, target: { id: 'genre-1' } },
+    ],
+  };
+
+  assert.deepEqual(Object.fromEntries(computeDegrees(graph)), {
+    'movie-1': 1,
+    'movie-2': 1,
+    'genre-1': 2,
+    'genre-2': 0,
+  });
+});
+
+test('getNeighbors lists the strongest neighbours of a node from either link end', () => {
+  const links = [
+    { source: 'a', target: 'b', weight: 0.2 },
+    { source: { id: 'c' }, target: { id: 'a' }, weight: 0.9 },
+    { source: 'a', target: 'd', weight: 0.5 },
+    { source: 'b', target: 'c', weight: 1 },
+  ];
+
+  assert.deepEqual(getNeighbors(links, 'a'), [
+    { id: 'c', weight: 0.9 },
+    { id: 'd', weight: 0.5 },
+    { id: 'b', weight: 0.2 },
+  ]);
+  assert.deepEqual(getNeighbors(links, 'a', 1), [{ id: 'c', weight: 0.9 }]);
+  assert.deepEqual(getNeighbors(links, 'x'), []);
+});
+
+test('filterGraphByType drops hidden types together with their links', () => {
+  const graph = createGraph(sample);
+
+  const withoutPeople = filterGraphByType(graph, ['movie', 'genre']);
+  assert.ok(withoutPeople.nodes.every((node) => ['movie', 'genre'].includes(node.type)));
+  assert.ok(withoutPeople.links.length > 0);
+  assert.ok(withoutPeople.links.every((link) => link.type === 'genre'));
+
+  const genresOnly = filterGraphByType(graph, ['genre']);
+  assert.ok(genresOnly.nodes.length > 0);
+  assert.deepEqual(genresOnly.links, []);
+});
+
+test('createMovieGraph deduplicates movies and actors and ignores empty release dates', () => {
+  const { nodes } = createMovieGraph({
+    movies: [
+      { id: 1, title: 'A', release_date: '', cast: [{ id: 5 }, { id: 5 }] },
+      { id: 1, title: 'A again', release_date: '2001-01-01' },
+      { id: 2, title: 'B', release_date: '1999-05-01' },
+    ],
+  });
+
+  assert.deepEqual(nodes.map((node) => node.id), ['movie-1', 'movie-2']);
+  assert.equal(nodes[0].year, null);
+  assert.deepEqual(nodes[0].actorIds, [5]);
+  assert.equal(nodes[1].year, 1999);
+});
+
+test('addWeightedAdjacency stores symmetric maximum weights and skips non-positive ones', () => {
+  const adjacency = new Map();
+  addWeightedAdjacency(adjacency, 'a', 'b', 0.2);
+  addWeightedAdjacency(adjacency, 'b', 'a', 0.7);
+  addWeightedAdjacency(adjacency, 'a', 'b', 0.4);
+  addWeightedAdjacency(adjacency, 'a', 'c', 0);
+
+  assert.equal(adjacency.get('a').get('b'), 0.7);
+  assert.equal(adjacency.get('b').get('a'), 0.7);
+  assert.equal(adjacency.has('c'), false);
+});
+
+test('buildTopLinks keeps each node\'s strongest links once', () => {
+  const adjacency = new Map();
+  addWeightedAdjacency(adjacency, 'a', 'b', 0.9);
+  addWeightedAdjacency(adjacency, 'a', 'c', 0.5);
+  addWeightedAdjacency(adjacency, 'a', 'd', 0.1);
+  addWeightedAdjacency(adjacency, 'b', 'c', 0.3);
+  addWeightedAdjacency(adjacency, 'b', 'e', 0.2);
+
+  const links = buildTopLinks(adjacency, 1);
+
+  // a keeps b; c keeps a; d keeps a; e keeps b. b's strongest (a) is already present.
+  assert.deepEqual(links.map(linkKey).sort(), ['a|b', 'a|c', 'a|d', 'b|e']);
+  assert.equal(links.find((link) => linkKey(link) === 'a|d').weight, 0.1);
+});
+
+test('buildSimilarityLinks weights pairs by Jaccard similarity of genres and keywords', () => {
+  const nodes = [
+    { id: 'movie-1', genreIds: [1, 2], keywordIds: [10] },
+    { id: 'movie-2', genreIds: [1, 2], keywordIds: [10] },
+    { id: 'movie-3', genreIds: [1], keywordIds: [] },
+    { id: 'movie-4', genreIds: [], keywordIds: [] },
+  ];
+
+  const links = buildSimilarityLinks(nodes, { maxLinksPerNode: 6 });
+  const weights = Object.fromEntries(links.map((link) => [linkKey(link), link.weight]));
+
+  assert.deepEqual(weights, {
+    'movie-1|movie-2': 1,
+    'movie-1|movie-3': 1 / 3,
+    'movie-2|movie-3': 1 / 3,
+  });
+});
+
+test('buildSimilarityLinks prunes to the top-k neighbours per node', () => {
+  const nodes = Array.from({ length: 10 }, (_, index) => ({
+    id: `movie-${index}`,
+    genreIds: [1],
+    keywordIds: index < 2 ? [99] : [],
+  }));
+
+  const links = buildSimilarityLinks(nodes, { maxLinksPerNode: 1 });
+  const degree = new Map();
+  links.forEach((link) => {
+    degree.set(link.source, (degree.get(link.source) ?? 0) + 1);
+    degree.set(link.target, (degree.get(link.target) ?? 0) + 1);
+  });
+
+  assert.ok(links.some((link) => linkKey(link) === 'movie-0|movie-1' && link.weight === 1));
+  assert.ok(links.length < (nodes.length * (nodes.length - 1)) / 2);
+  assert.ok(links.every((link) => link.source < link.target));
+});
+
+test('buildActorLinks weights pairs by shared actors and caps at one', () => {
+  const nodes = [
+    { id: 'movie-1', actorIds: [1, 2, 3] },
+    { id: 'movie-2', actorIds: [1] },
+    { id: 'movie-3', actorIds: [1, 2, 3] },
+    { id: 'movie-4', actorIds: [4] },
+  ];
+
+  const weights = Object.fromEntries(
+    buildActorLinks(nodes).map((link) => [linkKey(link), link.weight]),
+  );
+
+  assert.deepEqual(weights, {
+    'movie-1|movie-2': 0.5,
+    'movie-1|movie-3': 1,
+    'movie-2|movie-3': 0.5,
+  });
+});
+
+test('forceGenreAttraction pulls nodes towards the mean of their genre centers', () => {
+  const nodes = [
+    { id: 'movie-1', genreIds: [1, 2], x: 0, y: 0, vx: 0, vy: 0 },
+    { id: 'movie-2', genreIds: [], x: 0, y: 0, vx: 0, vy: 0 },
+  ];
+  const centers = buildGenreCenters(nodes, 100, 100, 50);
+  assert.deepEqual([...centers.keys()], [1, 2]);
+
+  const force = forceGenreAttraction(centers, 0.5);
+  force.initialize(nodes);
+  force(1);
+
+  assert.ok(Math.abs(nodes[0].vx - 50) < 1e-9);
+  assert.ok(Math.abs(nodes[0].vy - 50) < 1e-9);
+  assert.deepEqual([nodes[1].vx, nodes[1].vy], [0, 0]);
+});
+
+const pathMovies = {
+  movies: [
+    {
+      id: 1,
+      title: 'A',
+      genres: [{ id: 18, name: 'Drama' }],
+      cast: [{ id: 10, name: 'Ann' }],
+      crew: [],
+    },
+    {
+      id: 2,
+      title: 'B',
+      genres: [{ id: 18, name: 'Drama' }],
+      cast: [
+        { id: 10, name: 'Ann' },
+        { id: 11, name: 'Bob' },
+      ],
+      crew: [{ id: 20, name: 'Dee', job: 'Director' }],
+    },
+    {
+      id: 3,
+      title: 'C',
+      genres: [{ id: 18, name: 'Drama' }],
+      cast: [{ id: 11, name: 'Bob' }],
+      crew: [{ id: 20, name: 'Dee', job: 'Director' }],
+    },
+    {
+      id: 4,
+      title: 'D',
+      genres: [{ id: 18, name: 'Drama' }],
+      cast: [{ id: 11, name: 'Bob' }],
+      crew: [],
+    },
+  ],
+};
+
+const describePath = (path) => `${path.cost}:${path.nodes.join('>')}`;
+
+test('findShortestPaths follows shared cast and crew through people', () => {
+  const pathGraph = buildPathGraph(pathMovies, { edgeTypes: ['cast', 'crew'] });
+  const paths = findShortestPaths(pathGraph, 'movie-1', 'movie-3', { k: 3 });
+
+  // Only two loop-free paths exist: every route has to pass Ann and movie B.
+  assert.deepEqual(paths.map(describePath), [
+    '4:movie-1>person-10>movie-2>person-11>movie-3',
+    '4:movie-1>person-10>movie-2>person-20>movie-3',
+  ]);
+  assert.equal(pathGraph.nodesById.get('person-20').label, 'Dee');
+  assert.deepEqual(
+    paths[1].edges.map((edge) => [edge.type, edge.job ?? null]),
+    [
+      ['cast', null],
+      ['cast', null],
+      ['crew', 'Director'],
+      ['crew', 'Director'],
+    ],
+  );
+});
+
+test('findShortestPaths only uses the selected edge types', () => {
+  const castOnly = buildPathGraph(pathMovies, { edgeTypes: ['cast'] });
+  assert.deepEqual(findShortestPaths(castOnly, 'movie-1', 'movie-4').map(describePath), [
+    '4:movie-1>person-10>movie-2>person-11>movie-4',
+  ]);
+
+  const withGenres = buildPathGraph(pathMovies, { edgeTypes: ['genre'] });
+  assert.deepEqual(
+    findShortestPaths(withGenres, 'movie-1', 'movie-4', { k: 1 }).map(describePath),
+    ['2:movie-1>genre-18>movie-4'],
+  );
+
+  const crewOnly = buildPathGraph(pathMovies, { edgeTypes: ['crew'] });
+  assert.deepEqual(findShortestPaths(crewOnly, 'movie-1', 'movie-3'), []);
+  assert.deepEqual(findShortestPaths(castOnly, 'movie-1', 'movie-1'), []);
+});
+
+test('findShortestPaths counts a similarity edge like one shared person', () => {
+  const pathGraph = buildPathGraph(
+    {
+      movies: [1, 2].map((id) => ({
+        id,
+        title: `Movie ${id}`,
+        genres: [{ id: 1, name: 'X' }],
+        cast: [{ id: 7, name: 'P' }],
+        crew: [],
+      })),
+    },
+    { edgeTypes: ['cast', 'similarity'] },
+  );
+  const paths = findShortestPaths(pathGraph, 'movie-1', 'movie-2', { k: 5 });
+
+  assert.deepEqual(paths.map(describePath), ['2:movie-1>movie-2', '2:movie-1>person-7>movie-2']);
+  assert.equal(paths[0].edges[0].type, 'similarity');
+  assert.equal(paths[0].edges[0].weight, 1);
+});
+
+test('detectCommunities separates densely linked groups joined by a weak edge', () => {
+  const nodes = ['a1', 'a2', 'a3', 'b1', 'b2', 'b3', 'lonely'].map((id) => ({ id }));
+  const clique = (ids) =>
+    ids.flatMap((source, index) =>
+      ids.slice(index + 1).map((target) => ({ source, target, weight: 1 })),
+    );
+  const links = [
+    ...clique(['a1', 'a2', 'a3']),
+    ...clique(['b1', 'b2', 'b3']),
+    { source: { id: 'a3' }, target: { id: 'b1' }, weight: 0.1 },
+  ];
+
+  const { communities, communityByNode } = detectCommunities(nodes, links);
+
+  assert.deepEqual(
+    communities.map((community) => community.nodeIds),
+    [['a1', 'a2', 'a3'], ['b1', 'b2', 'b3'], ['lonely']],
+  );
+  assert.equal(communityByNode.get('b2'), 1);
+  assert.deepEqual(
+    detectCommunities([...nodes].reverse(), [...links].reverse()).communities,
+    communities,
+  );
+});
+
+test('labelCommunities names communities after over-represented keywords and genres', () => {
+  const movie = (id, genre, keyword) => ({
+    id,
+    title: `Movie ${id}`,
+    genres: [{ id: genre === 'Drama' ? 18 : 27, name: genre }],
+    keywords: keyword ? [{ id: keyword.length, name: keyword }] : [],
+    cast: [],
+    crew: [],
+  });
+  const data = {
+    movies: [
+      movie(1, 'Horror', 'zombie'),
+      movie(2, 'Horror', 'zombie'),
+      movie(3, 'Horror', 'zombie'),
+      movie(4, 'Drama'),
+      movie(5, 'Drama'),
+      movie(6, 'Drama', 'zombie'),
+    ],
+  };
+
+  const [horror, drama] = labelCommunities(
+    data,
+    [
+      { id: 0, nodeIds: ['movie-1', 'movie-2', 'movie-3'] },
+      { id: 1, nodeIds: ['movie-4', 'movie-5', 'movie-6'] },
+    ],
+    { maxTerms: 2 },
+  );
+
+  assert.equal(horror.label, 'Horror · zombie');
+  assert.equal(drama.label, 'Drama');
+  assert.deepEqual(horror.nodeIds, ['movie-1', 'movie-2', 'movie-3']);
+});
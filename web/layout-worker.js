@@ -0,0 +1,8 @@
+importScripts('https://d3js.org/d3.v7.min.js', 'graph.js', 'layout.js');
+
+const runner = MovieNebulaLayout.createLayoutRunner({
+  d3,
+  post: (message, transfer) => self.postMessage(message, transfer),
+});
+
+self.onmessage = (event) => runner.handle(event.data);
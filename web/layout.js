@@ -0,0 +1,496 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./graph'));
+  } else {
+    root.MovieNebulaLayout = factory(root.MovieNebulaGraph);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (graphModule) => {
+  const {
+    createMovieGraph,
+    buildGenreCenters,
+    forceGenreAttraction,
+    buildSimilarityLinks,
+    buildActorLinks,
+    detectCommunities,
+    labelCommunities,
+  } = graphModule;
+
+  const MAX_LINKS_PER_NODE = 6;
+  const FRAME_MS = 16;
+  const MAX_TICKS_PER_FRAME = 3;
+  const DEFAULT_ALPHA = 0.6;
+  const RESTORED_ALPHA = 0.2;
+  // Matches the default link strength slider in the page.
+  const DEFAULT_LINK_STRENGTH = 0.12;
+  const LAYOUT_MODES = ['similarity', 'actor', 'year', 'cluster'];
+  const LAYOUT_FILE_FORMAT = 'movienebula-layout';
+  const LAYOUT_FILE_VERSION = 1;
+
+  const getLinkEndId = (end) => (typeof end === 'object' ? end.id : end);
+
+  // Link ends become node objects once d3.forceLink has seen them; messages only carry ids.
+  const toLinkIds = (links) =>
+    links.map((link) => ({
+      source: getLinkEndId(link.source),
+      target: getLinkEndId(link.target),
+      weight: link.weight,
+    }));
+
+  // Links between the same two movies from several lists add up to one link.
+  const mergeLinks = (...linkLists) => {
+    const mergedById = new Map();
+    linkLists.flat().forEach((link) => {
+      const sourceId = getLinkEndId(link.source);
+      const targetId = getLinkEndId(link.target);
+      const key = sourceId < targetId ? `${sourceId}|${targetId}` : `${targetId}|${sourceId}`;
+      const merged = mergedById.get(key) ?? { source: sourceId, target: targetId, weight: 0 };
+      merged.weight += link.weight ?? 1;
+      mergedById.set(key, merged);
+    });
+    return Array.from(mergedById.values());
+  };
+
+  const buildClusterCenters = (communities, centerX, centerY, radius) =>
+    new Map(
+      communities.map((community, index) => {
+        const angle = (index / communities.length) * Math.PI * 2;
+        return [
+          community.id,
+          { x: centerX + Math.cos(angle) * radius, y: centerY + Math.sin(angle) * radius },
+        ];
+      }),
+    );
+
+  // Alpha cools exponentially, so progress is measured on a log scale between start and min.
+  const getLayoutProgress = (alpha, { alphaStart = 1, alphaMin = 0.001 } = {}) => {
+    if (alpha >= alphaStart) return 0;
+    if (alpha <= alphaMin) return 1;
+    return Math.log(alpha / alphaStart) / Math.log(alphaMin / alphaStart);
+  };
+
+  const getGenreCenters = (nodes, view) =>
+    buildGenreCenters(nodes, view.centerX, view.centerY, Math.min(view.width, view.height) * 0.18);
+
+  const buildLayoutCluster = ({ movies, nodes, similarity, actor, view }) => {
+    const links = mergeLinks(similarity, actor);
+    const { communities, communityByNode } = detectCommunities(nodes, links);
+    return {
+      links,
+      communities: labelCommunities({ movies }, communities),
+      communityByNode,
+      centers: buildClusterCenters(
+        communities,
+        view.centerX,
+        view.centerY,
+        Math.min(view.width, view.height) * 0.22,
+      ),
+    };
+  };
+
+  // Only the d3-force API is used here, so the Node CLI can run the same layout headlessly.
+  const createLayoutSimulation = (d3, nodes, view) =>
+    d3
+      .forceSimulation(nodes)
+      .stop()
+      .velocityDecay(0.45)
+      .alphaDecay(0.06)
+      .force('charge', d3.forceManyBody().strength(-22).distanceMin(8).distanceMax(240))
+      .force('center', d3.forceCenter(view.centerX, view.centerY))
+      .force('x', d3.forceX(view.centerX).strength(0.22))
+      .force('y', d3.forceY(view.centerY).strength(0.22))
+      .force(
+        'collide',
+        d3
+          .forceCollide()
+          .radius((d) => (d.type === 'movie' ? 12 : 8))
+          .strength(0.7)
+          .iterations(1),
+      );
+
+  const applyModeForces = (
+    d3,
+    simulation,
+    { mode, linkStrength, view, nodes, genreCenters, similarity, actor, cluster },
+  ) => {
+    simulation.force('year', null);
+    simulation.force('mode', null);
+    simulation.force('clusterX', null);
+    simulation.force('clusterY', null);
+    simulation.force('genre', null);
+
+    if (mode === 'cluster') {
+      const { links, communityByNode, centers } = cluster;
+      const getCenter = (d) => centers.get(communityByNode.get(d.id));
+      simulation.force('clusterX', d3.forceX((d) => getCenter(d)?.x ?? view.centerX).strength(0.15));
+      simulation.force('clusterY', d3.forceY((d) => getCenter(d)?.y ?? view.centerY).strength(0.15));
+      simulation.force(
+        'mode',
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance(26)
+          .strength((link) => linkStrength * (0.3 + 0.3 * Math.min(link.weight, 2))),
+      );
+      return;
+    }
+
+    simulation.force('genre', forceGenreAttraction(genreCenters, 0.12));
+    if (mode === 'year') {
+      const years = nodes.map((node) => node.year).filter((value) => Number.isFinite(value));
+      const minYear = years.length ? Math.min(...years) : 2000;
+      const maxYear = years.length ? Math.max(...years) : 2025;
+      const yearSpan = Math.min(view.width, view.height) * 0.2;
+      const getYearX = (year) =>
+        maxYear === minYear
+          ? view.centerX
+          : view.centerX - yearSpan + ((year - minYear) / (maxYear - minYear)) * yearSpan * 2;
+      simulation.force(
+        'year',
+        d3
+          .forceX((d) => (Number.isFinite(d.year) ? getYearX(d.year) : view.centerX))
+          .strength(0.12),
+      );
+      return;
+    }
+    simulation.force(
+      'mode',
+      d3
+        .forceLink(mode === 'actor' ? actor : similarity)
+        .id((d) => d.id)
+        .distance(mode === 'actor' ? 24 : 28)
+        .strength((link) => linkStrength * (0.4 + 0.6 * (link.weight ?? 1))),
+    );
+  };
+
+  // Runs a layout to the end in one go; movies without a position start on d3's phyllotaxis.
+  const computeLayout = (
+    d3,
+    data,
+    { mode = 'similarity', linkStrength = DEFAULT_LINK_STRENGTH, width = 1200, height = 800 } = {},
+  ) => {
+    const view = { centerX: width / 2, centerY: height / 2, width, height };
+    const { nodes } = createMovieGraph(data);
+    const similarity = buildSimilarityLinks(nodes, { maxLinksPerNode: MAX_LINKS_PER_NODE });
+    const actor = buildActorLinks(nodes, { maxLinksPerNode: MAX_LINKS_PER_NODE });
+    const cluster =
+      mode === 'cluster'
+        ? buildLayoutCluster({ movies: data.movies, nodes, similarity, actor, view })
+        : null;
+    const simulation = createLayoutSimulation(d3, nodes, view);
+    applyModeForces(d3, simulation, {
+      mode,
+      linkStrength,
+      view,
+      nodes,
+      genreCenters: getGenreCenters(nodes, view),
+      similarity,
+      actor,
+      cluster,
+    });
+    simulation.alpha(DEFAULT_ALPHA);
+    while (simulation.alpha() >= simulation.alphaMin()) {
+      simulation.tick();
+    }
+    return nodes;
+  };
+
+  // A layout file belongs to one dataset, identified by its movie count and an FNV-1a hash of
+  // the sorted movie ids.
+  const getDatasetKey = (movies) => {
+    const ids = movies
+      .map((movie) => String(movie.id))
+      .sort()
+      .join(',');
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < ids.length; index += 1) {
+      hash = Math.imul(hash ^ ids.charCodeAt(index), 0x01000193) >>> 0;
+    }
+    return `${movies.length}-${hash.toString(16).padStart(8, '0')}`;
+  };
+
+  const createLayoutFile = (movies) => ({
+    format: LAYOUT_FILE_FORMAT,
+    version: LAYOUT_FILE_VERSION,
+    dataset: getDatasetKey(movies),
+    layouts: {},
+  });
+
+  const roundCoordinate = (value) => Math.round(value * 10) / 10;
+
+  // Positions saved earlier stay for movies that are not part of `nodes`, e.g. filtered out.
+  const storeLayout = (file, mode, nodes) => {
+    const positions = { ...file.layouts[mode] };
+    nodes.forEach((node) => {
+      if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) return;
+      const position = { x: roundCoordinate(node.x), y: roundCoordinate(node.y) };
+      if (Number.isFinite(node.fx) && Number.isFinite(node.fy)) {
+        position.fx = roundCoordinate(node.fx);
+        position.fy = roundCoordinate(node.fy);
+      }
+      positions[node.id] = position;
+    });
+    return { ...file, layouts: { ...file.layouts, [mode]: positions } };
+  };
+
+  const getStoredPositions = (file, mode, nodeIds) => {
+    const positions = file?.layouts[mode];
+    if (!positions) return [];
+    return nodeIds
+      .filter((id) => positions[id])
+      .map((id) => {
+        const { x, y, fx = null, fy = null } = positions[id];
+        return { id, x, y, fx, fy };
+      });
+  };
+
+  const parseLayoutFile = (file, movies) => {
+    if (file?.format !== LAYOUT_FILE_FORMAT) {
+      throw new Error('Not a MovieNebula layout file.');
+    }
+    if (file.version !== LAYOUT_FILE_VERSION) {
+      throw new Error(`Unsupported layout file version ${file.version}.`);
+    }
+    const datasetKey = getDatasetKey(movies);
+    if (file.dataset !== datasetKey) {
+      throw new Error(`Layout belongs to dataset ${file.dataset}, not ${datasetKey}.`);
+    }
+    const unknownModes = Object.keys(file.layouts ?? {}).filter(
+      (mode) => !LAYOUT_MODES.includes(mode),
+    );
+    if (unknownModes.length) {
+      throw new Error(`Unknown layout mode(s): ${unknownModes.join(', ')}.`);
+    }
+    return { ...file, layouts: file.layouts ?? {} };
+  };
+
+  // Owns the movie layout: builds links and communities, runs the force simulation in short
+  // frames and posts positions as a Float64Array of x/y pairs in the order of `start.positions`.
+  // Every `start` supersedes the previous run, so stale frames and link phases are dropped.
+  const createLayoutRunner = ({
+    d3,
+    post,
+    now = () => Date.now(),
+    schedule = (callback, delay) => setTimeout(callback, delay),
+  }) => {
+    let dataVersion = null;
+    let movies = [];
+    let nodes = [];
+    let nodesById = new Map();
+    let cache = {};
+    let genreCenters = new Map();
+    let genreView = null;
+    let simulation = null;
+    let runId = null;
+    let configuredRunId = null;
+    let running = false;
+    let alphaStart = 1;
+
+    // Existing movies keep their velocity; positions always come from the main thread.
+    const setData = (message) => {
+      dataVersion = message.dataVersion;
+      movies = message.movies;
+      cache = {};
+      const graphNodesById = new Map(
+        createMovieGraph({ movies }).nodes.map((node) => [node.id, node]),
+      );
+      nodes = message.positions
+        .filter((position) => graphNodesById.has(position.id))
+        .map((position) => {
+          const previous = nodesById.get(position.id);
+          return Object.assign(graphNodesById.get(position.id), position, {
+            vx: previous?.vx ?? 0,
+            vy: previous?.vy ?? 0,
+          });
+        });
+      nodesById = new Map(nodes.map((node) => [node.id, node]));
+      // Genre centres stay put across filter changes unless new genres or a new size show up.
+      const { view } = message;
+      const viewKey = `${view.width}x${view.height}`;
+      if (
+        viewKey !== genreView ||
+        nodes.some((node) => node.genreIds.some((genreId) => !genreCenters.has(genreId)))
+      ) {
+        genreView = viewKey;
+        genreCenters = getGenreCenters(nodes, view);
+      }
+      simulation?.stop();
+      simulation = createLayoutSimulation(d3, nodes, view);
+    };
+
+    const getCluster = (view) => {
+      if (!cache.cluster) {
+        cache.cluster = buildLayoutCluster({
+          movies,
+          nodes,
+          similarity: cache.similarity,
+          actor: cache.actor,
+          view,
+        });
+      }
+      return cache.cluster;
+    };
+
+    const applyMode = ({ mode, linkStrength, view }) => {
+      applyModeForces(d3, simulation, {
+        mode,
+        linkStrength,
+        view,
+        nodes,
+        genreCenters,
+        similarity: cache.similarity,
+        actor: cache.actor,
+        cluster: mode === 'cluster' ? getCluster(view) : null,
+      });
+    };
+
+    // Restored positions replace the current ones; the nodes start from rest.
+    const restorePositions = (positions) => {
+      let restored = 0;
+      positions.forEach(({ id, x, y, fx, fy }) => {
+        const node = nodesById.get(id);
+        if (!node) return;
+        Object.assign(node, { x, y, fx, fy, vx: 0, vy: 0 });
+        restored += 1;
+      });
+      return restored;
+    };
+    const postPositions = () => {
+      const positions = new Float64Array(nodes.length * 2);
+      nodes.forEach((node, index) => {
+        positions[index * 2] = node.x;
+        positions[index * 2 + 1] = node.y;
+      });
+      post({ type: 'tick', runId, positions }, [positions.buffer]);
+    };
+
+    const frame = (currentRunId) => {
+      if (currentRunId !== runId || !running) return;
+      const startedAt = now();
+      let ticks = 0;
+      do {
+        simulation.tick();
+        ticks += 1;
+      } while (
+        ticks < MAX_TICKS_PER_FRAME &&
+        now() - startedAt < FRAME_MS &&
+        simulation.alpha() >= simulation.alphaMin()
+      );
+      postPositions();
+      post({
+        type: 'progress',
+        runId,
+        phase: 'layout',
+        progress: getLayoutProgress(simulation.alpha(), {
+          alphaStart,
+          alphaMin: simulation.alphaMin(),
+        }),
+      });
+      if (simulation.alpha() < simulation.alphaMin()) {
+        running = false;
+        post({ type: 'end', runId });
+        return;
+      }
+      schedule(() => frame(currentRunId), Math.max(0, FRAME_MS - (now() - startedAt)));
+    };
+
+    // Link building cannot be interrupted, so cancellation is checked between the phases.
+    const start = (message) => {
+      runId = message.runId;
+      running = false;
+      if (message.dataVersion !== dataVersion) {
+        setData(message);
+      }
+      const currentRunId = runId;
+      const built = {};
+      const phases = [
+        () => {
+          if (cache.similarity) return;
+          cache.similarity = buildSimilarityLinks(nodes, { maxLinksPerNode: MAX_LINKS_PER_NODE });
+          built.similarity = toLinkIds(cache.similarity);
+        },
+        () => {
+          if (cache.actor) return;
+          cache.actor = buildActorLinks(nodes, { maxLinksPerNode: MAX_LINKS_PER_NODE });
+          built.actor = toLinkIds(cache.actor);
+        },
+        () => {
+          if (message.mode !== 'cluster' || cache.cluster) return;
+          const { links, communities, communityByNode } = getCluster(message.view);
+          built.cluster = {
+            links: toLinkIds(links),
+            communities,
+            communityByNode: Array.from(communityByNode),
+          };
+        },
+      ];
+
+      const runPhase = (index) => {
+        if (currentRunId !== runId) return;
+        if (index < phases.length) {
+          post({ type: 'progress', runId, phase: 'links', progress: index / phases.length });
+          phases[index]();
+          schedule(() => runPhase(index + 1), 0);
+          return;
+        }
+        post({ type: 'links', runId, dataVersion, ...built });
+        applyMode(message);
+        configuredRunId = currentRunId;
+        // A complete restore needs no simulation; a partial one only settles the newcomers.
+        const restored = message.restore ? restorePositions(message.restore) : 0;
+        if (restored && restored === nodes.length) {
+          postPositions();
+          post({ type: 'end', runId });
+          return;
+        }
+        alphaStart = message.alpha ?? (restored ? RESTORED_ALPHA : DEFAULT_ALPHA);
+        simulation.alpha(alphaStart);
+        running = true;
+        frame(currentRunId);
+      };
+      runPhase(0);
+    };
+
+    // `alpha` reheats the settled simulation once, `alphaTarget` keeps it warm during a drag.
+    const pin = ({ id, fx, fy, alpha, alphaTarget }) => {
+      const node = nodesById.get(id);
+      if (!node || !simulation) return;
+      node.fx = fx;
+      node.fy = fy;
+      if (alpha !== undefined) simulation.alpha(alpha);
+      if (alphaTarget !== undefined) simulation.alphaTarget(alphaTarget);
+      const reheated = alpha > 0 || alphaTarget > 0;
+      if (reheated && !running && runId !== null && configuredRunId === runId) {
+        running = true;
+        frame(runId);
+      }
+    };
+
+    const handle = (message) => {
+      if (message.type === 'start') start(message);
+      else if (message.type === 'pin') pin(message);
+      else if (message.type === 'cancel') {
+        runId = null;
+        running = false;
+      }
+    };
+
+    return { handle };
+  };
+
+  return {
+    LAYOUT_MODES,
+    LAYOUT_FILE_FORMAT,
+    LAYOUT_FILE_VERSION,
+    toLinkIds,
+    mergeLinks,
+    buildClusterCenters,
+    getLayoutProgress,
+    computeLayout,
+    getDatasetKey,
+    createLayoutFile,
+    storeLayout,
+    getStoredPositions,
+    parseLayoutFile,
+    createLayoutRunner,
+  };
+});
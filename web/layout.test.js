@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  toLinkIds,
+  mergeLinks,
+  buildClusterCenters,
+  getLayoutProgress,
+  getDatasetKey,
+  createLayoutFile,
+  storeLayout,
+  getStoredPositions,
+  parseLayoutFile,
+} = require('./layout');
+
+test('toLinkIds replaces resolved link ends with their ids', () => {
+  const links = [
+    { source: { id: 'movie-1', x: 3 }, target: 'movie-2', weight: 0.5 },
+    { source: 'movie-2', target: { id: 'movie-3' }, weight: 1 },
+  ];
+  assert.deepEqual(toLinkIds(links), [
+    { source: 'movie-1', target: 'movie-2', weight: 0.5 },
+    { source: 'movie-2', target: 'movie-3', weight: 1 },
+  ]);
+});
+
+test('mergeLinks sums weights of links between the same movies in either direction', () => {
+  const similarity = [
+    { source: 'movie-1', target: 'movie-2', weight: 0.5 },
+    { source: 'movie-2', target: 'movie-3', weight: 0.25 },
+  ];
+  const actor = [
+    { source: { id: 'movie-2' }, target: { id: 'movie-1' }, weight: 1 },
+    { source: 'movie-3', target: 'movie-4' },
+  ];
+  assert.deepEqual(mergeLinks(similarity, actor), [
+    { source: 'movie-1', target: 'movie-2', weight: 1.5 },
+    { source: 'movie-2', target: 'movie-3', weight: 0.25 },
+    { source: 'movie-3', target: 'movie-4', weight: 1 },
+  ]);
+});
+
+test('buildClusterCenters spreads communities evenly on a circle', () => {
+  const centers = buildClusterCenters([{ id: 0 }, { id: 1 }, { id: 2 }, { id: 3 }], 100, 50, 10);
+  assert.deepEqual(
+    Array.from(centers.values()).map(({ x, y }) => [Math.round(x), Math.round(y)]),
+    [
+      [110, 50],
+      [100, 60],
+      [90, 50],
+      [100, 40],
+    ],
+  );
+});
+
+test('getLayoutProgress follows the logarithmic cooling of alpha', () => {
+  const options = { alphaStart: 0.6, alphaMin: 0.001 };
+  assert.equal(getLayoutProgress(0.6, options), 0);
+  assert.equal(getLayoutProgress(0.8, options), 0);
+  assert.equal(getLayoutProgress(0.0005, options), 1);
+  const halfway = Math.sqrt(0.6 * 0.001);
+  assert.ok(Math.abs(getLayoutProgress(halfway, options) - 0.5) < 1e-9);
+});
+
+test('getDatasetKey ignores the order of movies but not their selection', () => {
+  const key = getDatasetKey([{ id: 603 }, { id: 27205 }]);
+  assert.equal(getDatasetKey([{ id: 27205 }, { id: 603 }]), key);
+  assert.notEqual(getDatasetKey([{ id: 603 }, { id: 19995 }]), key);
+  assert.match(key, /^2-[0-9a-f]{8}$/);
+});
+
+test('storeLayout rounds positions, keeps pins and merges with earlier saves', () => {
+  const movies = [{ id: 1 }, { id: 2 }];
+  const first = storeLayout(createLayoutFile(movies), 'year', [
+    { id: 'movie-1', x: 10.04, y: 20.06 },
+    { id: 'movie-2', x: 1, y: 2 },
+  ]);
+  const file = storeLayout(first, 'year', [{ id: 'movie-2', x: 3, y: 4, fx: 3.33, fy: 4.44 }]);
+
+  assert.deepEqual(file.layouts.year, {
+    'movie-1': { x: 10, y: 20.1 },
+    'movie-2': { x: 3, y: 4, fx: 3.3, fy: 4.4 },
+  });
+  assert.deepEqual(getStoredPositions(file, 'year', ['movie-2', 'movie-3']), [
+    { id: 'movie-2', x: 3, y: 4, fx: 3.3, fy: 4.4 },
+  ]);
+  assert.deepEqual(getStoredPositions(file, 'actor', ['movie-1']), []);
+});
+
+test('parseLayoutFile only accepts layouts for the same dataset', () => {
+  const movies = [{ id: 1 }, { id: 2 }];
+  const file = storeLayout(createLayoutFile(movies), 'cluster', [{ id: 'movie-1', x: 1, y: 1 }]);
+
+  assert.deepEqual(parseLayoutFile(JSON.parse(JSON.stringify(file)), movies), file);
+  assert.throws(() => parseLayoutFile(file, [{ id: 1 }]), /belongs to dataset 2-/);
+  assert.throws(() => parseLayoutFile({ ...file, version: 2 }, movies), /version 2/);
+  assert.throws(() => parseLayoutFile({ movies: [] }, movies), /Not a MovieNebula layout/);
+});
@@ -0,0 +1,158 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./timeline'));
+  } else {
+    root.MovieNebulaPeople = factory(root.MovieNebulaTimeline);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (timelineModule) => {
+  const { parseReleaseDate } = timelineModule;
+
+  // One entry per person and movie; someone who acts and directs gets both roles.
+  const getMovieCredits = (movie) => {
+    const creditsByPerson = new Map();
+    const addRole = (person, role) => {
+      const credit = creditsByPerson.get(person.id) ?? {
+        id: person.id,
+        name: person.name,
+        roles: [],
+      };
+      const isKnown = credit.roles.some(
+        (known) =>
+          known.type === role.type && known.character === role.character && known.job === role.job,
+      );
+      if (!isKnown) credit.roles.push(role);
+      creditsByPerson.set(person.id, credit);
+    };
+    (movie.cast ?? []).forEach((person) =>
+      addRole(person, { type: 'cast', character: person.character || null }),
+    );
+    (movie.crew ?? []).forEach((person) =>
+      addRole(person, { type: 'crew', job: person.job || null }),
+    );
+    return Array.from(creditsByPerson.values());
+  };
+
+  const compareByRelease = (a, b) =>
+    (a.releasedAt ?? Infinity) - (b.releasedAt ?? Infinity) ||
+    a.movie.title.localeCompare(b.movie.title);
+
+  // Movies without a release date come last.
+  const getFilmography = (movies, personId) =>
+    movies
+      .flatMap((movie) => {
+        const credit = getMovieCredits(movie).find((candidate) => candidate.id === personId);
+        return credit
+          ? [{ movie, releasedAt: parseReleaseDate(movie.release_date), roles: credit.roles }]
+          : [];
+      })
+      .sort(compareByRelease);
+
+  // The person with the most credits, as a starting point when nobody is chosen yet.
+  const getMostCreditedPerson = (movies) => {
+    const people = new Map();
+    movies.forEach((movie) =>
+      getMovieCredits(movie).forEach(({ id, name }) => {
+        const person = people.get(id) ?? { id, name, count: 0 };
+        person.count += 1;
+        people.set(id, person);
+      }),
+    );
+    return (
+      Array.from(people.values()).sort(
+        (a, b) => b.count - a.count || a.name.localeCompare(b.name),
+      )[0] ?? null
+    );
+  };
+
+  // Everyone who shares at least one movie with the person, most shared movies first.
+  const getCollaborators = (movies, personId, { limit = Infinity } = {}) => {
+    const collaborators = new Map();
+    getFilmography(movies, personId).forEach(({ movie, releasedAt, roles }) => {
+      getMovieCredits(movie)
+        .filter((credit) => credit.id !== personId)
+        .forEach((credit) => {
+          const collaborator = collaborators.get(credit.id) ?? {
+            id: credit.id,
+            name: credit.name,
+            movies: [],
+          };
+          collaborator.movies.push({ movie, releasedAt, roles: credit.roles, personRoles: roles });
+          collaborators.set(credit.id, collaborator);
+        });
+    });
+    return Array.from(collaborators.values())
+      .map((collaborator) => ({ ...collaborator, count: collaborator.movies.length }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  };
+
+  // The person, their top collaborators and every collaboration among them, also in movies
+  // without the person. Links list the shared movies with the roles of both ends, so cast
+  // and crew edges can be told apart.
+  const buildCollaborationNetwork = (movies, personId, { maxCollaborators = 20 } = {}) => {
+    const filmography = getFilmography(movies, personId);
+    const focus = filmography
+      .flatMap(({ movie }) => getMovieCredits(movie))
+      .find((credit) => credit.id === personId);
+    if (!focus) return { nodes: [], links: [] };
+
+    const collaborators = getCollaborators(movies, personId, { limit: maxCollaborators });
+    const memberIds = new Set([personId, ...collaborators.map((collaborator) => collaborator.id)]);
+    const nodesById = new Map(
+      [
+        { id: personId, name: focus.name, count: filmography.length },
+        ...collaborators,
+      ].map(({ id, name, count }) => [
+        id,
+        {
+          id: `person-${id}`,
+          personId: id,
+          label: name,
+          count,
+          roleTypes: new Set(),
+          isFocus: id === personId,
+        },
+      ]),
+    );
+
+    const linksByKey = new Map();
+    movies.forEach((movie) => {
+      const credits = getMovieCredits(movie).filter((credit) => memberIds.has(credit.id));
+      credits.forEach((credit) =>
+        credit.roles.forEach((role) => nodesById.get(credit.id).roleTypes.add(role.type)),
+      );
+      for (let i = 0; i < credits.length; i += 1) {
+        for (let j = i + 1; j < credits.length; j += 1) {
+          const [a, b] =
+            credits[i].id < credits[j].id ? [credits[i], credits[j]] : [credits[j], credits[i]];
+          const key = `${a.id}|${b.id}`;
+          const link = linksByKey.get(key) ?? {
+            source: `person-${a.id}`,
+            target: `person-${b.id}`,
+            weight: 0,
+            movies: [],
+          };
+          link.weight += 1;
+          link.movies.push({ movie, sourceRoles: a.roles, targetRoles: b.roles });
+          linksByKey.set(key, link);
+        }
+      }
+    });
+
+    return {
+      nodes: Array.from(nodesById.values()).map((node) => ({
+        ...node,
+        roleTypes: Array.from(node.roleTypes).sort(),
+      })),
+      links: Array.from(linksByKey.values()),
+    };
+  };
+
+  return {
+    getMovieCredits,
+    getFilmography,
+    getMostCreditedPerson,
+    getCollaborators,
+    buildCollaborationNetwork,
+  };
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getMovieCredits,
+  getFilmography,
+  getMostCreditedPerson,
+  getCollaborators,
+  buildCollaborationNetwork,
+} = require('./people');
+
+const movies = [
+  {
+    id: 1,
+    title: 'Inception',
+    release_date: '2010-07-15',
+    cast: [
+      { id: 3895, name: 'Michael Caine', character: 'Miles' },
+      { id: 6193, name: 'Leonardo DiCaprio', character: 'Cobb' },
+    ],
+    crew: [{ id: 525, name: 'Christopher Nolan', job: 'Director' }],
+  },
+  {
+    id: 2,
+    title: 'The Prestige',
+    release_date: '2006-10-17',
+    cast: [{ id: 3895, name: 'Michael Caine', character: 'Cutter' }],
+    crew: [
+      { id: 525, name: 'Christopher Nolan', job: 'Director' },
+      { id: 525, name: 'Christopher Nolan', job: 'Screenplay' },
+    ],
+  },
+  {
+    id: 3,
+    title: 'The Departed',
+    release_date: '',
+    cast: [{ id: 6193, name: 'Leonardo DiCaprio', character: 'Billy' }],
+    crew: [{ id: 1032, name: 'Martin Scorsese', job: 'Director' }],
+  },
+  {
+    id: 4,
+    title: 'Shutter Island',
+    release_date: '2010-02-14',
+    cast: [
+      { id: 6193, name: 'Leonardo DiCaprio', character: 'Teddy' },
+      { id: 3895, name: 'Michael Caine', character: 'Dr. Cawley' },
+    ],
+    crew: [{ id: 1032, name: 'Martin Scorsese', job: 'Director' }],
+  },
+];
+
+test('getMovieCredits merges the cast and crew roles of one person', () => {
+  const nolan = getMovieCredits(movies[1]).find((credit) => credit.id === 525);
+  assert.deepEqual(nolan.roles, [
+    { type: 'crew', job: 'Director' },
+    { type: 'crew', job: 'Screenplay' },
+  ]);
+});
+
+test('getFilmography sorts by release and keeps undated movies last', () => {
+  const filmography = getFilmography(movies, 6193);
+  assert.deepEqual(
+    filmography.map(({ movie }) => movie.title),
+    ['Shutter Island', 'Inception', 'The Departed'],
+  );
+  assert.deepEqual(filmography[1].roles, [{ type: 'cast', character: 'Cobb' }]);
+  assert.equal(filmography[2].releasedAt, null);
+});
+
+test('getMostCreditedPerson picks the busiest person', () => {
+  assert.deepEqual(getMostCreditedPerson(movies), {
+    id: 6193,
+    name: 'Leonardo DiCaprio',
+    count: 3,
+  });
+  assert.equal(getMostCreditedPerson([]), null);
+});
+
+test('getCollaborators ranks people by shared movies', () => {
+  const collaborators = getCollaborators(movies, 6193);
+  assert.deepEqual(
+    collaborators.map(({ name, count }) => [name, count]),
+    [
+      ['Martin Scorsese', 2],
+      ['Michael Caine', 2],
+      ['Christopher Nolan', 1],
+    ],
+  );
+  assert.deepEqual(collaborators[1].movies[0].roles, [{ type: 'cast', character: 'Dr. Cawley' }]);
+  assert.deepEqual(collaborators[1].movies[0].personRoles, [{ type: 'cast', character: 'Teddy' }]);
+  assert.equal(getCollaborators(movies, 6193, { limit: 1 }).length, 1);
+});
+
+test('buildCollaborationNetwork links collaborators with their roles', () => {
+  const { nodes, links } = buildCollaborationNetwork(movies, 525, { maxCollaborators: 2 });
+  assert.deepEqual(
+    nodes.map(({ id, count, roleTypes, isFocus }) => [id, count, roleTypes.join(), isFocus]),
+    [
+      ['person-525', 2, 'crew', true],
+      ['person-3895', 2, 'cast', false],
+      ['person-6193', 1, 'cast', false],
+    ],
+  );
+  const castLink = links.find((link) => link.source === 'person-3895');
+  assert.equal(castLink.target, 'person-6193');
+  // Shutter Island counts although Nolan was not involved.
+  assert.equal(castLink.weight, 2);
+  assert.deepEqual(castLink.movies[1].targetRoles, [{ type: 'cast', character: 'Teddy' }]);
+  assert.deepEqual(buildCollaborationNetwork(movies, 1), { nodes: [], links: [] });
+});
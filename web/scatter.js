@@ -0,0 +1,68 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./graph'), require('./filters'));
+  } else {
+    root.MovieNebulaScatter = factory(root.MovieNebulaGraph, root.MovieNebulaFilters);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (graphModule, filtersModule) => {
+  const { createMovieGraph, buildSimilarityLinks, computeDegrees } = graphModule;
+  const { getMovieYear } = filtersModule;
+
+  const SCATTER_FIELDS = ['year', 'runtime', 'rating', 'popularity', 'genreCount', 'degree'];
+
+  const toFinite = (value) => (Number.isFinite(value) ? value : null);
+
+  // Missing values are null rather than 0, so the chart can leave those movies out and say so.
+  const getScatterValue = (movie, field, { degrees = new Map() } = {}) => {
+    if (field === 'year') return getMovieYear(movie);
+    if (field === 'runtime') return movie.runtime > 0 ? movie.runtime : null;
+    if (field === 'rating') return toFinite(movie.vote_average);
+    if (field === 'popularity') return toFinite(movie.popularity);
+    if (field === 'genreCount') return (movie.genres ?? []).length;
+    if (field === 'degree') return degrees.get(`movie-${movie.id}`) ?? 0;
+    throw new Error(`Unknown scatter field "${field}"`);
+  };
+
+  // Degrees come from the same similarity links the force network draws.
+  const getSimilarityDegrees = (movies) => {
+    const { nodes } = createMovieGraph({ movies });
+    return computeDegrees({ nodes, links: buildSimilarityLinks(nodes) });
+  };
+
+  const getScatterPoints = (movies, options = {}) =>
+    movies.map((movie) => ({
+      id: `movie-${movie.id}`,
+      movie,
+      values: Object.fromEntries(
+        SCATTER_FIELDS.map((field) => [field, getScatterValue(movie, field, options)]),
+      ),
+    }));
+
+  // A single value gets some room on both sides so it does not sit on the axis.
+  const getFieldDomain = (points, field) => {
+    const values = points.map((point) => point.values[field]).filter((value) => value !== null);
+    if (!values.length) return null;
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    return low === high ? [low - 1, high + 1] : [low, high];
+  };
+
+  // Bounds are in data units: [[minX, minY], [maxX, maxY]].
+  const selectPointsInBounds = (points, xField, yField, [[minX, minY], [maxX, maxY]]) =>
+    points
+      .filter((point) => {
+        const x = point.values[xField];
+        const y = point.values[yField];
+        return x !== null && y !== null && x >= minX && x <= maxX && y >= minY && y <= maxY;
+      })
+      .map((point) => point.movie.id);
+
+  return {
+    SCATTER_FIELDS,
+    getScatterValue,
+    getSimilarityDegrees,
+    getScatterPoints,
+    getFieldDomain,
+    selectPointsInBounds,
+  };
+});
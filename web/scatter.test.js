@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SCATTER_FIELDS,
+  getScatterValue,
+  getSimilarityDegrees,
+  getScatterPoints,
+  getFieldDomain,
+  selectPointsInBounds,
+} = require('./scatter');
+
+const movies = [
+  {
+    id: 1,
+    title: 'Heat',
+    release_date: '1995-12-15',
+    runtime: 170,
+    vote_average: 7.9,
+    popularity: 40.5,
+    genres: [
+      { id: 80, name: 'Crime' },
+      { id: 18, name: 'Drama' },
+    ],
+    keywords: [{ id: 9, name: 'heist' }],
+  },
+  {
+    id: 2,
+    title: 'Thief',
+    release_date: '1981-03-27',
+    runtime: 0,
+    genres: [{ id: 80, name: 'Crime' }],
+    keywords: [{ id: 9, name: 'heist' }],
+  },
+  { id: 3, title: 'Unknown', release_date: '', genres: [] },
+];
+
+test('getScatterValue returns null for missing values', () => {
+  assert.equal(getScatterValue(movies[0], 'year'), 1995);
+  assert.equal(getScatterValue(movies[0], 'genreCount'), 2);
+  assert.equal(getScatterValue(movies[1], 'runtime'), null);
+  assert.equal(getScatterValue(movies[1], 'rating'), null);
+  assert.equal(getScatterValue(movies[2], 'year'), null);
+  assert.throws(() => getScatterValue(movies[0], 'budget'), /budget/);
+});
+
+test('getScatterPoints fills every field, with degrees from the similarity graph', () => {
+  const degrees = getSimilarityDegrees(movies);
+  assert.equal(degrees.get('movie-1'), 1);
+  assert.equal(degrees.get('movie-3'), 0);
+
+  const [heat] = getScatterPoints(movies, { degrees });
+  assert.equal(heat.id, 'movie-1');
+  assert.deepEqual(Object.keys(heat.values), SCATTER_FIELDS);
+  assert.equal(heat.values.degree, 1);
+});
+
+test('getFieldDomain skips missing values and widens a single value', () => {
+  const points = getScatterPoints(movies);
+  assert.deepEqual(getFieldDomain(points, 'year'), [1981, 1995]);
+  assert.deepEqual(getFieldDomain(points, 'runtime'), [169, 171]);
+  assert.equal(getFieldDomain(points.slice(1), 'rating'), null);
+});
+
+test('selectPointsInBounds returns the ids of movies inside the bounds', () => {
+  const points = getScatterPoints(movies);
+  assert.deepEqual(
+    selectPointsInBounds(points, 'year', 'genreCount', [
+      [1980, 0],
+      [2000, 1],
+    ]),
+    [2],
+  );
+  assert.deepEqual(
+    selectPointsInBounds(points, 'year', 'runtime', [
+      [1900, 0],
+      [2000, 500],
+    ]),
+    [1],
+  );
+});
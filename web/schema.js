@@ -0,0 +1,237 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MovieNebulaSchema = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const SCHEMA_VERSION = 1;
+
+  const nullable = (type) => ({ type: [type, 'null'] });
+
+  const datasetSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/pikespeak/MovieNebula/schema/movies.v1.json',
+    title: 'MovieNebula dataset',
+    type: 'object',
+    required: ['schema_version', 'source', 'movies'],
+    properties: {
+      schema_version: { const: SCHEMA_VERSION },
+      fetched_at: { type: 'string' },
+      source: { type: 'string' },
+      query: { type: 'object' },
+      crawl: { type: 'object' },
+      discover: { type: 'object' },
+      details: { type: 'object' },
+      movies: { type: 'array', items: { $ref: '#/$defs/movie' } },
+    },
+    $defs: {
+      movie: {
+        type: 'object',
+        required: ['id', 'title', 'genres', 'cast', 'crew'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          title: { type: 'string' },
+          release_date: nullable('string'),
+          runtime: nullable('number'),
+          genres: { type: 'array', items: { $ref: '#/$defs/genre' } },
+          keywords: { type: 'array', items: { $ref: '#/$defs/keyword' } },
+          cast: { type: 'array', items: { $ref: '#/$defs/castMember' } },
+          crew: { type: 'array', items: { $ref: '#/$defs/crewMember' } },
+          original_language: nullable('string'),
+          spoken_languages: { type: 'array', items: { $ref: '#/$defs/language' } },
+          production_companies: { type: 'array', items: { $ref: '#/$defs/company' } },
+          production_countries: { type: 'array', items: { $ref: '#/$defs/country' } },
+          belongs_to_collection: {
+            anyOf: [{ type: 'null' }, { $ref: '#/$defs/collection' }],
+          },
+          vote_average: nullable('number'),
+          vote_count: nullable('number'),
+          popularity: nullable('number'),
+          budget: nullable('number'),
+          revenue: nullable('number'),
+          poster_path: nullable('string'),
+          fetched_at: { type: 'string' },
+          crawl: { type: 'object' },
+        },
+      },
+      genre: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'integer' }, name: { type: 'string' } },
+      },
+      keyword: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'integer' }, name: { type: 'string' } },
+      },
+      castMember: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          character: nullable('string'),
+        },
+      },
+      crewMember: {
+        type: 'object',
+        required: ['id', 'name', 'job'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          job: { type: 'string' },
+        },
+      },
+      company: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'integer' }, name: { type: 'string' } },
+      },
+      country: {
+        type: 'object',
+        required: ['iso_3166_1', 'name'],
+        properties: { iso_3166_1: { type: 'string' }, name: { type: 'string' } },
+      },
+      language: {
+        type: 'object',
+        required: ['iso_639_1', 'name'],
+        properties: { iso_639_1: { type: 'string' }, name: { type: 'string' } },
+      },
+      collection: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { type: 'integer' }, name: { type: 'string' } },
+      },
+    },
+  };
+
+  const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  };
+
+  const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  };
+
+  const resolveRef = (ref) => datasetSchema.$defs[ref.replace('#/$defs/', '')];
+
+  // Interprets the subset of JSON Schema used by datasetSchema above.
+  const validateValue = (value, schema, path, errors) => {
+    if (schema.$ref) {
+      validateValue(value, resolveRef(schema.$ref), path, errors);
+      return;
+    }
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some((option) => {
+        const optionErrors = [];
+        validateValue(value, option, path, optionErrors);
+        return !optionErrors.length;
+      });
+      if (!matches) {
+        errors.push({ path, message: `has an unexpected shape (${typeOf(value)})` });
+      }
+      return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+      return;
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => matchesType(value, type))) {
+        errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+        return;
+      }
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (typeOf(value) === 'object') {
+      (schema.required ?? []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push({ path, message: `is missing required field "${key}"` });
+        }
+      });
+      Object.entries(schema.properties ?? {}).forEach(([key, propertySchema]) => {
+        if (value[key] === undefined) return;
+        validateValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+      });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => {
+        validateValue(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  };
+
+  const validateDataset = (data) => {
+    const errors = [];
+    validateValue(data, datasetSchema, '', errors);
+    return errors;
+  };
+
+  const formatValidationErrors = (errors, data, { limit = 20 } = {}) => {
+    const lines = errors.slice(0, limit).map(({ path, message }) => {
+      const movieIndex = path.match(/^movies\[(\d+)\]/)?.[1];
+      const title = movieIndex !== undefined ? data?.movies?.[movieIndex]?.title : null;
+      const location = path || 'dataset';
+      return title ? `${location} ("${title}") ${message}` : `${location} ${message}`;
+    });
+    if (errors.length > limit) {
+      lines.push(`… and ${errors.length - limit} more`);
+    }
+    return lines;
+  };
+
+  const isObject = (value) => typeOf(value) === 'object';
+
+  // Each entry upgrades a dataset from its key version to the next one.
+  const migrations = {
+    0: (data) => ({
+      ...data,
+      schema_version: 1,
+      source: data.source ?? 'TMDB',
+      movies: Array.isArray(data.movies)
+        ? data.movies.map((movie) =>
+            isObject(movie)
+              ? {
+                  ...movie,
+                  genres: movie.genres ?? [],
+                  cast: movie.cast ?? [],
+                  crew: movie.crew ?? [],
+                }
+              : movie,
+          )
+        : data.movies,
+    }),
+  };
+
+  const migrateDataset = (data) => {
+    if (!isObject(data)) {
+      return { dataset: data, fromVersion: null };
+    }
+    const fromVersion = data.schema_version ?? 0;
+    let dataset = data;
+    // Versions without a migration (negative, fractional, unknown) stay as they are, so
+    // validateDataset reports them like any other schema error.
+    let version = dataset.schema_version ?? 0;
+    while (version >= 0 && version < SCHEMA_VERSION && migrations[version]) {
+      dataset = migrations[version](dataset);
+      version = dataset.schema_version ?? 0;
+    }
+    return { dataset, fromVersion };
+  };
+
+  return {
+    SCHEMA_VERSION,
+    datasetSchema,
+    validateDataset,
+    formatValidationErrors,
+    migrateDataset,
+  };
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SCHEMA_VERSION,
+  validateDataset,
+  formatValidationErrors,
+  migrateDataset,
+} = require('./schema');
+const sample = require('../data/movies.sample.json');
+
+test('the sample dataset matches the current schema', () => {
+  assert.equal(sample.schema_version, SCHEMA_VERSION);
+  assert.deepEqual(validateDataset(sample), []);
+});
+
+test('validateDataset reports paths for malformed movies', () => {
+  const errors = validateDataset({
+    schema_version: SCHEMA_VERSION,
+    source: 'TMDB',
+    movies: [
+      { id: 1, title: 'No genres', cast: [], crew: [] },
+      { id: 2, title: 'Bad cast', genres: [], cast: [{ id: '7' }], crew: [] },
+      { id: 3, title: 'Bad collection', genres: [], cast: [], crew: [], belongs_to_collection: 'x' },
+    ],
+  });
+
+  assert.deepEqual(
+    errors.map((error) => `${error.path} ${error.message}`),
+    [
+      'movies[0] is missing required field "genres"',
+      'movies[1].cast[0] is missing required field "name"',
+      'movies[1].cast[0].id must be integer, got string',
+      'movies[2].belongs_to_collection has an unexpected shape (string)',
+    ],
+  );
+});
+
+test('validateDataset rejects unknown schema versions and non-objects', () => {
+  assert.equal(validateDataset({ schema_version: 99, source: 'TMDB', movies: [] })[0].path, 'schema_version');
+  assert.deepEqual(
+    validateDataset([]).map((error) => error.message),
+    ['must be object, got array'],
+  );
+});
+
+test('formatValidationErrors names the affected movie and truncates long lists', () => {
+  const data = { movies: [{ title: 'Avatar' }] };
+  const errors = Array.from({ length: 3 }, () => ({
+    path: 'movies[0].genres',
+    message: 'must be array, got null',
+  }));
+
+  assert.deepEqual(formatValidationErrors(errors, data, { limit: 2 }), [
+    'movies[0].genres ("Avatar") must be array, got null',
+    'movies[0].genres ("Avatar") must be array, got null',
+    '… and 1 more',
+  ]);
+});
+
+test('migrateDataset upgrades unversioned files and fills missing lists', () => {
+  const legacy = { fetched_at: '2026-01-20T09:13:41.485Z', movies: [{ id: 1, title: 'Legacy' }] };
+  const { dataset, fromVersion } = migrateDataset(legacy);
+
+  assert.equal(fromVersion, 0);
+  assert.equal(dataset.schema_version, SCHEMA_VERSION);
+  assert.deepEqual(dataset.movies[0], { id: 1, title: 'Legacy', genres: [], cast: [], crew: [] });
+  assert.deepEqual(validateDataset(dataset), []);
+  assert.equal(legacy.schema_version, undefined);
+});
+
+test('migrateDataset leaves versions without a migration to the validator', () => {
+  [-1, 0.5, 'v0'].forEach((version) => {
+    const data = { schema_version: version, source: 'TMDB', movies: [] };
+    const { dataset } = migrateDataset(data);
+    assert.equal(dataset, data);
+    assert.equal(validateDataset(dataset)[0].path, 'schema_version');
+  });
+});
@@ -0,0 +1,129 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MovieNebulaSearch = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const TYPE_ORDER = ['movie', 'person', 'genre', 'keyword'];
+
+  const normalizeText = (value) =>
+    String(value ?? '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+  // Levenshtein distance, giving up as soon as it exceeds maxDistance.
+  const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  };
+
+  // Lower scores are better matches; null means no match at all.
+  const scoreMatch = (text, query) => {
+    if (!query || !text) return null;
+    if (text === query) return 0;
+    if (text.startsWith(query)) return 1;
+    if (text.includes(` ${query}`)) return 2;
+    if (text.includes(query)) return 3;
+    if (query.length < 3) return null;
+
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+      const next = text.indexOf(char, position + 1);
+      if (next === -1) {
+        gaps = Infinity;
+        break;
+      }
+      if (position >= 0) gaps += next - position - 1;
+      position = next;
+    }
+    if (gaps <= query.length) {
+      return 4 + gaps / (query.length + 1);
+    }
+
+    if (query.length < 4) return null;
+    const maxDistance = query.length < 8 ? 1 : 2;
+    // Typos are checked against the whole text and against same-length prefixes at every word.
+    const words = text.split(' ');
+    const candidates = [
+      text,
+      ...words.map((_, index) => words.slice(index).join(' ').slice(0, query.length)),
+    ];
+    const distance = Math.min(
+      ...candidates.map((candidate) => editDistance(candidate, query, maxDistance)),
+    );
+    return distance <= maxDistance ? 6 + distance : null;
+  };
+
+  // One entry per movie, person, genre and keyword. `key` matches the node ids of createGraph.
+  const buildSearchIndex = (data) => {
+    const entries = new Map();
+    const addEntry = (type, id, label, movieId) => {
+      if (id === undefined || id === null || !label) return;
+      const key = `${type}-${id}`;
+      const entry = entries.get(key) ?? {
+        key,
+        type,
+        id,
+        label,
+        text: normalizeText(label),
+        movieIds: [],
+      };
+      if (!entry.movieIds.includes(movieId)) entry.movieIds.push(movieId);
+      entries.set(key, entry);
+    };
+
+    (data?.movies ?? []).forEach((movie) => {
+      addEntry('movie', movie.id, movie.title, movie.id);
+      [...(movie.cast ?? []), ...(movie.crew ?? [])].forEach((person) =>
+        addEntry('person', person.id, person.name, movie.id),
+      );
+      (movie.genres ?? []).forEach((genre) => addEntry('genre', genre.id, genre.name, movie.id));
+      (movie.keywords ?? []).forEach((keyword) =>
+        addEntry('keyword', keyword.id, keyword.name, movie.id),
+      );
+    });
+
+    return Array.from(entries.values());
+  };
+
+  const searchIndex = (index, query, { limit = 8 } = {}) => {
+    const normalizedQuery = normalizeText(query);
+    if (!normalizedQuery) return [];
+    return index
+      .map((entry) => ({ entry, score: scoreMatch(entry.text, normalizedQuery) }))
+      .filter(({ score }) => score !== null)
+      .sort(
+        (a, b) =>
+          a.score - b.score ||
+          TYPE_ORDER.indexOf(a.entry.type) - TYPE_ORDER.indexOf(b.entry.type) ||
+          b.entry.movieIds.length - a.entry.movieIds.length ||
+          a.entry.label.localeCompare(b.entry.label),
+      )
+      .slice(0, limit)
+      .map(({ entry, score }) => ({ ...entry, score }));
+  };
+
+  return {
+    normalizeText,
+    scoreMatch,
+    buildSearchIndex,
+    searchIndex,
+  };
+});
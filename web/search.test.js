@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeText, scoreMatch, buildSearchIndex, searchIndex } = require('./search');
+const sample = require('../data/movies.sample.json');
+
+test('normalizeText lowercases and strips accents and extra whitespace', () => {
+  assert.equal(normalizeText('  Amélie   Poulain '), 'amelie poulain');
+});
+
+test('scoreMatch ranks exact, prefix, word, substring, subsequence and typo matches', () => {
+  const scores = [
+    scoreMatch('inception', 'inception'),
+    scoreMatch('inception', 'incep'),
+    scoreMatch('the dark knight', 'knight'),
+    scoreMatch('inception', 'cept'),
+    scoreMatch('the dark knight', 'drkknght'),
+    scoreMatch('inception', 'incpetion'),
+  ];
+
+  assert.ok(scores.every((score) => score !== null));
+  assert.deepEqual([...scores].sort((a, b) => a - b), scores);
+  assert.equal(scoreMatch('inception', 'xyz'), null);
+  assert.equal(scoreMatch('inception', 'ix'), null);
+});
+
+test('buildSearchIndex collects movies, people, genres and keywords with their movies', () => {
+  const index = buildSearchIndex(sample);
+  const byKey = new Map(index.map((entry) => [entry.key, entry]));
+
+  assert.equal(index.filter((entry) => entry.type === 'movie').length, sample.movies.length);
+  assert.deepEqual(byKey.get('genre-28').movieIds, sample.movies.map((movie) => movie.id));
+  const director = sample.movies[0].crew[0];
+  assert.equal(byKey.get(`person-${director.id}`).label, director.name);
+});
+
+test('searchIndex returns the best matches first and prefers movies on ties', () => {
+  const index = buildSearchIndex({
+    movies: [
+      { id: 1, title: 'Alien', genres: [], cast: [{ id: 9, name: 'Alien' }], crew: [] },
+      { id: 2, title: 'Aliens', genres: [], cast: [], crew: [] },
+      { id: 3, title: 'Heat', genres: [{ id: 80, name: 'Crime' }], cast: [], crew: [] },
+    ],
+  });
+
+  assert.deepEqual(
+    searchIndex(index, 'alien').map((entry) => entry.key),
+    ['movie-1', 'person-9', 'movie-2'],
+  );
+  assert.deepEqual(searchIndex(index, 'crme').map((entry) => entry.key), ['genre-80']);
+  assert.deepEqual(searchIndex(index, 'alien', { limit: 1 }).map((entry) => entry.key), ['movie-1']);
+  assert.deepEqual(searchIndex(index, '  '), []);
+});
@@ -0,0 +1,119 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./filters'), require('./search'));
+  } else {
+    root.MovieNebulaTable = factory(root.MovieNebulaFilters, root.MovieNebulaSearch);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (filtersModule, searchModule) => {
+  const { getMovieYear } = filtersModule;
+  const { normalizeText } = searchModule;
+
+  const TABLE_COLUMNS = [
+    { key: 'title', type: 'text' },
+    { key: 'year', type: 'number' },
+    { key: 'runtime', type: 'number' },
+    { key: 'genres', type: 'text' },
+    { key: 'director', type: 'text' },
+    { key: 'cast', type: 'text' },
+    { key: 'keywordCount', type: 'number' },
+  ];
+  const LEAD_CAST_SIZE = 3;
+
+  const joinNames = (items) => items.map((item) => item.name).join(', ');
+
+  const getTableRow = (movie) => ({
+    id: movie.id,
+    movie,
+    title: movie.title ?? '',
+    year: getMovieYear(movie),
+    runtime: movie.runtime > 0 ? movie.runtime : null,
+    genres: joinNames(movie.genres ?? []),
+    director: joinNames((movie.crew ?? []).filter((person) => person.job === 'Director')),
+    cast: joinNames((movie.cast ?? []).slice(0, LEAD_CAST_SIZE)),
+    keywordCount: (movie.keywords ?? []).length,
+  });
+
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+
+  // Empty cells stay at the bottom in both directions; ties keep the title order.
+  const sortRows = (rows, { key, direction = 'asc' }) => {
+    const column = TABLE_COLUMNS.find((candidate) => candidate.key === key);
+    if (!column) return rows;
+    const sign = direction === 'desc' ? -1 : 1;
+    const compareValues = (a, b) =>
+      column.type === 'number' ? a - b : String(a).localeCompare(String(b), 'de');
+    return [...rows].sort((a, b) => {
+      if (isEmpty(a[key]) || isEmpty(b[key])) {
+        return isEmpty(a[key]) - isEmpty(b[key]) || a.title.localeCompare(b.title, 'de');
+      }
+      return sign * compareValues(a[key], b[key]) || a.title.localeCompare(b.title, 'de');
+    });
+  };
+
+  // Number columns understand "<90", ">=2000", "=3" and "1990-1999"; everything else is a
+  // case- and accent-insensitive substring match.
+  const matchesColumnFilter = (value, query, type = 'text') => {
+    const text = String(query ?? '').trim();
+    if (!text) return true;
+    if (type === 'number') {
+      const range = /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/.exec(text);
+      if (range) {
+        return !isEmpty(value) && value >= Number(range[1]) && value <= Number(range[2]);
+      }
+      const comparison = /^(<=|>=|<|>|=)\s*(\d+(?:\.\d+)?)$/.exec(text);
+      if (comparison) {
+        if (isEmpty(value)) return false;
+        const limit = Number(comparison[2]);
+        return {
+          '<': value < limit,
+          '<=': value <= limit,
+          '>': value > limit,
+          '>=': value >= limit,
+          '=': value === limit,
+        }[comparison[1]];
+      }
+    }
+    return !isEmpty(value) && normalizeText(value).includes(normalizeText(text));
+  };
+
+  const filterRows = (rows, columnFilters = {}) => {
+    const active = TABLE_COLUMNS.filter((column) => String(columnFilters[column.key] ?? '').trim());
+    if (!active.length) return rows;
+    return rows.filter((row) =>
+      active.every((column) =>
+        matchesColumnFilter(row[column.key], columnFilters[column.key], column.type),
+      ),
+    );
+  };
+
+  // Rows to render for a scroll position, with a few extra rows above and below.
+  const getVisibleRange = ({ scrollTop, viewportHeight, rowHeight, rowCount, overscan = 8 }) => {
+    const start = Math.min(rowCount, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+    const end = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+    return { start, end: Math.max(start, end) };
+  };
+
+  const escapeCsvValue = (value) => {
+    if (isEmpty(value)) return '';
+    const text = String(value);
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const toCsv = (rows, columns = TABLE_COLUMNS.map((column) => column.key)) =>
+    [
+      ['id', ...columns].join(','),
+      ...rows.map((row) =>
+        [row.id, ...columns.map((key) => row[key])].map(escapeCsvValue).join(','),
+      ),
+    ].join('\n');
+
+  return {
+    TABLE_COLUMNS,
+    getTableRow,
+    sortRows,
+    matchesColumnFilter,
+    filterRows,
+    getVisibleRange,
+    toCsv,
+  };
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getTableRow,
+  sortRows,
+  matchesColumnFilter,
+  filterRows,
+  getVisibleRange,
+  toCsv,
+} = require('./table');
+
+const movies = [
+  {
+    id: 1,
+    title: 'Léon',
+    release_date: '1994-09-14',
+    runtime: 110,
+    genres: [
+      { id: 80, name: 'Crime' },
+      { id: 18, name: 'Drama' },
+    ],
+    crew: [{ id: 59, name: 'Luc Besson', job: 'Director' }],
+    cast: [
+      { id: 1, name: 'Jean Reno' },
+      { id: 2, name: 'Gary Oldman' },
+      { id: 3, name: 'Natalie Portman' },
+      { id: 4, name: 'Danny Aiello' },
+    ],
+    keywords: [{ id: 9, name: 'hitman' }],
+  },
+  { id: 2, title: 'Alien', release_date: '1979-05-25', runtime: 117, genres: [], crew: [] },
+  { id: 3, title: 'Untitled', release_date: '', runtime: 0 },
+];
+const rows = movies.map(getTableRow);
+
+test('getTableRow flattens a movie into table columns', () => {
+  assert.deepEqual(
+    { ...rows[0], movie: undefined },
+    {
+      id: 1,
+      movie: undefined,
+      title: 'Léon',
+      year: 1994,
+      runtime: 110,
+      genres: 'Crime, Drama',
+      director: 'Luc Besson',
+      cast: 'Jean Reno, Gary Oldman, Natalie Portman',
+      keywordCount: 1,
+    },
+  );
+  assert.equal(rows[2].year, null);
+  assert.equal(rows[2].runtime, null);
+});
+
+test('sortRows keeps empty cells last in both directions', () => {
+  const titles = (sorted) => sorted.map((row) => row.title);
+  assert.deepEqual(titles(sortRows(rows, { key: 'year' })), ['Alien', 'Léon', 'Untitled']);
+  assert.deepEqual(titles(sortRows(rows, { key: 'year', direction: 'desc' })), [
+    'Léon',
+    'Alien',
+    'Untitled',
+  ]);
+  assert.deepEqual(titles(sortRows(rows, { key: 'title', direction: 'desc' })), [
+    'Untitled',
+    'Léon',
+    'Alien',
+  ]);
+  assert.equal(sortRows(rows, { key: 'budget' }), rows);
+});
+
+test('matchesColumnFilter supports substrings and number comparisons', () => {
+  assert.equal(matchesColumnFilter('Léon', 'leo'), true);
+  assert.equal(matchesColumnFilter('Léon', 'alien'), false);
+  assert.equal(matchesColumnFilter(110, '>100', 'number'), true);
+  assert.equal(matchesColumnFilter(110, '<=100', 'number'), false);
+  assert.equal(matchesColumnFilter(1994, '1990-1999', 'number'), true);
+  assert.equal(matchesColumnFilter(null, '>0', 'number'), false);
+  assert.equal(matchesColumnFilter(1994, '199', 'number'), true);
+  assert.equal(matchesColumnFilter(null, ''), true);
+});
+
+test('filterRows combines the filters of several columns', () => {
+  assert.deepEqual(
+    filterRows(rows, { runtime: '>100', genres: '' }).map((row) => row.id),
+    [1, 2],
+  );
+  assert.deepEqual(
+    filterRows(rows, { runtime: '>100', cast: 'reno' }).map((row) => row.id),
+    [1],
+  );
+});
+
+test('getVisibleRange adds overscan and stays within the rows', () => {
+  assert.deepEqual(
+    getVisibleRange({ scrollTop: 320, viewportHeight: 320, rowHeight: 32, rowCount: 1000 }),
+    { start: 2, end: 28 },
+  );
+  assert.deepEqual(
+    getVisibleRange({ scrollTop: 0, viewportHeight: 320, rowHeight: 32, rowCount: 4 }),
+    { start: 0, end: 4 },
+  );
+  assert.deepEqual(
+    getVisibleRange({ scrollTop: 3200, viewportHeight: 320, rowHeight: 32, rowCount: 4 }),
+    { start: 4, end: 4 },
+  );
+});
+
+test('toCsv quotes values with separators and quotes', () => {
+  const csv = toCsv([{ ...rows[0], title: 'Léon "The Professional"' }], [
+    'title',
+    'genres',
+    'year',
+  ]);
+  assert.equal(csv, 'id,title,genres,year\n1,"Léon ""The Professional""","Crime, Drama",1994');
+});
@@ -0,0 +1,126 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./graph'));
+  } else {
+    root.MovieNebulaTimeline = factory(root.MovieNebulaGraph);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, (graphModule) => {
+  const { createMovieGraph, buildSimilarityLinks, buildActorLinks } = graphModule;
+
+  const TIMELINE_LANE_TYPES = ['genre', 'director'];
+  const OTHER_LANE = 'other';
+  const NONE_LANE = 'none';
+
+  // Release dates may lack the day or month; the missing parts count as the 1st / January.
+  const parseReleaseDate = (value) => {
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(value ?? '');
+    if (!match || Number(match[1]) === 0) return null;
+    return Date.UTC(Number(match[1]), Number(match[2] ?? 1) - 1, Number(match[3] ?? 1));
+  };
+
+  const getDirectors = (movie) => (movie.crew ?? []).filter((person) => person.job === 'Director');
+
+  const getLaneEntry = (movie, laneType) => {
+    const [first] = laneType === 'director' ? getDirectors(movie) : movie.genres ?? [];
+    return first ? { key: `${laneType}-${first.id}`, label: first.name } : null;
+  };
+
+  // Each movie sits in the lane of its first genre or director. Lanes beyond maxLanes merge
+  // into OTHER_LANE, movies without any into NONE_LANE; both come last and have no label.
+  const buildTimelineLanes = (movies, laneType = 'genre', { maxLanes = 10 } = {}) => {
+    const lanesByKey = new Map();
+    const movieLanes = movies.map((movie) => {
+      const entry = getLaneEntry(movie, laneType) ?? { key: NONE_LANE, label: null };
+      const lane = lanesByKey.get(entry.key) ?? { ...entry, count: 0 };
+      lane.count += 1;
+      lanesByKey.set(entry.key, lane);
+      return [movie.id, entry.key];
+    });
+
+    const ranked = Array.from(lanesByKey.values())
+      .filter((lane) => lane.key !== NONE_LANE)
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    const kept = ranked.length > maxLanes ? ranked.slice(0, maxLanes - 1) : ranked;
+    const keptKeys = new Set(kept.map((lane) => lane.key));
+    const other = { key: OTHER_LANE, label: null, count: 0 };
+    const laneByMovie = new Map(
+      movieLanes.map(([movieId, key]) => {
+        if (key === NONE_LANE || keptKeys.has(key)) return [movieId, key];
+        other.count += 1;
+        return [movieId, OTHER_LANE];
+      }),
+    );
+    const none = lanesByKey.get(NONE_LANE);
+    return {
+      lanes: [...kept, ...(other.count ? [other] : []), ...(none ? [none] : [])],
+      laneByMovie,
+    };
+  };
+
+  // A director's films are chained in release order instead of connecting every pair.
+  const buildDirectorChains = (movies) => {
+    const moviesByDirector = new Map();
+    movies.forEach((movie) => {
+      const releasedAt = parseReleaseDate(movie.release_date);
+      if (releasedAt === null) return;
+      new Set(getDirectors(movie).map((person) => person.id)).forEach((personId) => {
+        const list = moviesByDirector.get(personId) ?? [];
+        list.push({ movie, releasedAt });
+        moviesByDirector.set(personId, list);
+      });
+    });
+
+    const linksByKey = new Map();
+    moviesByDirector.forEach((list) => {
+      list.sort((a, b) => a.releasedAt - b.releasedAt || a.movie.id - b.movie.id);
+      for (let index = 1; index < list.length; index += 1) {
+        const source = `movie-${list[index - 1].movie.id}`;
+        const target = `movie-${list[index].movie.id}`;
+        linksByKey.set(`${source}|${target}`, { source, target, weight: 1, kind: 'director' });
+      }
+    });
+    return Array.from(linksByKey.values());
+  };
+
+  // Arcs between movies sharing directors or cast, plus the strongest similarity links.
+  const buildTimelineArcs = (movies, { maxLinksPerMovie = 3, minSimilarity = 0.3 } = {}) => {
+    const { nodes } = createMovieGraph({ movies });
+    return [
+      ...buildDirectorChains(movies),
+      ...buildActorLinks(nodes, { maxLinksPerNode: maxLinksPerMovie }).map((link) => ({
+        ...link,
+        kind: 'cast',
+      })),
+      ...buildSimilarityLinks(nodes, { maxLinksPerNode: maxLinksPerMovie })
+        .filter((link) => link.weight >= minSimilarity)
+        .map((link) => ({ ...link, kind: 'similarity' })),
+    ];
+  };
+
+  const getSharedPeople = (movieA, movieB) => {
+    const intersect = (peopleA, peopleB) => {
+      const ids = new Set(peopleB.map((person) => person.id));
+      const seen = new Set();
+      return peopleA.filter((person) => {
+        if (!ids.has(person.id) || seen.has(person.id)) return false;
+        seen.add(person.id);
+        return true;
+      });
+    };
+    return {
+      directors: intersect(getDirectors(movieA), getDirectors(movieB)),
+      cast: intersect(movieA.cast ?? [], movieB.cast ?? []),
+    };
+  };
+
+  return {
+    TIMELINE_LANE_TYPES,
+    OTHER_LANE,
+    NONE_LANE,
+    parseReleaseDate,
+    buildTimelineLanes,
+    buildDirectorChains,
+    buildTimelineArcs,
+    getSharedPeople,
+  };
+});
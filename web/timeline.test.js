@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  OTHER_LANE,
+  NONE_LANE,
+  parseReleaseDate,
+  buildTimelineLanes,
+  buildDirectorChains,
+  buildTimelineArcs,
+  getSharedPeople,
+} = require('./timeline');
+
+const nolan = { id: 525, name: 'Christopher Nolan', job: 'Director' };
+const caine = { id: 3895, name: 'Michael Caine' };
+const movies = [
+  {
+    id: 1,
+    title: 'Inception',
+    release_date: '2010-07-15',
+    genres: [{ id: 28, name: 'Action' }],
+    cast: [caine, { id: 6193, name: 'Leonardo DiCaprio' }],
+    crew: [nolan],
+    keywords: [{ id: 1, name: 'dream' }],
+  },
+  {
+    id: 2,
+    title: 'The Prestige',
+    release_date: '2006-10-17',
+    genres: [{ id: 18, name: 'Drama' }],
+    cast: [caine],
+    crew: [nolan, { id: 1, name: 'Someone', job: 'Editor' }],
+    keywords: [{ id: 2, name: 'magic' }],
+  },
+  {
+    id: 3,
+    title: 'Interstellar',
+    release_date: '2014-11-05',
+    genres: [{ id: 28, name: 'Action' }],
+    cast: [caine],
+    crew: [nolan],
+    keywords: [{ id: 1, name: 'dream' }],
+  },
+  { id: 4, title: 'Unknown', release_date: '', genres: [], cast: [], crew: [] },
+];
+
+test('parseReleaseDate accepts partial dates and rejects empty ones', () => {
+  assert.equal(parseReleaseDate('2010-07-15'), Date.UTC(2010, 6, 15));
+  assert.equal(parseReleaseDate('1999'), Date.UTC(1999, 0, 1));
+  assert.equal(parseReleaseDate(''), null);
+  assert.equal(parseReleaseDate(undefined), null);
+  assert.equal(parseReleaseDate('0000-00-00'), null);
+});
+
+test('buildTimelineLanes groups by first genre and merges small lanes', () => {
+  const { lanes, laneByMovie } = buildTimelineLanes(movies, 'genre');
+  assert.deepEqual(
+    lanes.map(({ key, count }) => [key, count]),
+    [
+      ['genre-28', 2],
+      ['genre-18', 1],
+      [NONE_LANE, 1],
+    ],
+  );
+  assert.equal(laneByMovie.get(3), 'genre-28');
+
+  const merged = buildTimelineLanes(movies, 'genre', { maxLanes: 1 });
+  assert.deepEqual(
+    merged.lanes.map(({ key, count }) => [key, count]),
+    [
+      [OTHER_LANE, 3],
+      [NONE_LANE, 1],
+    ],
+  );
+});
+
+test('buildTimelineLanes can group by director', () => {
+  const { lanes } = buildTimelineLanes(movies, 'director');
+  assert.deepEqual(lanes[0], { key: 'director-525', label: 'Christopher Nolan', count: 3 });
+});
+
+test('buildDirectorChains links each film to the director\'s next one', () => {
+  assert.deepEqual(
+    buildDirectorChains(movies).map(({ source, target }) => `${source}>${target}`),
+    ['movie-2>movie-1', 'movie-1>movie-3'],
+  );
+});
+
+test('buildTimelineArcs combines director, cast and similarity arcs', () => {
+  const arcs = buildTimelineArcs(movies);
+  const kinds = new Set(arcs.map((arc) => arc.kind));
+  assert.deepEqual([...kinds].sort(), ['cast', 'director', 'similarity']);
+  assert.ok(
+    arcs.some(
+      (arc) =>
+        arc.kind === 'similarity' &&
+        [arc.source, arc.target].sort().join() === 'movie-1,movie-3',
+    ),
+  );
+});
+
+test('getSharedPeople lists directors and cast both movies have', () => {
+  assert.deepEqual(getSharedPeople(movies[0], movies[1]), {
+    directors: [nolan],
+    cast: [caine],
+  });
+});
@@ -0,0 +1,124 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MovieNebulaUrlState = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, () => {
+  const TERM_TYPES = ['person', 'keyword'];
+
+  const isPresent = (value) =>
+    value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && !value.length);
+
+  const roundTo = (value, digits) => Number(value.toFixed(digits));
+
+  // Keys are short because the hash ends up in chat messages; absent keys mean "default".
+  const encoders = {
+    view: (value) => value,
+    layout: (value) => value,
+    lanes: (value) => value,
+    person: (value) => String(value),
+    x: (value) => value,
+    y: (value) => value,
+    color: (value) => value,
+    size: (value) => value,
+    sort: ({ key, direction }) => `${direction === 'desc' ? '-' : ''}${key}`,
+    types: (types) => types.join(','),
+    strength: (value) => String(value),
+    year: ([low, high]) => `${low}-${high}`,
+    runtime: ([low, high]) => `${low}-${high}`,
+    rating: (value) => String(value),
+    genres: (genreIds) => genreIds.join(','),
+    terms: (terms) =>
+      terms.map((term) => `${term.exclude ? '-' : ''}${term.type}:${term.id}`).join(','),
+    movies: (movieIds) => movieIds.join(','),
+    node: (value) => value,
+    zoom: ({ x, y, k }) => [roundTo(x, 1), roundTo(y, 1), roundTo(k, 4)].join(','),
+  };
+
+  const parseNumber = (value) => {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : undefined;
+  };
+
+  const parseRange = (value) => {
+    const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value);
+    if (!match) return undefined;
+    const low = Number(match[1]);
+    const high = Number(match[2]);
+    return low <= high ? [low, high] : undefined;
+  };
+
+  const parseList = (value) => value.split(',').filter(Boolean);
+
+  const decoders = {
+    view: (value) => value || undefined,
+    layout: (value) => value || undefined,
+    lanes: (value) => value || undefined,
+    person: (value) => {
+      const personId = parseNumber(value);
+      return Number.isInteger(personId) ? personId : undefined;
+    },
+    x: (value) => value || undefined,
+    y: (value) => value || undefined,
+    color: (value) => value || undefined,
+    size: (value) => value || undefined,
+    sort: (value) => {
+      const match = /^(-?)([A-Za-z]+)$/.exec(value);
+      return match ? { key: match[2], direction: match[1] ? 'desc' : 'asc' } : undefined;
+    },
+    types: (value) => parseList(value),
+    strength: parseNumber,
+    year: parseRange,
+    runtime: parseRange,
+    rating: parseNumber,
+    genres: (value) => {
+      const genreIds = parseList(value).map(Number);
+      return genreIds.every(Number.isInteger) ? genreIds : undefined;
+    },
+    terms: (value) => {
+      const terms = parseList(value).map((part) => {
+        const match = /^(-?)([a-z]+):(\d+)$/.exec(part);
+        if (!match || !TERM_TYPES.includes(match[2])) return null;
+        return { type: match[2], id: Number(match[3]), exclude: match[1] === '-' };
+      });
+      return terms.every(Boolean) ? terms : undefined;
+    },
+    movies: (value) => {
+      const movieIds = parseList(value).map(Number);
+      return movieIds.every(Number.isInteger) ? movieIds : undefined;
+    },
+    node: (value) => value || undefined,
+    zoom: (value) => {
+      const [x, y, k] = value.split(',').map(parseNumber);
+      return [x, y, k].every((number) => number !== undefined) && k > 0 ? { x, y, k } : undefined;
+    },
+  };
+
+  const encodeUrlState = (state) =>
+    Object.keys(encoders)
+      .filter((key) => isPresent(state[key]))
+      .map((key) => {
+        // Commas and colons are valid in a fragment and keep the lists readable.
+        const value = encodeURIComponent(encoders[key](state[key]))
+          .replace(/%2C/g, ',')
+          .replace(/%3A/g, ':');
+        return `${key}=${value}`;
+      })
+      .join('&');
+
+  // Unknown keys and malformed values are dropped, so a mangled link still opens.
+  const decodeUrlState = (hash) => {
+    const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+    return Object.keys(decoders).reduce((state, key) => {
+      if (!params.has(key)) return state;
+      const value = decoders[key](params.get(key));
+      return value === undefined ? state : { ...state, [key]: value };
+    }, {});
+  };
+
+  return {
+    encodeUrlState,
+    decodeUrlState,
+  };
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeUrlState, decodeUrlState } = require('./url-state');
+
+test('encodeUrlState writes a readable hash and skips defaults', () => {
+  const hash = encodeUrlState({
+    view: 'force',
+    layout: 'cluster',
+    types: [],
+    strength: null,
+    year: [1990, 2005],
+    rating: 6.5,
+    genres: [28, 12],
+    terms: [
+      { type: 'person', id: 6193, label: 'Leonardo DiCaprio', exclude: false },
+      { type: 'keyword', id: 9, label: 'heist', exclude: true },
+    ],
+    node: 'movie-603',
+    zoom: { x: 120.456, y: -33.21, k: 0.456789 },
+  });
+  assert.equal(
+    hash,
+    'view=force&layout=cluster&year=1990-2005&rating=6.5&genres=28,12' +
+      '&terms=person:6193,-keyword:9&node=movie-603&zoom=120.5,-33.2,0.4568',
+  );
+  assert.equal(encodeUrlState({}), '');
+});
+
+test('decodeUrlState restores what encodeUrlState wrote', () => {
+  const state = {
+    view: 'entities',
+    person: 525,
+    x: 'rating',
+    color: 'genre',
+    sort: { key: 'year', direction: 'desc' },
+    types: ['movie', 'person'],
+    strength: -80,
+    runtime: [90, 120],
+    terms: [{ type: 'keyword', id: 9, exclude: true }],
+    movies: [603, 604],
+    zoom: { x: 10, y: 20, k: 0.5 },
+  };
+  assert.deepEqual(decodeUrlState(`#${encodeUrlState(state)}`), state);
+});
+
+test('decodeUrlState drops malformed values and unknown keys', () => {
+  assert.deepEqual(
+    decodeUrlState(
+      '#view=force&year=2005-1990&runtime=abc&rating=&genres=28,x&terms=actor:1' +
+        '&zoom=1,2,0&node=movie-1&utm_source=chat',
+    ),
+    { view: 'force', node: 'movie-1' },
+  );
+  assert.deepEqual(decodeUrlState(''), {});
+});